@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/**
+ * Life Atlas - Command Line
+ * Lists, queries, checks and converts exported atlas files from the terminal. It runs the
+ * app's own model scripts, loaded into a sandbox in the same order as index.html.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The scripts the core model needs, in page order
+const CORE_SCRIPTS = [
+    'storage.js',
+    'vault.js',
+    'attachments.js',
+    'atlases.js',
+    'tags.js',
+    'moods.js',
+    'formats.js',
+    'importer.js',
+    'search.js',
+    'timeline.js',
+    'insights.js',
+    'shapes.js',
+    'geocoding.js',
+    'markdown.js',
+    'core.js'
+];
+
+// Options that take no value
+const FLAG_OPTIONS = ['json', 'help'];
+
+const USAGE = `Usage: life-atlas <command> <file> [options]
+
+Commands:
+  list <file>               List the memories in an atlas file
+  query <file>              List the memories matching the options below
+  stats <file>              Show totals, moods, years and distance travelled
+  convert <file> <output>   Write the memories in another format (- for stdout)
+  validate <file>           Check every record, as an import would
+
+Files can be Life Atlas archives or JSON arrays, GeoJSON, GPX or KML; - reads stdin.
+
+Query options:
+  --query <text>            Full-text search in titles and descriptions
+  --mood <emoji>            Only memories with this mood
+  --from <YYYY-MM-DD>       On or after this date
+  --to <YYYY-MM-DD>         On or before this date
+  --tag <name>              With this tag (repeatable)
+  --collection <name>       In this collection (repeatable)
+  --match <any|all>         Whether memories need any or all of the tags and collections
+  --country <name>          In this country
+  --city <name>             In this city
+
+Other options:
+  --format <format>         convert: atlas, geojson, gpx or kml (default: from the output name)
+  --json                    list, query, stats: print JSON instead of text
+  --help                    Show this help`;
+
+/**
+ * A mistake in the command line; the usage is shown with it
+ */
+class UsageError extends Error {}
+
+/**
+ * Run the model scripts in a fresh sandbox and return the functions and constants the CLI uses
+ */
+function loadCore() {
+    const sandbox = vm.createContext({
+        console,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        crypto: globalThis.crypto,
+        setTimeout,
+        clearTimeout
+    });
+
+    CORE_SCRIPTS.forEach(script => {
+        const file = path.join(__dirname, '..', 'js', script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    });
+
+    return vm.runInContext(`({
+        filterMemories, readAtlasRecords, validateAtlas, writeAtlas, isEncryptedExport,
+        computeInsights, collectPlaces, formatDistance, normalizeTag, normalizeCollection,
+        sortChronologically, EXPORT_FORMATS
+    })`, sandbox);
+}
+
+/**
+ * Split arguments into positionals and options; repeated options collect into arrays
+ */
+function parseArguments(args) {
+    const options = { _: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            options._.push(arg);
+            continue;
+        }
+
+        const name = arg.slice(2);
+        if (FLAG_OPTIONS.includes(name)) {
+            options[name] = true;
+            continue;
+        }
+
+        const value = args[++i];
+        if (value === undefined) {
+            throw new UsageError(`--${name} needs a value`);
+        }
+        options[name] = (options[name] || []).concat(value);
+    }
+
+    return options;
+}
+
+/**
+ * The last value given for an option, or an empty string
+ */
+function option(options, name) {
+    const values = options[name] || [];
+    return values.length > 0 ? values[values.length - 1] : '';
+}
+
+/**
+ * Read an atlas file (or stdin for -) and validate its records.
+ * Returns { format, archive, memories, report }.
+ */
+function readAtlas(core, file) {
+    if (!file) {
+        throw new UsageError('Missing atlas file');
+    }
+
+    const text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    if (core.isEncryptedExport(text)) {
+        throw new Error(`${file} is encrypted; export it again from an unlocked atlas`);
+    }
+
+    const { format, records, archive, moods } = core.readAtlasRecords(text);
+    const report = core.validateAtlas(records, archive);
+    return { format, archive, moods, memories: report.memories, report };
+}
+
+/**
+ * Warn on stderr about records that list, query, stats and convert leave out
+ */
+function warnInvalid(file, report) {
+    const invalid = report.results.filter(result => result.status === 'invalid').length;
+    if (invalid > 0) {
+        console.error(`Skipped ${invalid} invalid ${invalid === 1 ? 'record' : 'records'} in ${file}; run "life-atlas validate ${file}" for details.`);
+    }
+}
+
+/**
+ * Print memories one per line, oldest first, or as JSON
+ */
+function printMemories(core, memories, options, sorted = true) {
+    const list = sorted ? core.sortChronologically(memories) : memories;
+
+    if (options.json) {
+        console.log(JSON.stringify(list, null, 2));
+        return;
+    }
+
+    list.forEach(memory => {
+        const labels = memory.tags.map(tag => `#${tag}`).concat(memory.collections.map(name => `[${name}]`));
+        console.log([
+            memory.date,
+            memory.mood,
+            memory.title,
+            memory.placeName ? `📍 ${memory.placeName}` : `${memory.lat.toFixed(4)}, ${memory.lng.toFixed(4)}`,
+            labels.join(' '),
+            `id ${memory.id}`
+        ].filter(Boolean).join('  '));
+    });
+    console.log(`${list.length} ${list.length === 1 ? 'memory' : 'memories'}`);
+}
+
+/**
+ * life-atlas list <file>
+ */
+function listCommand(core, options) {
+    const [file] = options._;
+    const { memories, report } = readAtlas(core, file);
+    warnInvalid(file, report);
+    printMemories(core, memories, options);
+    return 0;
+}
+
+/**
+ * life-atlas query <file> [filters]
+ */
+function queryCommand(core, options) {
+    const [file] = options._;
+    const match = option(options, 'match') || 'any';
+    if (!['any', 'all'].includes(match)) {
+        throw new UsageError('--match must be "any" or "all"');
+    }
+
+    const criteria = {
+        query: option(options, 'query'),
+        mood: option(options, 'mood'),
+        dateFrom: option(options, 'from'),
+        dateTo: option(options, 'to'),
+        labels: (options.tag || []).map(tag => `tag:${core.normalizeTag(tag)}`)
+            .concat((options.collection || []).map(name => `collection:${core.normalizeCollection(name)}`)),
+        labelMode: match,
+        country: option(options, 'country'),
+        city: option(options, 'city')
+    };
+
+    const { memories, report } = readAtlas(core, file);
+    warnInvalid(file, report);
+    // Search results keep their ranking
+    printMemories(core, core.filterMemories(memories, criteria), options, !criteria.query);
+    return 0;
+}
+
+/**
+ * life-atlas stats <file>
+ */
+function statsCommand(core, options) {
+    const [file] = options._;
+    const { memories, report } = readAtlas(core, file);
+    warnInvalid(file, report);
+
+    const insights = core.computeInsights(memories);
+    const places = core.collectPlaces(memories);
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            stats: insights.stats,
+            memoriesPerYear: insights.memoriesPerYear,
+            totalDistanceKm: Math.round(insights.totalDistance),
+            trips: insights.trips.length,
+            countries: places.map(place => place.country)
+        }, null, 2));
+        return 0;
+    }
+
+    const { stats } = insights;
+    console.log(`Memories:     ${stats.total}`);
+    if (stats.total === 0) return 0;
+
+    const day = (date) => date.toISOString().split('T')[0];
+    console.log(`Dates:        ${day(stats.oldestDate)} to ${day(stats.newestDate)}`);
+    console.log(`Moods:        ${Object.entries(stats.moods).sort((a, b) => b[1] - a[1]).map(([mood, count]) => `${mood} ${count}`).join('  ')}`);
+    console.log(`Per year:     ${insights.memoriesPerYear.map(({ key, count }) => `${key}: ${count}`).join('  ')}`);
+    console.log(`Travelled:    ${core.formatDistance(insights.totalDistance)} in date order`);
+    console.log(`Trips:        ${insights.trips.length}`);
+    if (places.length > 0) {
+        console.log(`Countries:    ${places.length} (${places.map(place => place.country).join(', ')})`);
+    }
+    console.log(`Descriptions: ${stats.averageDescriptionLength} characters on average`);
+    return 0;
+}
+
+/**
+ * life-atlas convert <file> <output> [--format name]
+ */
+function convertCommand(core, options) {
+    const [file, output] = options._;
+    if (!output) {
+        throw new UsageError('Missing output file');
+    }
+
+    let format = option(options, 'format');
+    if (!format) {
+        const extension = path.extname(output).slice(1).toLowerCase();
+        format = Object.keys(core.EXPORT_FORMATS).find(name => core.EXPORT_FORMATS[name].extension === extension);
+    }
+    if (!core.EXPORT_FORMATS[format]) {
+        throw new UsageError(format ?
+            `Unknown format "${format}"; use ${Object.keys(core.EXPORT_FORMATS).join(', ')}` :
+            'Cannot tell the format from the output name; pass --format');
+    }
+
+    const { archive, moods, memories, report } = readAtlas(core, file);
+    warnInvalid(file, report);
+
+    const text = core.writeAtlas(memories, format, archive ? archive.attachments : {}, moods);
+    if (output === '-') {
+        process.stdout.write(text + '\n');
+    } else {
+        fs.writeFileSync(output, text);
+        console.error(`Wrote ${memories.length} memories to ${output} (${core.EXPORT_FORMATS[format].label})`);
+    }
+    return 0;
+}
+
+/**
+ * life-atlas validate <file>; exits with 1 when records can't be imported
+ */
+function validateCommand(core, options) {
+    const [file] = options._;
+    const { format, report } = readAtlas(core, file);
+    const counts = { valid: 0, repaired: 0, invalid: 0 };
+
+    report.results.forEach(result => {
+        counts[result.status]++;
+        if (result.status !== 'valid') {
+            const title = result.title ? ` "${result.title}"` : '';
+            console.log(`Record ${result.index + 1}${title}: ${result.status}: ${result.problems.join('; ')}`);
+        }
+    });
+
+    report.duplicateIds.forEach(id => console.log(`Id ${id} is used by more than one record`));
+    report.missingAttachments.forEach(({ memoryId, name }) => console.log(`Memory ${memoryId}: no data for attachment ${name}`));
+
+    console.log(`${file} (${format}): ${counts.valid} valid, ${counts.repaired} repaired, ${counts.invalid} invalid`);
+    return counts.invalid > 0 || report.duplicateIds.length > 0 || report.missingAttachments.length > 0 ? 1 : 0;
+}
+
+const COMMANDS = {
+    list: listCommand,
+    query: queryCommand,
+    stats: statsCommand,
+    convert: convertCommand,
+    validate: validateCommand
+};
+
+/**
+ * Run a command line; returns the exit code
+ */
+function main(args) {
+    try {
+        const options = parseArguments(args);
+        const command = options._.shift();
+
+        if (options.help || !command) {
+            console.log(USAGE);
+            return options.help ? 0 : 2;
+        }
+        if (!COMMANDS[command]) {
+            throw new UsageError(`Unknown command "${command}"`);
+        }
+
+        return COMMANDS[command](loadCore(), options);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`life-atlas: ${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        console.error(`life-atlas: ${error.message}`);
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -6,12 +6,78 @@
 class LifeAtlas {
     constructor() {
         this.map = null;
-        this.memories = JSON.parse(localStorage.getItem('lifeAtlasMemories')) || [];
+        this.markerLayer = null;
+        this.layerSettings = defaultLayerSettings();
+        this.baseLayer = null;
+        this.overlays = {};
+        this.layerControl = null;
+        this.moodLegend = null;
+        this.moodPalette = defaultMoodPalette();
+        this.retiringMood = null;
+        this.backend = null;
+        this.storage = null;
+        this.vault = null;
+        this.locked = false;
+        this.unlockWaiter = null;
+        this.passphraseWaiter = null;
+        this.lastActivity = Date.now();
+        this.memories = [];
         this.pins = new Map();
+        this.shapes = new Map();
+        this.shapeLayer = null;
+        this.drawing = null;
         this.currentPin = null;
+        this.currentShape = null;
         this.addingMemory = false;
         this.currentMemoryId = null;
         this.editingMemory = false;
+        this.pendingAttachments = [];
+        this.attachmentUrls = new Map();
+        this.pendingImport = null;
+        this.searchIndex = new SearchIndex();
+        this.searchTimer = null;
+        this.hiddenIds = new Set();
+        this.memoryList = { open: false, sort: 'date', descending: MEMORY_SORTS.date.descending, activeId: null, selectedId: null };
+        this.timeline = { open: false, buckets: [], fromKey: null, toKey: null, playhead: null, sequence: [], step: 0, timer: null };
+        this.journeyLine = null;
+        this.home = null;
+        this.formLabels = { tags: [], collections: [] };
+        this.offlineRegions = [];
+        this.offlineDownload = null;
+        this.history = new CommandHistory();
+        this.trash = [];
+        this.trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS;
+        this.insightsPeriod = 'year';
+        this.geocoderSettings = { provider: 'offline', url: DEFAULT_NOMINATIM_URL };
+        this.geocoder = createGeocoder(this.geocoderSettings, GAZETTEER_PLACES);
+        this.placeResults = [];
+        this.placeFill = null;
+        this.movingPin = null;
+        this.photoImport = null;
+        this.rediscovery = { notify: false, lastShown: null, lastNotified: null, randomMode: 'any' };
+        this.lastViewed = {};
+        this.atlases = loadAtlasRegistry();
+        this.atlasView = {};
+        this.sync = emptySyncState();
+        this.syncing = false;
+        this.syncError = null;
+        this.syncConflicts = [];
+        this.syncMissingAttachments = 0;
+        this.syncTimer = null;
+        this.urlReady = false;
+        this.applyingUrl = false;
+        this.urlTimer = null;
+
+        // Panels with their own address, so Back closes them
+        this.urlPanels = {
+            insights: { modal: 'insightsModal', open: () => this.showInsights(), close: () => this.closeInsightsModal() },
+            trash: { modal: 'trashModal', open: () => this.showTrash(), close: () => this.closeTrashModal() },
+            offline: { modal: 'offlineModal', open: () => this.showOfflineMaps(), close: () => this.closeOfflineModal() },
+            privacy: { modal: 'securityModal', open: () => this.showSecurity(), close: () => this.closeSecurityModal() },
+            onthisday: { modal: 'onThisDayModal', open: () => this.showOnThisDay(), close: () => this.closeOnThisDay() },
+            atlases: { modal: 'atlasesModal', open: () => this.showAtlases(), close: () => this.closeAtlases() },
+            moods: { modal: 'moodsModal', open: () => this.showMoods(), close: () => this.closeMoods() }
+        };
         this.version = '1.0.0';
         
         this.init();
@@ -20,608 +86,5593 @@ class LifeAtlas {
     /**
      * Initialize the application
      */
-    init() {
+    async init() {
         this.initMap();
-        this.loadMemories();
         this.setupEventListeners();
+        this.setMoodPalette(this.moodPalette);
         this.setDefaultDate();
-        this.showWelcomeMessage();
+
+        await this.openAtlas(this.atlases.current);
+        await this.loadAtlas();
+        this.restoreUrlState();
+        this.registerServiceWorker();
+        this.updateConnectionStatus(false);
+        setInterval(() => this.checkAutoLock(), 15000);
+        setInterval(() => this.checkAnniversaries(), 60 * 60000);
+        setInterval(() => this.syncNow({ announce: false }), SYNC_INTERVAL_MS);
+        this.greet();
     }
 
     /**
-     * Initialize the Leaflet map
+     * Read memories and settings from storage and put them on the map
      */
-    initMap() {
-        // Default to New York City, but will be overridden by user location if available
-        this.map = L.map('map').setView([40.7128, -74.0060], 10);
-        
-        // Add OpenStreetMap tiles
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-            maxZoom: 19
-        }).addTo(this.map);
+    async loadAtlas() {
+        let loaded = false;
+        try {
+            this.memories = await this.storage.loadMemories();
+            this.home = await this.storage.getMeta('home') || null;
+            this.offlineRegions = await this.storage.getMeta('offlineRegions') || [];
+            this.trash = await this.storage.getMeta('trash') || [];
+            this.setGeocoder(await this.storage.getMeta(GEOCODER_SETTINGS_KEY) || this.geocoderSettings);
+            this.rediscovery = Object.assign(this.rediscovery, await this.storage.getMeta(REDISCOVERY_SETTINGS_KEY));
+            this.lastViewed = await this.storage.getMeta(LAST_VIEWED_KEY) || {};
+            this.atlasView = await this.storage.getMeta(ATLAS_VIEW_KEY) || {};
+            this.sync = Object.assign(emptySyncState(), await this.storage.getMeta(SYNC_STATE_KEY));
+            this.setMapLayers(await this.storage.getMeta(MAP_LAYERS_KEY) || defaultLayerSettings());
+            this.setMoodPalette(await this.storage.getMeta(MOOD_PALETTE_KEY) || defaultMoodPalette());
 
-        // Add map click handler
-        this.map.on('click', (e) => {
-            if (this.addingMemory) {
-                this.createMemoryAt(e.latlng);
+            const retention = await this.storage.getMeta('trashRetentionDays');
+            if (retention !== undefined) {
+                this.trashRetentionDays = retention;
             }
-        });
+            loaded = true;
+        } catch (error) {
+            console.error('Failed to load memories:', error);
+            this.showToast('Failed to load your memories.', 'error');
+        }
+
+        this.loadMemories();
+        this.updateHistoryButtons();
 
-        // Try to get user's location
-        this.getUserLocation();
+        // Only tidy the trash and attachments once everything they depend on has loaded
+        if (loaded) {
+            await this.purgeExpiredTrash();
+            this.syncNow({ announce: false });
+        }
     }
 
     /**
-     * Get user's current location and center map
+     * Register the service worker that caches the app shell and saved map tiles
      */
-    getUserLocation() {
-        if (navigator.geolocation) {
-            navigator.geolocation.getCurrentPosition(
-                (position) => {
-                    const { latitude, longitude } = position.coords;
-                    this.map.setView([latitude, longitude], 13);
-                },
-                (error) => {
-                    console.log('Location access denied or unavailable:', error);
-                    // Keep default location
-                }
-            );
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            return;
         }
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
     }
 
     /**
-     * Set default date to today
+     * Reflect the connection state in the header, optionally with a toast
      */
-    setDefaultDate() {
-        const today = new Date().toISOString().split('T')[0];
-        document.getElementById('memoryDate').value = today;
+    updateConnectionStatus(announce = true) {
+        const offline = !navigator.onLine;
+        document.body.classList.toggle('offline', offline);
+
+        if (announce) {
+            this.showToast(offline ?
+                '📴 You are offline. Memories still save on this device.' :
+                '📶 Back online', 'info');
+        }
     }
 
     /**
-     * Show welcome message for first-time users
+     * Apply the filters and open the memory or panel named in the URL the app was opened with.
+     * A plain address opens the atlas as it was last left.
      */
-    showWelcomeMessage() {
-        if (this.memories.length === 0 && !localStorage.getItem('lifeAtlasWelcomeShown')) {
-            setTimeout(() => {
-                alert('Welcome to Life Atlas! 🧭\n\nClick the 📍 button and then click anywhere on the map to create your first memory pin. Each pin represents a moment, thought, or experience tied to a place.');
-                localStorage.setItem('lifeAtlasWelcomeShown', 'true');
-            }, 1000);
+    restoreUrlState() {
+        const state = parseUrlState(location.hash);
+        let restoredView = false;
+
+        if (location.hash.length > 1) {
+            this.applyUrlFilters(state.filters);
+        } else {
+            restoredView = this.applyAtlasView();
+        }
+        this.applyUrlRoute(state);
+
+        // A linked view or memory takes precedence over the user's location
+        if (!state.view && !state.memoryId && !restoredView) {
+            this.getUserLocation();
         }
+
+        this.urlReady = true;
+        this.updateUrl();
     }
 
     /**
-     * Setup event listeners
+     * Follow the browser's Back and Forward buttons, or a link pasted into the address bar
      */
-    setupEventListeners() {
-        // Memory form submission
-        document.getElementById('memoryForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.saveMemory();
-        });
+    handlePopState(event) {
+        if (!this.urlReady || this.locked) return;
 
-        // Mood selector
-        document.querySelectorAll('.mood-option').forEach(option => {
-            option.addEventListener('click', () => {
-                document.querySelectorAll('.mood-option').forEach(o => o.classList.remove('selected'));
-                option.classList.add('selected');
-            });
-        });
+        const state = parseUrlState(location.hash);
 
-        // Modal close on outside click
-        document.getElementById('memoryModal').addEventListener('click', (e) => {
-            if (e.target === document.getElementById('memoryModal')) {
-                this.closeModal();
+        // Entries the app made only differ in which memory or panel is open; a new link sets everything
+        if (!event.state || !event.state.lifeAtlas) {
+            this.applyUrlFilters(state.filters);
+            if (state.view) {
+                this.map.setView([state.view.lat, state.view.lng], state.view.zoom);
             }
+        }
+
+        this.applyUrlRoute(state);
+        this.updateUrl();
+    }
+
+    /**
+     * Set the filters panel to filters read from a URL and apply them
+     */
+    applyUrlFilters(filters) {
+        document.getElementById('searchInput').value = filters.query;
+        document.getElementById('moodFilter').value = filters.mood;
+        document.getElementById('dateFromFilter').value = filters.dateFrom;
+        document.getElementById('dateToFilter').value = filters.dateTo;
+        document.getElementById('labelFilterMode').value = filters.labelMode;
+        document.querySelectorAll('#labelFilterList input').forEach(input => {
+            input.checked = filters.labels.includes(input.value);
         });
 
-        document.getElementById('detailModal').addEventListener('click', (e) => {
-            if (e.target === document.getElementById('detailModal')) {
+        document.getElementById('countryFilter').value = filters.country;
+        this.renderPlaceFilters();
+        document.getElementById('cityFilter').value = filters.city;
+
+        this.applyFilters({ announce: false });
+
+        if (this.hasActiveFilters()) {
+            document.getElementById('filters').style.display = 'block';
+        }
+    }
+
+    /**
+     * Open the memory or panel a URL names, closing any other
+     */
+    applyUrlRoute({ memoryId, panel }) {
+        const isOpen = (id) => document.getElementById(id).style.display === 'block';
+        this.applyingUrl = true;
+
+        try {
+            const showing = isOpen('detailModal') ? this.currentMemoryId : null;
+            if (showing && showing !== memoryId) {
                 this.closeDetailModal();
             }
-        });
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                if (document.getElementById('memoryModal').style.display === 'block') {
-                    this.closeModal();
-                }
-                if (document.getElementById('detailModal').style.display === 'block') {
-                    this.closeDetailModal();
+            Object.keys(this.urlPanels).forEach(name => {
+                if (name !== panel && isOpen(this.urlPanels[name].modal)) {
+                    this.urlPanels[name].close();
                 }
-                if (this.addingMemory) {
-                    this.addMemoryMode();
+            });
+
+            if (memoryId && showing !== memoryId) {
+                const memory = this.memories.find(m => m.id === memoryId);
+                if (memory) {
+                    this.map.setView([memory.lat, memory.lng], Math.max(this.map.getZoom(), 13));
+                    this.showMemoryDetail(memoryId);
+                } else {
+                    this.showToast('That memory is no longer in your atlas.', 'error');
                 }
             }
-        });
-    }
 
-    /**
-     * Create a memory at the specified location
-     */
-    createMemoryAt(latlng) {
-        this.currentPin = { lat: latlng.lat, lng: latlng.lng };
-        this.showModal();
-        this.addingMemory = false;
-        this.updateFloatingActionButton();
-        
-        // Add ripple effect
-        this.createRipple(latlng);
+            if (panel && !isOpen(this.urlPanels[panel].modal)) {
+                this.urlPanels[panel].open();
+            }
+        } finally {
+            this.applyingUrl = false;
+        }
     }
 
     /**
-     * Create a visual ripple effect at the clicked location
+     * The open memory or panel, map view and filters, as URL state
      */
-    createRipple(latlng) {
-        const point = this.map.latLngToContainerPoint(latlng);
-        const ripple = document.createElement('div');
-        ripple.classList.add('ripple');
-        ripple.style.left = (point.x - 10) + 'px';
-        ripple.style.top = (point.y - 10) + 'px';
-        ripple.style.width = '20px';
-        ripple.style.height = '20px';
-        
-        document.getElementById('map').appendChild(ripple);
-        setTimeout(() => ripple.remove(), 600);
+    currentUrlState() {
+        const isOpen = (id) => document.getElementById(id).style.display === 'block';
+        const center = this.map.getCenter();
+
+        return {
+            memoryId: isOpen('detailModal') ? this.currentMemoryId : null,
+            panel: Object.keys(this.urlPanels).find(name => isOpen(this.urlPanels[name].modal)) || null,
+            view: { lat: center.lat, lng: center.lng, zoom: this.map.getZoom() },
+            filters: this.getFilterCriteria()
+        };
     }
 
     /**
-     * Show the memory creation modal
+     * Write the current state to the URL. Opening a memory or panel adds a history entry
+     * (push); everything else updates the current one.
      */
-    showModal() {
-        document.getElementById('memoryModal').style.display = 'block';
-        document.getElementById('memoryTitle').focus();
+    updateUrl(push = false) {
+        if (!this.urlReady || this.applyingUrl) return;
+
+        clearTimeout(this.urlTimer);
+        const hash = buildUrlState(this.currentUrlState());
+
+        if (push && hash !== location.hash) {
+            history.pushState({ lifeAtlas: 'pushed' }, '', hash);
+        } else if (hash !== location.hash || !history.state) {
+            history.replaceState(history.state && history.state.lifeAtlas ? history.state : { lifeAtlas: 'base' }, '', hash);
+        }
     }
 
     /**
-     * Close the memory creation modal
+     * Update the URL once the map and filters settle
      */
-    closeModal() {
-        document.getElementById('memoryModal').style.display = 'none';
-        this.currentPin = null;
-        this.editingMemory = false;
-        this.currentMemoryId = null;
-        this.resetForm();
+    scheduleUrlUpdate() {
+        clearTimeout(this.urlTimer);
+        this.urlTimer = setTimeout(() => this.updateUrl(), 300);
     }
 
     /**
-     * Reset the memory form
+     * After closing a memory or panel, step back to the entry before it was opened,
+     * or drop it from the URL when the app was opened straight onto it
      */
-    resetForm() {
-        document.getElementById('memoryForm').reset();
-        document.querySelectorAll('.mood-option').forEach(o => o.classList.remove('selected'));
-        this.setDefaultDate();
+    leaveUrlRoute() {
+        if (!this.urlReady || this.applyingUrl) return;
+
+        const route = parseUrlState(location.hash);
+        if (history.state && history.state.lifeAtlas === 'pushed' && (route.memoryId || route.panel)) {
+            history.back();
+        } else {
+            this.updateUrl();
+        }
     }
 
     /**
-     * Save a memory to storage and add to map
+     * Initialize the Leaflet map
      */
-    saveMemory() {
-        const title = document.getElementById('memoryTitle').value.trim();
-        const date = document.getElementById('memoryDate').value;
-        const description = document.getElementById('memoryDescription').value.trim();
-        const selectedMood = document.querySelector('.mood-option.selected');
-        const mood = selectedMood ? selectedMood.dataset.mood : '📍';
+    initMap() {
+        // Default to New York City, but will be overridden by the atlas's last view or the user's location
+        this.map = L.map('map').setView([40.7128, -74.0060], 10);
 
-        // Validation
-        if (!title || !date || !description) {
-            alert('Please fill in all required fields.');
-            return;
+        // A linked view or memory takes precedence over the user's location
+        const linked = parseUrlState(location.hash);
+        if (linked.view) {
+            this.map.setView([linked.view.lat, linked.view.lng], linked.view.zoom);
         }
+        
+        // Overlays drawn from the memories the filters let through
+        Object.keys(MEMORY_OVERLAYS).forEach(kind => {
+            this.overlays[kind] = new MemoryOverlay({ kind, getMemories: () => this.visibleMemories() });
+        });
+        this.moodLegend = L.control({ position: 'bottomleft' });
+        this.moodLegend.onAdd = () => this.createMoodLegend();
+        this.setMapLayers(defaultLayerSettings());
 
-        const memory = {
-            id: this.editingMemory ? this.currentMemoryId : Date.now(),
-            title,
-            date,
-            description,
-            mood,
-            lat: this.currentPin.lat,
-            lng: this.currentPin.lng,
-            createdAt: this.editingMemory ? 
-                this.memories.find(m => m.id === this.currentMemoryId).createdAt : 
-                new Date().toISOString()
-        };
+        // Remember the base map and overlays chosen in the layer control, per atlas
+        this.map.on('baselayerchange', (e) => {
+            this.baseLayer = e.layer;
+            this.layerSettings.base = e.layer.options.baseMapId;
+            this.saveMapLayers();
+        });
+        this.map.on('overlayadd overlayremove', () => {
+            this.layerSettings.overlays = Object.keys(this.overlays).filter(kind => this.map.hasLayer(this.overlays[kind]));
+            this.updateMoodLegend();
+            this.saveMapLayers();
+        });
 
-        if (this.editingMemory) {
-            const index = this.memories.findIndex(m => m.id === this.currentMemoryId);
-            this.memories[index] = memory;
-            this.pins.get(this.currentMemoryId).remove();
-        } else {
-            this.memories.push(memory);
-        }
+        this.addPlaceSearch();
+        this.addDrawControl();
 
-        this.saveToStorage();
-        this.addPinToMap(memory);
-        this.closeModal();
+        // Cluster memory pins so large collections stay fast and readable
+        this.markerLayer = L.markerClusterGroup({
+            chunkedLoading: true,
+            showCoverageOnHover: false,
+            spiderfyOnMaxZoom: true,
+            zoomToBoundsOnClick: true,
+            iconCreateFunction: (cluster) => this.createClusterIcon(cluster)
+        }).addTo(this.map);
+
+        // Routes and areas sit under the pins, outside the clusters
+        this.shapeLayer = L.featureGroup().addTo(this.map);
+
+        // Add map click handler
+        this.map.on('click', (e) => {
+            if (this.addingMemory) {
+                this.createMemoryAt(e.latlng);
+            } else if (this.drawing) {
+                this.addDrawingPoint(e.latlng);
+            }
+        });
+        this.map.on('dblclick', () => {
+            if (this.drawing) {
+                this.finishDrawing();
+            }
+        });
 
-        // Show success message
-        this.showToast('Memory saved successfully! 🎉');
+        // Keep the URL in step with the map view
+        this.map.on('moveend', () => this.scheduleUrlUpdate());
     }
 
     /**
-     * Add a pin to the map for the given memory
+     * Show the base map and overlays described by { base, overlays, custom } settings,
+     * with a layer control offering every base map and overlay
      */
-    addPinToMap(memory) {
-        const pinElement = document.createElement('div');
-        pinElement.className = 'memory-pin';
-        pinElement.setAttribute('data-mood', memory.mood);
+    setMapLayers(settings) {
+        this.layerSettings = Object.assign(defaultLayerSettings(), settings);
 
-        const icon = L.divIcon({
-            html: pinElement.outerHTML,
-            className: '',
-            iconSize: [30, 30],
-            iconAnchor: [15, 30]
+        // The control goes first, so swapping layers doesn't count as choosing them
+        if (this.layerControl) {
+            this.layerControl.remove();
+        }
+        if (this.baseLayer) {
+            this.baseLayer.remove();
+        }
+        Object.values(this.overlays).forEach(overlay => overlay.remove());
+
+        const baseMaps = allBaseMaps(this.layerSettings.custom);
+        const chosen = baseMaps.find(baseMap => baseMap.id === this.layerSettings.base) || baseMaps[0];
+        const baseLayers = {};
+
+        baseMaps.forEach(baseMap => {
+            // Attributions are HTML, and the user's own could hold anything
+            const options = { attribution: sanitizeHtml(baseMap.attribution || ''), maxZoom: baseMap.maxZoom || 19, baseMapId: baseMap.id };
+            if (baseMap.subdomains) {
+                options.subdomains = baseMap.subdomains;
+            }
+
+            // The control lists layers by name, so names saved before they had to differ are told apart
+            const layer = L.tileLayer(baseMap.url, options);
+            let label = this.escapeHtml(baseMap.name);
+            for (let n = 2; baseLayers[label]; n++) {
+                label = `${this.escapeHtml(baseMap.name)} (${n})`;
+            }
+            baseLayers[label] = layer;
+            if (baseMap === chosen) {
+                this.baseLayer = layer.addTo(this.map);
+            }
         });
 
-        const marker = L.marker([memory.lat, memory.lng], { icon }).addTo(this.map);
-        
-        const popupContent = this.createPopupContent(memory);
-        marker.bindPopup(popupContent, {
-            className: 'custom-popup',
-            maxWidth: 300
+        const overlays = {};
+        Object.keys(this.overlays).forEach(kind => {
+            overlays[MEMORY_OVERLAYS[kind]] = this.overlays[kind];
+            if (this.layerSettings.overlays.includes(kind)) {
+                this.overlays[kind].addTo(this.map);
+            }
         });
 
-        this.pins.set(memory.id, marker);
+        this.layerControl = L.control.layers(baseLayers, overlays, { position: 'bottomleft' }).addTo(this.map);
+        this.updateMoodLegend();
     }
 
     /**
-     * Create popup content for a memory pin
+     * Persist the chosen base map, overlays and custom base maps
      */
-    createPopupContent(memory) {
-        const excerpt = memory.description.substring(0, 100) + (memory.description.length > 100 ? '...' : '');
-        
-        return `
-            <div class="popup-content">
-                <div class="popup-title">${this.escapeHtml(memory.title)}</div>
-                <div class="popup-mood">${memory.mood}</div>
-                <div class="popup-excerpt">${this.escapeHtml(excerpt)}</div>
-                <button class="popup-btn" onclick="lifeAtlas.showMemoryDetail(${memory.id})">Open Memory</button>
-            </div>
-        `;
+    async saveMapLayers() {
+        if (!this.storage) return;
+
+        try {
+            await this.storage.setMeta(MAP_LAYERS_KEY, this.layerSettings);
+        } catch (error) {
+            console.error('Failed to save map layers:', error);
+            this.showToast('Failed to save the map layers.', 'error');
+        }
     }
 
     /**
-     * Escape HTML to prevent XSS
+     * Memories the filters let through
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    visibleMemories() {
+        return this.memories.filter(memory => !this.hiddenIds.has(memory.id));
     }
 
     /**
-     * Show detailed view of a memory
+     * Redraw the overlays on the map, e.g. after the filters changed
      */
-    showMemoryDetail(memoryId) {
-        const memory = this.memories.find(m => m.id === memoryId);
-        if (!memory) return;
-
-        const content = `
-            <div class="memory-detail">
-                <h3>${this.escapeHtml(memory.title)}</h3>
-                <div class="memory-meta">
-                    <span>📅 ${new Date(memory.date).toLocaleDateString()}</span>
-                    <span>${memory.mood}</span>
-                    <span>🕒 ${new Date(memory.createdAt).toLocaleDateString()}</span>
-                </div>
-                <div class="memory-description">${this.escapeHtml(memory.description)}</div>
-            </div>
-        `;
-
-        document.getElementById('memoryDetailContent').innerHTML = content;
-        document.getElementById('detailModal').style.display = 'block';
-        this.currentMemoryId = memoryId;
+    refreshOverlays() {
+        Object.values(this.overlays).forEach(overlay => {
+            if (this.map.hasLayer(overlay)) {
+                overlay.redraw();
+            }
+        });
     }
 
     /**
-     * Close the memory detail modal
+     * The key to the mood map's colours
      */
-    closeDetailModal() {
-        document.getElementById('detailModal').style.display = 'none';
-        this.currentMemoryId = null;
+    createMoodLegend() {
+        const container = L.DomUtil.create('div', 'map-legend');
+        container.innerHTML = Object.keys(MOOD_COLORS)
+            .filter(mood => mood !== NO_MOOD)
+            .map(mood => `
+                <span class="legend-item" title="${this.escapeAttribute(moodLabel(this.moodPalette, mood))}">
+                    <span class="legend-swatch" style="background: ${MOOD_COLORS[mood]}"></span>${this.escapeHtml(mood)}
+                </span>`)
+            .join('');
+        return container;
     }
 
     /**
-     * Edit an existing memory
+     * Show the mood key while the mood map is on
      */
-    editMemory() {
-        const memory = this.memories.find(m => m.id === this.currentMemoryId);
-        if (!memory) return;
+    updateMoodLegend() {
+        const showing = this.map.hasLayer(this.overlays.moods);
+        // A removed control keeps its container, just out of the page
+        const container = this.moodLegend.getContainer();
+        const shown = Boolean(container && container.parentNode);
 
-        this.currentPin = { lat: memory.lat, lng: memory.lng };
-        this.editingMemory = true;
+        if (showing && !shown) {
+            this.moodLegend.addTo(this.map);
+        } else if (!showing && shown) {
+            this.moodLegend.remove();
+        }
+    }
 
-        // Populate form with existing data
-        document.getElementById('memoryTitle').value = memory.title;
-        document.getElementById('memoryDate').value = memory.date;
-        document.getElementById('memoryDescription').value = memory.description;
-        
-        // Select the mood
-        document.querySelectorAll('.mood-option').forEach(option => {
-            option.classList.remove('selected');
-            if (option.dataset.mood === memory.mood) {
-                option.classList.add('selected');
+    /**
+     * Add buttons for drawing a route or an area memory to the map
+     */
+    addDrawControl() {
+        const DrawControl = L.Control.extend({
+            onAdd: () => {
+                const container = L.DomUtil.create('div', 'leaflet-bar draw-control');
+                container.innerHTML = Object.keys(SHAPE_TYPES).map(type => {
+                    const { icon, label } = SHAPE_TYPES[type];
+                    return `<button type="button" data-shape="${type}" title="Draw a ${label.toLowerCase()}" aria-label="Draw a ${label.toLowerCase()}" aria-pressed="false">${icon}</button>`;
+                }).join('');
+
+                L.DomEvent.disableClickPropagation(container);
+                container.querySelectorAll('button').forEach(button => {
+                    button.addEventListener('click', () => this.startDrawing(button.dataset.shape));
+                });
+                return container;
             }
         });
 
-        this.closeDetailModal();
+        new DrawControl({ position: 'topleft' }).addTo(this.map);
+    }
+
+    /**
+     * Start drawing a route or an area point by point; pressing its button again stops
+     */
+    startDrawing(type) {
+        const again = this.drawing && this.drawing.type === type;
+        this.cancelDrawing();
+        if (again) return;
+
+        if (this.addingMemory) {
+            this.addMemoryMode();
+        }
+        this.cancelMove();
+
+        const style = { color: MOOD_COLORS['📍'], weight: 4, dashArray: '6 8' };
+        this.drawing = {
+            type,
+            points: [],
+            layer: (type === 'area' ? L.polygon([], style) : L.polyline([], style)).addTo(this.map)
+        };
+
+        // Double-clicking finishes the shape instead of zooming in
+        this.map.doubleClickZoom.disable();
+        L.DomUtil.addClass(this.map.getContainer(), 'drawing');
+        this.updateDrawControl();
+
+        const { icon, label } = SHAPE_TYPES[type];
+        this.showToast(`${icon} Click the map to draw the ${label.toLowerCase()}. Double-click or press Enter to finish, Backspace to remove the last point.`, 'info', { label: 'Cancel', callback: () => this.cancelDrawing() });
+    }
+
+    /**
+     * Add a corner of the shape being drawn
+     */
+    addDrawingPoint(latlng) {
+        this.drawing.points.push([latlng.lat, latlng.lng]);
+        this.drawing.layer.setLatLngs(this.drawing.points);
+    }
+
+    /**
+     * Take back the last corner of the shape being drawn
+     */
+    undoDrawingPoint() {
+        this.drawing.points.pop();
+        this.drawing.layer.setLatLngs(this.drawing.points);
+    }
+
+    /**
+     * Finish the shape and open the memory form for it, pinned where shapeAnchor() puts it
+     */
+    finishDrawing() {
+        const drawing = this.drawing;
+        if (!drawing) return;
+
+        const shape = normalizeShape({ type: drawing.type, points: drawing.points });
+        if (!shape) {
+            const { label, minPoints } = SHAPE_TYPES[drawing.type];
+            this.showToast(`${label}s need at least ${minPoints} points.`, 'error');
+            return;
+        }
+
+        this.stopDrawing();
+        this.currentShape = shape;
+        this.createMemoryAt(L.latLng(shapeAnchor(shape)));
+    }
+
+    /**
+     * Stop drawing without saving anything
+     */
+    cancelDrawing() {
+        if (!this.drawing) return;
+
+        this.stopDrawing();
+        this.showToast('Drawing cancelled', 'info');
+    }
+
+    /**
+     * Take the unfinished shape off the map and go back to the usual map controls
+     */
+    stopDrawing() {
+        this.drawing.layer.remove();
+        this.drawing = null;
+        this.map.doubleClickZoom.enable();
+        L.DomUtil.removeClass(this.map.getContainer(), 'drawing');
+        this.updateDrawControl();
+    }
+
+    /**
+     * Show which drawing button is on
+     */
+    updateDrawControl() {
+        document.querySelectorAll('.draw-control button').forEach(button => {
+            const active = Boolean(this.drawing) && this.drawing.type === button.dataset.shape;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+    }
+
+    /**
+     * Add the place search box to the map
+     */
+    addPlaceSearch() {
+        const PlaceSearch = L.Control.extend({
+            onAdd: () => {
+                const container = L.DomUtil.create('div', 'place-search');
+                container.innerHTML = `
+                    <form id="placeSearchForm" role="search">
+                        <input type="search" id="placeSearchInput" placeholder="🔎 Find a place..." aria-label="Find a place" autocomplete="off">
+                    </form>
+                    <div class="place-results" id="placeResults" style="display: none;"></div>`;
+
+                // Typing and scrolling in the box shouldn't move the map
+                L.DomEvent.disableClickPropagation(container);
+                L.DomEvent.disableScrollPropagation(container);
+
+                container.querySelector('form').addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.searchPlaces(container.querySelector('input').value);
+                });
+                return container;
+            }
+        });
+
+        new PlaceSearch({ position: 'topright' }).addTo(this.map);
+    }
+
+    /**
+     * Look up places matching a query and list them under the search box.
+     * Runs on Enter only, as public geocoders forbid search-as-you-type.
+     */
+    async searchPlaces(query) {
+        const list = document.getElementById('placeResults');
+        this.placeResults = [];
+
+        if (!query.trim()) {
+            list.style.display = 'none';
+            return;
+        }
+
+        list.innerHTML = '<p class="search-empty">Searching...</p>';
+        list.style.display = 'block';
+
+        try {
+            this.placeResults = await this.geocoder.search(query.trim());
+        } catch (error) {
+            console.error('Place search failed:', error);
+            list.innerHTML = '<p class="search-empty">Place search is unavailable right now.</p>';
+            return;
+        }
+
+        list.innerHTML = this.placeResults.length === 0 ?
+            '<p class="search-empty">No places found.</p>' :
+            this.placeResults.map((result, index) => `
+                <button type="button" class="search-result" onclick="lifeAtlas.goToPlace(${index})">${this.escapeHtml(result.name)}</button>
+            `).join('');
+    }
+
+    /**
+     * Fly the map to a place search result
+     */
+    goToPlace(index) {
+        const result = this.placeResults[index];
+        if (!result) return;
+
+        if (result.bounds) {
+            const { south, west, north, east } = result.bounds;
+            this.map.flyToBounds([[south, west], [north, east]], { maxZoom: 15 });
+        } else {
+            this.map.flyTo([result.lat, result.lng], 12);
+        }
+
+        document.getElementById('placeResults').style.display = 'none';
+        document.getElementById('placeSearchInput').value = result.name;
+    }
+
+    /**
+     * Reverse geocode a location, or null when no place is known or the lookup fails
+     */
+    async lookupPlace(lat, lng) {
+        try {
+            return normalizePlace(await this.geocoder.reverse(lat, lng));
+        } catch (error) {
+            console.error('Reverse geocoding failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Switch to the geocoder described by { provider, url } settings
+     */
+    setGeocoder(settings) {
+        this.geocoderSettings = Object.assign({ provider: 'offline', url: DEFAULT_NOMINATIM_URL }, settings);
+        this.geocoder = createGeocoder(this.geocoderSettings, GAZETTEER_PLACES);
+    }
+
+    /**
+     * Get user's current location and center map
+     */
+    getUserLocation() {
+        this.locateUser()
+            .then(({ lat, lng }) => this.map.setView([lat, lng], 13))
+            .catch((error) => {
+                console.log('Location access denied or unavailable:', error);
+                // Keep default location
+            });
+    }
+
+    /**
+     * Ask the browser where the user is; resolves to { lat, lng, accuracy } with accuracy in metres
+     */
+    locateUser(options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!navigator.geolocation) {
+                reject(new Error('Geolocation is not available'));
+                return;
+            }
+
+            navigator.geolocation.getCurrentPosition(
+                ({ coords }) => resolve({ lat: coords.latitude, lng: coords.longitude, accuracy: coords.accuracy }),
+                reject,
+                options
+            );
+        });
+    }
+
+    /**
+     * Fill the location field with the user's current position
+     */
+    async useCurrentLocation() {
+        const button = document.getElementById('useLocationButton');
+        button.disabled = true;
+
+        try {
+            const { lat, lng, accuracy } = await this.locateUser({ enableHighAccuracy: true, timeout: 15000 });
+            document.getElementById('memoryLocation').value = formatCoordinates({ lat, lng });
+            this.updateLocationHint();
+            this.showToast(`🎯 Using your location (within ${formatDistance(accuracy / 1000)})`, 'info');
+        } catch (error) {
+            console.error('Failed to get current location:', error);
+            this.showToast('Could not get your location. Check that location access is allowed.', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Show the typed location in DMS under the field, or say it can't be read
+     */
+    updateLocationHint() {
+        const hint = document.getElementById('memoryLocationHint');
+        const location = parseCoordinates(document.getElementById('memoryLocation').value);
+
+        const anchor = this.currentShape ?
+            `${this.currentShape.type === 'line' ? 'Route start' : 'Area centre'} (the whole ${SHAPE_TYPES[this.currentShape.type].label.toLowerCase()} moves with it): ` :
+            '';
+
+        hint.textContent = location ?
+            anchor + formatCoordinates(location, 'dms') :
+            'Enter decimal degrees (48.8566, 2.3522) or degrees, minutes and seconds (48°51\'24"N 2°21\'08"E)';
+        hint.classList.toggle('invalid', !location);
+    }
+
+    /**
+     * Set default date to today
+     */
+    setDefaultDate() {
+        const today = new Date().toISOString().split('T')[0];
+        document.getElementById('memoryDate').value = today;
+    }
+
+    /**
+     * On startup, show today's anniversaries (once a day) or, for new users, the welcome message
+     */
+    greet() {
+        const today = localDateKey(new Date());
+        const linked = parseUrlState(location.hash);
+
+        if (memoriesOnThisDay(this.memories).length === 0) {
+            this.showWelcomeMessage();
+        } else if (this.rediscovery.lastShown !== today && !linked.memoryId && !linked.panel) {
+            this.showOnThisDay();
+            this.saveRediscovery({ lastShown: today, lastNotified: today });
+        }
+
+        this.checkAnniversaries();
+    }
+
+    /**
+     * Show welcome message for first-time users
+     */
+    showWelcomeMessage() {
+        if (this.memories.length === 0 && !localStorage.getItem('lifeAtlasWelcomeShown')) {
+            setTimeout(() => {
+                alert('Welcome to Life Atlas! 🧭\n\nClick the 📍 button and then click anywhere on the map to create your first memory pin. Each pin represents a moment, thought, or experience tied to a place.');
+                localStorage.setItem('lifeAtlasWelcomeShown', 'true');
+            }, 1000);
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Memory form submission
+        document.getElementById('memoryForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveMemory();
+        });
+
+        // Attachment picker
+        document.getElementById('memoryAttachments').addEventListener('change', (e) => {
+            this.addAttachments(e.target.files);
+            e.target.value = '';
+        });
+        document.getElementById('attachmentList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-attachment]');
+            if (button) {
+                this.removePendingAttachment(button.dataset.removeAttachment);
+            }
+        });
+
+        // Photo import: file picker, or photos and folders dropped on the map
+        document.getElementById('photoImportFile').addEventListener('change', (e) => {
+            this.importPhotos(e.target.files);
+            e.target.value = '';
+        });
+
+        const mapElement = document.getElementById('map');
+        mapElement.addEventListener('dragover', (e) => {
+            if (Array.from(e.dataTransfer.types).includes('Files')) {
+                e.preventDefault();
+                mapElement.classList.add('drop-target');
+            }
+        });
+        mapElement.addEventListener('dragleave', (e) => {
+            if (!mapElement.contains(e.relatedTarget)) {
+                mapElement.classList.remove('drop-target');
+            }
+        });
+        mapElement.addEventListener('drop', (e) => {
+            if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+
+            e.preventDefault();
+            mapElement.classList.remove('drop-target');
+            collectDroppedFiles(e.dataTransfer)
+                .then(files => this.importPhotos(files))
+                .catch(error => {
+                    console.error('Failed to read dropped files:', error);
+                    this.showToast('Could not read the dropped files.', 'error');
+                });
+        });
+
+        // Import file picker
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importMemories(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        // Search box, debounced while typing
+        document.getElementById('searchInput').addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.applyFilters({ announce: false }), 150);
+        });
+
+        // Timeline range handles and journey path
+        ['timelineStart', 'timelineEnd'].forEach(id => {
+            document.getElementById(id).addEventListener('input', (e) => this.setTimelineRange(id, Number(e.target.value)));
+        });
+        document.getElementById('journeyToggle').addEventListener('change', () => this.applyFilters({ announce: false }));
+
+        // Tag and collection inputs: Enter or comma adds a chip
+        [['memoryTagInput', 'tags'], ['memoryCollectionInput', 'collections']].forEach(([id, kind]) => {
+            const input = document.getElementById(id);
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || (e.key === ',' && kind === 'tags')) {
+                    e.preventDefault();
+                    this.addFormLabel(kind, input.value);
+                    input.value = '';
+                } else if (e.key === 'Backspace' && !input.value && this.formLabels[kind].length > 0) {
+                    this.removeFormLabel(kind, this.formLabels[kind].length - 1);
+                }
+            });
+            input.addEventListener('change', () => {
+                if (input.value.trim()) {
+                    this.addFormLabel(kind, input.value);
+                    input.value = '';
+                }
+            });
+        });
+
+        // Tag and collection filters
+        document.getElementById('labelFilterList').addEventListener('change', () => this.applyFilters({ announce: false }));
+        document.getElementById('labelFilterMode').addEventListener('change', () => this.applyFilters({ announce: false }));
+
+        // Place filters: choosing a country narrows the city list
+        document.getElementById('countryFilter').addEventListener('change', () => {
+            document.getElementById('cityFilter').value = '';
+            this.renderPlaceFilters();
+            this.applyFilters({ announce: false });
+        });
+        document.getElementById('cityFilter').addEventListener('change', () => this.applyFilters({ announce: false }));
+
+        // Lock screen, passphrase prompt and inactivity tracking
+        document.getElementById('lockForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.unlock();
+        });
+        document.getElementById('passphraseForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.answerPassphrase(document.getElementById('passphraseInput').value);
+        });
+        ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivity = Date.now();
+            }, { passive: true });
+        });
+
+        // Back and Forward move between opened memories and panels
+        window.addEventListener('popstate', (e) => this.handlePopState(e));
+
+        // Connection changes
+        window.addEventListener('online', () => {
+            this.updateConnectionStatus();
+            this.syncNow({ announce: false });
+        });
+        window.addEventListener('offline', () => this.updateConnectionStatus());
+
+        // Offline area zoom range
+        ['offlineZoomMin', 'offlineZoomMax'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateOfflineEstimate());
+        });
+
+        // Import preview options
+        document.querySelectorAll('input[name="importMode"], input[name="conflictStrategy"]').forEach(input => {
+            input.addEventListener('change', () => this.renderImportPreview());
+        });
+
+        // Location field
+        document.getElementById('memoryLocation').addEventListener('input', () => this.updateLocationHint());
+        document.getElementById('memoryDescription').addEventListener('input', () => this.updateDescriptionPreview());
+
+        // Mood selector, filled from the palette by renderMoodOptions()
+        document.getElementById('moodSelector').addEventListener('click', (e) => {
+            const option = e.target.closest('.mood-option');
+            if (!option) return;
+
+            document.querySelectorAll('.mood-option').forEach(o => o.classList.remove('selected'));
+            option.classList.add('selected');
+        });
+
+        // Modal close on outside click
+        document.getElementById('memoryModal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('memoryModal')) {
+                this.closeModal();
+            }
+        });
+
+        document.getElementById('detailModal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('detailModal')) {
+                this.closeDetailModal();
+            }
+        });
+
+        document.getElementById('importModal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('importModal')) {
+                this.closeImportModal();
+            }
+        });
+
+        document.getElementById('photoImportModal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('photoImportModal')) {
+                this.closePhotoImport();
+            }
+        });
+
+        document.getElementById('offlineModal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('offlineModal')) {
+                this.closeOfflineModal();
+            }
+        });
+
+        document.getElementById('insightsModal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('insightsModal')) {
+                this.closeInsightsModal();
+            }
+        });
+
+        document.getElementById('securityModal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('securityModal')) {
+                this.closeSecurityModal();
+            }
+        });
+
+        document.getElementById('trashModal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('trashModal')) {
+                this.closeTrashModal();
+            }
+        });
+
+        document.getElementById('trashRetention').addEventListener('change', (e) => {
+            this.setTrashRetention(Number(e.target.value));
+        });
+
+        document.getElementById('onThisDayModal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('onThisDayModal')) {
+                this.closeOnThisDay();
+            }
+        });
+
+        document.getElementById('randomMode').addEventListener('change', (e) => {
+            this.saveRediscovery({ randomMode: e.target.value });
+        });
+
+        document.getElementById('anniversaryNotify').addEventListener('change', (e) => {
+            this.setAnniversaryNotifications(e.target.checked);
+        });
+
+        // Atlas switchers in the header and on the lock screen
+        ['atlasSwitcher', 'lockAtlas'].forEach(id => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this.switchAtlas(e.target.value);
+            });
+        });
+
+        document.getElementById('syncConflictModal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('syncConflictModal')) {
+                this.closeSyncConflicts();
+            }
+        });
+
+        document.getElementById('atlasesModal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('atlasesModal')) {
+                this.closeAtlases();
+            }
+        });
+
+        document.getElementById('moodsModal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('moodsModal')) {
+                this.closeMoods();
+            }
+        });
+
+        document.getElementById('newMoodForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addMood();
+        });
+
+        document.getElementById('newAtlasForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('newAtlasName');
+            const name = input.value.trim();
+            if (name) {
+                input.value = '';
+                this.createAtlas(name);
+            }
+        });
+
+        // A tab left open in the background overnight still gets today's reminder
+        document.addEventListener('visibilitychange', () => this.checkAnniversaries());
+
+        // Memory list
+        document.getElementById('memorySort').innerHTML = Object.entries(MEMORY_SORTS)
+            .map(([value, { label }]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        document.getElementById('memorySort').addEventListener('change', (e) => this.setMemorySort(e.target.value));
+        document.getElementById('memoryList').addEventListener('keydown', (e) => this.handleMemoryListKey(e));
+        document.getElementById('memoryList').addEventListener('focus', () => {
+            if (this.memoryList.activeId === null) {
+                this.moveMemoryListFocus(0);
+            }
+        });
+        document.getElementById('memoryList').addEventListener('click', (e) => {
+            const row = e.target.closest('.memory-row');
+            if (row) {
+                this.selectListMemory(Number(row.dataset.id));
+            }
+        });
+        document.querySelector('#memorySidebar .close').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.toggleMemoryList();
+            }
+        });
+        this.map.on('moveend', () => {
+            if (this.memoryList.sort === 'distance') {
+                this.renderMemoryList();
+            }
+        });
+        this.updateMemorySortControls();
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            // Undo/redo, leaving text fields their own undo
+            const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+            if ((e.ctrlKey || e.metaKey) && !typing) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' || key === 'y') {
+                    e.preventDefault();
+                    if (key === 'y' || e.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                    return;
+                }
+            }
+
+            // Finishing or correcting a route or area being drawn
+            if (this.drawing && !typing) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.finishDrawing();
+                    return;
+                }
+                if (e.key === 'Backspace') {
+                    e.preventDefault();
+                    this.undoDrawingPoint();
+                    return;
+                }
+            }
+
+            if (e.key === 'Escape') {
+                // The moods panel can be opened from the memory form, which stays open behind it
+                if (document.getElementById('moodsModal').style.display === 'block') {
+                    this.closeMoods();
+                    return;
+                }
+                if (document.getElementById('memoryModal').style.display === 'block') {
+                    this.closeModal();
+                }
+                if (document.getElementById('detailModal').style.display === 'block') {
+                    this.closeDetailModal();
+                }
+                if (document.getElementById('importModal').style.display === 'block') {
+                    this.closeImportModal();
+                }
+                if (document.getElementById('photoImportModal').style.display === 'block') {
+                    this.closePhotoImport();
+                }
+                if (document.getElementById('insightsModal').style.display === 'block') {
+                    this.closeInsightsModal();
+                }
+                if (document.getElementById('offlineModal').style.display === 'block') {
+                    this.closeOfflineModal();
+                }
+                if (document.getElementById('trashModal').style.display === 'block') {
+                    this.closeTrashModal();
+                }
+                if (document.getElementById('onThisDayModal').style.display === 'block') {
+                    this.closeOnThisDay();
+                }
+                if (document.getElementById('atlasesModal').style.display === 'block') {
+                    this.closeAtlases();
+                }
+                if (document.getElementById('syncConflictModal').style.display === 'block') {
+                    this.closeSyncConflicts();
+                }
+                if (document.getElementById('securityModal').style.display === 'block') {
+                    this.closeSecurityModal();
+                }
+                if (document.getElementById('passphraseModal').style.display === 'block') {
+                    this.answerPassphrase(null);
+                }
+                if (this.addingMemory) {
+                    this.addMemoryMode();
+                }
+                if (this.movingPin) {
+                    this.cancelMove();
+                }
+                if (this.drawing) {
+                    this.cancelDrawing();
+                }
+            }
+        });
+    }
+
+    /**
+     * Create a memory at the specified location
+     */
+    createMemoryAt(latlng) {
+        this.currentPin = { lat: latlng.lat, lng: latlng.lng };
+        this.showModal();
+        this.addingMemory = false;
+        this.updateFloatingActionButton();
+
+        // Placing a photo from the photo import: start from its date and attach it
+        const photo = this.photoImport && this.photoImport.placing;
+        if (photo) {
+            document.getElementById('memoryDate').value = photoDate(photo);
+            this.addAttachments([photo.file]);
+            const attachment = this.pendingAttachments[this.pendingAttachments.length - 1];
+            if (attachment) {
+                attachment.orientation = photo.orientation;
+            }
+        }
+        
+        // Add ripple effect
+        this.createRipple(latlng);
+    }
+
+    /**
+     * Create a visual ripple effect at the clicked location
+     */
+    createRipple(latlng) {
+        const point = this.map.latLngToContainerPoint(latlng);
+        const ripple = document.createElement('div');
+        ripple.classList.add('ripple');
+        ripple.style.left = (point.x - 10) + 'px';
+        ripple.style.top = (point.y - 10) + 'px';
+        ripple.style.width = '20px';
+        ripple.style.height = '20px';
+        
+        document.getElementById('map').appendChild(ripple);
+        setTimeout(() => ripple.remove(), 600);
+    }
+
+    /**
+     * Show the memory creation modal
+     */
+    showModal() {
+        this.renderLabelSuggestions();
+        document.getElementById('memoryLocation').value = this.currentPin ? formatCoordinates(this.currentPin) : '';
+        this.updateLocationHint();
+        document.getElementById('memoryModal').style.display = 'block';
+        document.getElementById('memoryTitle').focus();
+    }
+
+    /**
+     * Close the memory creation modal
+     */
+    closeModal() {
+        document.getElementById('memoryModal').style.display = 'none';
+        this.currentPin = null;
+        this.currentShape = null;
+        this.editingMemory = false;
+        this.currentMemoryId = null;
+        this.resetForm();
+
+        // Back to the photo import after placing one of its photos
+        if (this.photoImport && this.photoImport.placing) {
+            this.photoImport.placing = null;
+            this.showPhotoImport();
+        }
+    }
+
+    /**
+     * Switch the description field between writing Markdown and previewing it
+     */
+    setDescriptionTab(tab) {
+        const previewing = tab === 'preview';
+        const textarea = document.getElementById('memoryDescription');
+
+        // A hidden required field would block the form without saying why; saveMemory() checks it instead
+        textarea.hidden = previewing;
+        textarea.required = !previewing;
+        document.getElementById('memoryDescriptionPreview').hidden = !previewing;
+        document.querySelectorAll('.editor-tab').forEach(button => {
+            const active = button.dataset.tab === tab;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-selected', active);
+        });
+
+        if (previewing) {
+            this.updateDescriptionPreview();
+        }
+    }
+
+    /**
+     * Render the description as it will appear on the memory
+     */
+    updateDescriptionPreview() {
+        const preview = document.getElementById('memoryDescriptionPreview');
+        if (preview.hidden) return;
+
+        const text = document.getElementById('memoryDescription').value;
+        preview.innerHTML = text.trim() ?
+            renderMarkdown(text) :
+            '<p class="markdown-empty">Nothing to preview yet.</p>';
+    }
+
+    /**
+     * Reset the memory form
+     */
+    resetForm() {
+        document.getElementById('memoryForm').reset();
+        this.renderMoodOptions(NO_MOOD);
+        this.setDefaultDate();
+        this.setDescriptionTab('write');
+
+        // Attachments that were picked but never saved only live as object URLs
+        this.pendingAttachments
+            .filter(attachment => attachment.blob)
+            .forEach(attachment => this.releaseAttachmentUrl(attachment.id));
+        this.pendingAttachments = [];
+        this.renderAttachmentList();
+
+        this.formLabels = { tags: [], collections: [] };
+        this.renderFormLabels();
+    }
+
+    /**
+     * Add a tag or collection chip to the memory form
+     */
+    addFormLabel(kind, value) {
+        const labels = this.formLabels[kind];
+        const normalize = kind === 'tags' ? normalizeTag : normalizeCollection;
+        const label = normalize(value);
+
+        // Reuse the spelling already in the atlas so "food" and "Food" stay one tag
+        const existing = collectLabels(this.memories)[kind]
+            .find(known => known.name.toLowerCase() === label.toLowerCase());
+
+        this.formLabels[kind] = normalizeLabels(labels.concat(existing ? existing.name : label), normalize);
+        this.renderFormLabels();
+    }
+
+    /**
+     * Remove a tag or collection chip from the memory form
+     */
+    removeFormLabel(kind, index) {
+        this.formLabels[kind].splice(index, 1);
+        this.renderFormLabels();
+    }
+
+    /**
+     * Render the tag and collection chips in the memory form
+     */
+    renderFormLabels() {
+        [['tagChips', 'tags', '#'], ['collectionChips', 'collections', '📚 ']].forEach(([id, kind, prefix]) => {
+            document.getElementById(id).innerHTML = this.formLabels[kind].map((label, index) => `
+                <span class="chip chip-${kind}">
+                    ${prefix}${this.escapeHtml(label)}
+                    <button type="button" class="chip-remove" title="Remove" onclick="lifeAtlas.removeFormLabel('${kind}', ${index})">&times;</button>
+                </span>
+            `).join('');
+        });
+    }
+
+    /**
+     * Offer existing tags and collections as autocomplete suggestions
+     */
+    renderLabelSuggestions() {
+        const { tags, collections } = collectLabels(this.memories);
+        const options = (labels) => labels
+            .map(label => `<option value="${this.escapeAttribute(label.name)}"></option>`)
+            .join('');
+
+        document.getElementById('tagSuggestions').innerHTML = options(tags);
+        document.getElementById('collectionSuggestions').innerHTML = options(collections);
+    }
+
+    /**
+     * Queue photos and audio clips picked in the memory form
+     */
+    addAttachments(files) {
+        Array.from(files).forEach(file => {
+            if (!attachmentKind(file.type)) {
+                this.showToast(`${file.name} is not a photo or audio clip.`, 'error');
+                return;
+            }
+
+            if (file.size > MAX_ATTACHMENT_SIZE) {
+                this.showToast(`${file.name} is too large (max 20 MB).`, 'error');
+                return;
+            }
+
+            const attachment = describeAttachment(file);
+            attachment.blob = file;
+            this.attachmentUrls.set(attachment.id, URL.createObjectURL(file));
+            this.pendingAttachments.push(attachment);
+        });
+
+        this.renderAttachmentList();
+    }
+
+    /**
+     * Remove a queued attachment from the memory form
+     */
+    removePendingAttachment(attachmentId) {
+        const attachment = this.pendingAttachments.find(a => a.id === attachmentId);
+        if (attachment && attachment.blob) {
+            this.releaseAttachmentUrl(attachmentId);
+        }
+
+        this.pendingAttachments = this.pendingAttachments.filter(a => a.id !== attachmentId);
+        this.renderAttachmentList();
+    }
+
+    /**
+     * Render the attachments queued in the memory form
+     */
+    renderAttachmentList() {
+        const list = document.getElementById('attachmentList');
+
+        list.innerHTML = this.pendingAttachments.map(attachment => `
+            <div class="attachment-item">
+                ${attachment.kind === 'photo'
+                    ? `<img class="attachment-thumb" data-attachment-id="${this.escapeAttribute(attachment.id)}" alt="${this.escapeAttribute(attachment.name)}">`
+                    : `<span class="attachment-audio">🎵 ${this.escapeHtml(attachment.name)}</span>`}
+                <button type="button" class="attachment-remove" title="Remove" data-remove-attachment="${this.escapeAttribute(attachment.id)}">&times;</button>
+            </div>
+        `).join('');
+
+        this.hydrateAttachments(list);
+    }
+
+    /**
+     * Write newly picked attachments to storage
+     */
+    async storePendingAttachments(attachments) {
+        for (const attachment of attachments) {
+            if (attachment.blob) {
+                await this.storage.putAttachment(attachment.id, attachment.blob);
+                delete attachment.blob;
+            }
+        }
+    }
+
+    /**
+     * Delete stored attachment blobs that no memory, trashed memory or undo step still uses
+     */
+    async pruneAttachments() {
+        const referenced = new Set(this.pendingAttachments.map(a => a.id));
+        this.memories
+            .concat(this.trash.map(entry => entry.memory), this.history.memories())
+            .forEach(memory => {
+                (memory.attachments || []).forEach(a => referenced.add(a.id));
+            });
+
+        try {
+            const stored = await this.storage.listAttachmentIds();
+            for (const id of stored) {
+                // Encrypted copies staged while encryption is being turned on
+                if (referenced.has(id) || isStaged(id)) continue;
+
+                await this.storage.deleteAttachment(id);
+                this.releaseAttachmentUrl(id);
+            }
+        } catch (error) {
+            console.error('Failed to clean up attachments:', error);
+        }
+    }
+
+    /**
+     * Get an object URL for a stored attachment, loading it from storage on first use
+     */
+    async getAttachmentUrl(attachmentId) {
+        if (this.attachmentUrls.has(attachmentId)) {
+            return this.attachmentUrls.get(attachmentId);
+        }
+
+        const blob = await this.storage.getAttachment(attachmentId);
+        if (!blob) return null;
+
+        const url = URL.createObjectURL(blob);
+        this.attachmentUrls.set(attachmentId, url);
+        return url;
+    }
+
+    /**
+     * Revoke a cached attachment object URL
+     */
+    releaseAttachmentUrl(attachmentId) {
+        if (this.attachmentUrls.has(attachmentId)) {
+            URL.revokeObjectURL(this.attachmentUrls.get(attachmentId));
+            this.attachmentUrls.delete(attachmentId);
+        }
+    }
+
+    /**
+     * Fill in the src of every attachment element inside a container
+     */
+    hydrateAttachments(container) {
+        if (!container) return;
+
+        container.querySelectorAll('[data-attachment-id]').forEach(async (element) => {
+            const url = await this.getAttachmentUrl(element.dataset.attachmentId);
+            if (url) {
+                element.src = url;
+                return;
+            }
+
+            // Sync brings memories from other devices but not their files
+            const note = document.createElement('span');
+            note.className = 'attachment-audio attachment-missing';
+            note.textContent = `${element.tagName === 'AUDIO' ? '🎵' : '📷'} Not on this device`;
+            note.title = element.alt ? `"${element.alt}" is only on the device it was added on` : 'Only on the device it was added on';
+            element.replaceWith(note);
+        });
+    }
+
+    /**
+     * Save a memory to storage and add to map
+     */
+    async saveMemory() {
+        // Enter in a field can submit again while attachments are still being written
+        const submit = document.querySelector('#memoryForm button[type="submit"]');
+        if (submit.disabled) return;
+
+        const title = document.getElementById('memoryTitle').value.trim();
+        const date = document.getElementById('memoryDate').value;
+        const description = document.getElementById('memoryDescription').value.trim();
+        const mood = this.selectedMood();
+
+        // Validation
+        if (!title || !date || !description) {
+            alert('Please fill in all required fields.');
+            return;
+        }
+
+        const location = parseCoordinates(document.getElementById('memoryLocation').value);
+        if (!location) {
+            alert('Please enter a valid location, for example 48.8566, 2.3522.');
+            return;
+        }
+
+        // The field shows rounded coordinates, so only take them when they were changed.
+        // A route or area moves along with its pin.
+        let shape = this.currentShape;
+        if (Math.abs(location.lat - this.currentPin.lat) > 1e-6 || Math.abs(location.lng - this.currentPin.lng) > 1e-6) {
+            if (shape) {
+                shape = translateShape(shape, location.lat - this.currentPin.lat, location.lng - this.currentPin.lng) || shape;
+            }
+            this.currentPin = shape ? shapeAnchor(shape) : location;
+        }
+
+        const previous = this.editingMemory ?
+            this.memories.find(m => m.id === this.currentMemoryId) :
+            null;
+
+        // Pick up a tag or collection typed but not yet confirmed
+        ['memoryTagInput', 'memoryCollectionInput'].forEach((id, i) => {
+            const input = document.getElementById(id);
+            if (input.value.trim()) {
+                this.addFormLabel(i === 0 ? 'tags' : 'collections', input.value);
+                input.value = '';
+            }
+        });
+
+        // Keep the stored place unless the pin moved or it has none yet; namePlace() looks it up after saving
+        const pin = this.currentPin;
+        const { lat, lng } = pin;
+        const place = previous && previous.lat === lat && previous.lng === lng ? previous.place : null;
+
+        const memory = {
+            id: this.editingMemory ? this.currentMemoryId : Date.now(),
+            title,
+            date,
+            description,
+            mood,
+            attachments: this.pendingAttachments.map(({ blob, ...attachment }) => attachment),
+            tags: this.formLabels.tags.slice(),
+            collections: this.formLabels.collections.slice(),
+            place,
+            placeName: formatPlaceName(place),
+            schemaVersion: SCHEMA_VERSION,
+            shape,
+            lat,
+            lng,
+            createdAt: previous ? previous.createdAt : new Date().toISOString()
+        };
+
+        const attachments = this.pendingAttachments.slice();
+        const placing = this.photoImport && this.photoImport.placing;
+
+        submit.disabled = true;
+        try {
+            await this.storePendingAttachments(attachments);
+        } catch (error) {
+            console.error('Failed to save attachments:', error);
+            this.showToast('Failed to save attachments. Storage may be full.', 'error');
+            return;
+        } finally {
+            submit.disabled = false;
+        }
+
+        // A photo placed by hand from the photo import is done with
+        if (placing) {
+            this.photoImport.unlocated = this.photoImport.unlocated.filter(photo => photo !== placing);
+        }
+
+        // Unless it was closed while the attachments were written
+        if (this.currentPin === pin) {
+            this.closeModal();
+        }
+
+        const change = { id: memory.id, before: previous, after: memory };
+        await this.runCommand({
+            type: previous ? 'edit' : 'create',
+            label: `${previous ? 'editing' : 'creating'} "${title}"`,
+            changes: [change]
+        }, 'Memory saved successfully! 🎉');
+
+        if (!place) {
+            await this.namePlace(change);
+        }
+    }
+
+    /**
+     * Look up the place of a memory saved without one and add it, to the memory and to the change
+     * that saved it so redo keeps it. Skipped when the memory has moved or been named since.
+     */
+    async namePlace(change) {
+        const saved = change.after;
+        const place = await this.lookupPlace(saved.lat, saved.lng);
+        if (!place) return;
+
+        const named = { place, placeName: formatPlaceName(place) };
+        if (change.after === saved) {
+            change.after = Object.assign({}, saved, named);
+        }
+
+        const current = this.memories.find(memory => memory.id === saved.id);
+        if (!current || current.place || current.lat !== saved.lat || current.lng !== saved.lng) return;
+
+        this.applyChanges([{ id: current.id, before: current, after: Object.assign({}, current, named) }], 'after');
+        await this.persistChanges();
+    }
+
+    /**
+     * Apply a command, remember it for undo and offer to undo it straight away
+     */
+    async runCommand(command, message) {
+        this.applyChanges(command.changes, 'after');
+        this.history.record(command);
+        this.updateHistoryButtons();
+        this.showToast(message, 'success', { label: 'Undo', callback: () => this.undo() });
+        await this.persistChanges();
+    }
+
+    /**
+     * Undo the latest command
+     */
+    async undo() {
+        const command = this.history.undo();
+        if (!command) {
+            this.showToast('Nothing to undo', 'info');
+            return;
+        }
+
+        this.applyChanges(command.changes, 'before', { trash: !ADDING_COMMANDS.includes(command.type) });
+        this.updateHistoryButtons();
+        this.showToast(`Undone: ${command.label}`, 'info', { label: 'Redo', callback: () => this.redo() });
+        await this.persistChanges();
+    }
+
+    /**
+     * Redo the latest undone command
+     */
+    async redo() {
+        const command = this.history.redo();
+        if (!command) {
+            this.showToast('Nothing to redo', 'info');
+            return;
+        }
+
+        this.applyChanges(command.changes, 'after');
+        this.updateHistoryButtons();
+        this.showToast(`Redone: ${command.label}`, 'info', { label: 'Undo', callback: () => this.undo() });
+        await this.persistChanges();
+    }
+
+    /**
+     * Put each changed memory into its 'before' or 'after' state.
+     * A null state sends the memory to the trash, or just removes it when trash is false;
+     * a memory state brings it back from there.
+     * Memories get a new rev and updatedAt unless stamp is false, as for changes from sync.
+     */
+    applyChanges(changes, state, { stamp = true, trash = true } = {}) {
+        const deletedAt = new Date().toISOString();
+        const memories = new Map(this.memories.map(memory => [memory.id, memory]));
+        const shown = [];
+
+        this.markerLayer.removeLayers(changes.map(change => this.pins.get(change.id)).filter(Boolean));
+
+        changes.forEach(change => {
+            const memory = change[state];
+            const current = memories.get(change.id);
+            this.pins.delete(change.id);
+
+            const shape = this.shapes.get(change.id);
+            if (shape) {
+                this.shapeLayer.removeLayer(shape);
+                this.shapes.delete(change.id);
+            }
+
+            if (memory) {
+                const record = stamp ? stampRevision(memory, current) : memory;
+                this.trash = this.trash.filter(entry => entry.memory.id !== change.id);
+                memories.set(change.id, record);
+                this.searchIndex.update(record);
+                shown.push(record);
+            } else if (current) {
+                memories.delete(change.id);
+                if (trash) {
+                    this.trash.push({ memory: current, deletedAt });
+                }
+                this.searchIndex.remove(change.id);
+            }
+        });
+
+        this.memories = Array.from(memories.values());
+        this.markerLayer.addLayers(shown.map(memory => this.createMarker(memory)));
+        this.renderTimeline();
+        this.renderLabelFilters();
+        this.renderPlaceFilters();
+
+        if (this.hasActiveFilters()) {
+            this.applyFilters({ announce: false });
+        } else {
+            this.updateShapes();
+            this.renderMemoryList();
+            this.refreshOverlays();
+        }
+
+        if (document.getElementById('trashModal').style.display === 'block') {
+            this.renderTrash();
+        }
+    }
+
+    /**
+     * Save memories and the trash, then drop attachments nothing refers to any more
+     */
+    async persistChanges() {
+        await this.saveToStorage();
+        await this.saveTrash();
+        await this.pruneAttachments();
+        this.scheduleSync();
+    }
+
+    /**
+     * Enable the undo/redo buttons only when there is something to undo or redo
+     */
+    updateHistoryButtons() {
+        const undo = this.history.nextUndo();
+        const redo = this.history.nextRedo();
+
+        document.getElementById('undoButton').disabled = !undo;
+        document.getElementById('undoButton').title = undo ? `Undo ${undo.label} (Ctrl+Z)` : 'Nothing to undo';
+        document.getElementById('redoButton').disabled = !redo;
+        document.getElementById('redoButton').title = redo ? `Redo ${redo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    /**
+     * Add a pin to the map for the given memory
+     */
+    addPinToMap(memory) {
+        this.markerLayer.addLayer(this.createMarker(memory));
+    }
+
+    /**
+     * Create the marker for a memory and register it in the pin index
+     */
+    createMarker(memory) {
+        const pinElement = document.createElement('div');
+        pinElement.className = 'memory-pin';
+        pinElement.setAttribute('data-mood', memory.mood);
+        if (memory.mood !== NO_MOOD && MOOD_COLORS[memory.mood]) {
+            pinElement.style.background = MOOD_COLORS[memory.mood];
+        }
+
+        const icon = L.divIcon({
+            html: pinElement.outerHTML,
+            className: '',
+            iconSize: [30, 30],
+            iconAnchor: [15, 30]
+        });
+
+        const marker = L.marker([memory.lat, memory.lng], { icon, mood: memory.mood });
+        this.bindMemoryLayer(marker, memory);
+        this.pins.set(memory.id, marker);
+
+        if (memory.shape) {
+            this.createShape(memory);
+        }
+        return marker;
+    }
+
+    /**
+     * Draw a route or area memory as a line or polygon in its mood's colour, and register it.
+     * It goes on the map with updateShapes().
+     */
+    createShape(memory) {
+        const style = {
+            color: MOOD_COLORS[memory.mood] || MOOD_COLORS['📍'],
+            weight: 5,
+            opacity: 0.85,
+            className: 'memory-shape'
+        };
+        const layer = memory.shape.type === 'area' ?
+            L.polygon(memory.shape.points, Object.assign(style, { fillOpacity: 0.25 })) :
+            L.polyline(memory.shape.points, style);
+
+        this.bindMemoryLayer(layer, memory);
+        this.shapes.set(memory.id, layer);
+    }
+
+    /**
+     * Give a memory's pin or shape its popup, and tie it to the memory's row in the list
+     */
+    bindMemoryLayer(layer, memory) {
+        layer.bindPopup(this.createPopupContent(memory), {
+            className: 'custom-popup',
+            maxWidth: 300
+        });
+
+        layer.on('popupopen', (e) => {
+            this.hydrateAttachments(e.popup.getElement());
+            this.setSelectedListRow(memory.id);
+        });
+        layer.on('mouseover', () => this.highlightListRow(memory.id, true));
+        layer.on('mouseout', () => this.highlightListRow(memory.id, false));
+    }
+
+    /**
+     * Show the routes and areas of the memories the filters let through
+     */
+    updateShapes() {
+        this.shapes.forEach((layer, id) => {
+            if (this.hiddenIds.has(id)) {
+                this.shapeLayer.removeLayer(layer);
+            } else {
+                this.shapeLayer.addLayer(layer);
+            }
+        });
+    }
+
+    /**
+     * Build a cluster icon showing the pin count and the dominant mood
+     */
+    createClusterIcon(cluster) {
+        const counts = {};
+        cluster.getAllChildMarkers().forEach(marker => {
+            counts[marker.options.mood] = (counts[marker.options.mood] || 0) + 1;
+        });
+
+        const dominantMood = Object.keys(counts).reduce((a, b) => counts[b] > counts[a] ? b : a);
+        const count = cluster.getChildCount();
+        const size = count < 10 ? 44 : count < 100 ? 52 : 60;
+
+        return L.divIcon({
+            html: `
+                <div class="memory-cluster">
+                    <span class="cluster-mood">${this.escapeHtml(dominantMood)}</span>
+                    <span class="cluster-count">${count}</span>
+                </div>
+            `,
+            className: '',
+            iconSize: [size, size]
+        });
+    }
+
+    /**
+     * Pan to a memory's pin, expanding its cluster if needed, and open the popup
+     */
+    focusMemory(memoryId) {
+        const marker = this.pins.get(memoryId);
+        if (!marker || !this.markerLayer.hasLayer(marker)) return;
+
+        // Routes and areas are shown whole, with the popup on the shape
+        const shape = this.shapes.get(memoryId);
+        if (shape) {
+            this.map.fitBounds(shape.getBounds(), { padding: [50, 50], maxZoom: 16 });
+            shape.openPopup();
+            return;
+        }
+
+        this.markerLayer.zoomToShowLayer(marker, () => marker.openPopup());
+    }
+
+    /**
+     * Show or hide the sidebar listing the memories that pass the filters
+     */
+    toggleMemoryList() {
+        this.memoryList.open = !this.memoryList.open;
+        document.getElementById('memorySidebar').hidden = !this.memoryList.open;
+
+        const toggle = document.getElementById('memoryListToggle');
+        toggle.setAttribute('aria-expanded', String(this.memoryList.open));
+
+        if (this.memoryList.open) {
+            this.renderMemoryList();
+            document.getElementById('memoryList').focus();
+        } else {
+            toggle.focus();
+        }
+    }
+
+    /**
+     * Memories in the list: those the filters let through, in the chosen order
+     */
+    listedMemories() {
+        const { sort, descending } = this.memoryList;
+        return sortMemories(this.visibleMemories(), sort, { descending, center: this.map.getCenter() });
+    }
+
+    /**
+     * Fill the memory list, keeping the row the keyboard is on where it still exists
+     */
+    renderMemoryList() {
+        if (!this.memoryList.open) return;
+
+        const memories = this.listedMemories();
+        const list = document.getElementById('memoryList');
+        const center = this.map.getCenter();
+
+        if (!memories.some(memory => memory.id === this.memoryList.activeId)) {
+            this.memoryList.activeId = null;
+        }
+
+        list.innerHTML = memories.map(memory => {
+            const details = [new Date(memory.date).toLocaleDateString()];
+            if (memory.placeName) {
+                details.push(memory.placeName);
+            }
+            if (memory.shape) {
+                details.push(SHAPE_TYPES[memory.shape.type].label);
+            }
+            if (this.memoryList.sort === 'distance') {
+                details.push(formatDistance(haversineDistance(center, memory)));
+            }
+
+            const classes = ['memory-row'];
+            if (memory.id === this.memoryList.activeId) {
+                classes.push('active');
+            }
+
+            return `
+                <li role="option" id="memoryRow-${memory.id}" class="${classes.join(' ')}" data-id="${memory.id}" aria-selected="${memory.id === this.memoryList.selectedId}">
+                    <span class="memory-row-mood">${this.escapeHtml(memory.mood)}</span>
+                    <span class="memory-row-info">
+                        <strong>${this.escapeHtml(memory.title)}</strong>
+                        <small>${this.escapeHtml(details.join(' · '))}</small>
+                    </span>
+                </li>`;
+        }).join('');
+
+        if (this.memoryList.activeId === null) {
+            list.removeAttribute('aria-activedescendant');
+        } else {
+            list.setAttribute('aria-activedescendant', `memoryRow-${this.memoryList.activeId}`);
+        }
+
+        document.getElementById('memoryListCount').textContent = memories.length === 0 ?
+            (this.memories.length === 0 ? 'No memories yet.' : 'No memories match the filters.') :
+            `${memories.length} of ${this.memories.length} ${this.memories.length === 1 ? 'memory' : 'memories'}`;
+    }
+
+    /**
+     * Sort the list another way, starting in that order's usual direction
+     */
+    setMemorySort(sort) {
+        this.memoryList.sort = sort;
+        this.memoryList.descending = MEMORY_SORTS[sort].descending;
+        this.updateMemorySortControls();
+        this.renderMemoryList();
+    }
+
+    /**
+     * Flip the list between ascending and descending order
+     */
+    reverseMemorySort() {
+        this.memoryList.descending = !this.memoryList.descending;
+        this.updateMemorySortControls();
+        this.renderMemoryList();
+    }
+
+    /**
+     * Show the chosen order and its direction on the sort controls
+     */
+    updateMemorySortControls() {
+        const { sort, descending } = this.memoryList;
+        const label = descending ? 'Descending order' : 'Ascending order';
+        const button = document.getElementById('memorySortDirection');
+
+        document.getElementById('memorySort').value = sort;
+        button.textContent = descending ? '↓' : '↑';
+        button.setAttribute('aria-label', `${label}, click to reverse`);
+        button.title = label;
+    }
+
+    /**
+     * Keyboard navigation in the list: arrows, Page Up/Down, Home and End move,
+     * Enter or Space shows the memory on the map (and opens it when already shown), Escape closes
+     */
+    handleMemoryListKey(e) {
+        const ids = this.listedMemories().map(memory => memory.id);
+        const index = ids.indexOf(this.memoryList.activeId);
+        const moves = {
+            ArrowDown: index + 1,
+            ArrowUp: index - 1,
+            PageDown: index + 10,
+            PageUp: index - 10,
+            Home: 0,
+            End: ids.length - 1
+        };
+
+        if (e.key in moves) {
+            e.preventDefault();
+            this.moveMemoryListFocus(Math.max(0, Math.min(ids.length - 1, index === -1 ? 0 : moves[e.key])));
+        } else if ((e.key === 'Enter' || e.key === ' ') && index !== -1) {
+            e.preventDefault();
+            this.selectListMemory(ids[index]);
+        } else if (e.key === 'Escape') {
+            // Handled here so it doesn't also close whatever else Escape closes
+            e.stopPropagation();
+            this.toggleMemoryList();
+        }
+    }
+
+    /**
+     * Put the keyboard on the row at a position in the list, scrolling it into view
+     */
+    moveMemoryListFocus(position) {
+        const rows = document.querySelectorAll('#memoryList .memory-row');
+        const row = rows[position];
+        if (!row) return;
+
+        rows.forEach(other => other.classList.toggle('active', other === row));
+        this.memoryList.activeId = Number(row.dataset.id);
+        document.getElementById('memoryList').setAttribute('aria-activedescendant', row.id);
+        row.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Show a listed memory's pin with its popup, or open the memory if that is already showing
+     */
+    selectListMemory(memoryId) {
+        const position = this.listedMemories().findIndex(memory => memory.id === memoryId);
+        this.moveMemoryListFocus(position);
+
+        if (this.memoryList.selectedId === memoryId && this.pins.get(memoryId).isPopupOpen()) {
+            this.showMemoryDetail(memoryId);
+            return;
+        }
+        this.focusMemory(memoryId);
+    }
+
+    /**
+     * Mark the row of the memory whose popup is open
+     */
+    setSelectedListRow(memoryId) {
+        this.memoryList.selectedId = memoryId;
+        document.querySelectorAll('#memoryList .memory-row').forEach(row => {
+            row.setAttribute('aria-selected', String(Number(row.dataset.id) === memoryId));
+        });
+
+        const row = document.getElementById(`memoryRow-${memoryId}`);
+        if (row) {
+            row.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Highlight a memory's row while the pointer is over its pin
+     */
+    highlightListRow(memoryId, highlighted) {
+        const row = document.getElementById(`memoryRow-${memoryId}`);
+        if (row) {
+            row.classList.toggle('highlight', highlighted);
+        }
+    }
+
+    /**
+     * Create popup content for a memory pin
+     */
+    createPopupContent(memory) {
+        const text = stripMarkdown(memory.description);
+        const excerpt = text.substring(0, 100) + (text.length > 100 ? '...' : '');
+        const attachments = memory.attachments || [];
+        const photos = attachments.filter(a => a.kind === 'photo');
+        const audioCount = attachments.filter(a => a.kind === 'audio').length;
+
+        const thumbnails = attachments.length === 0 ? '' : `
+                <div class="popup-attachments">
+                    ${photos.slice(0, 3).map(photo => `<img class="attachment-thumb" data-attachment-id="${this.escapeAttribute(photo.id)}" alt="${this.escapeAttribute(photo.name)}">`).join('')}
+                    ${photos.length > 3 ? `<span class="attachment-more">+${photos.length - 3}</span>` : ''}
+                    ${audioCount > 0 ? `<span class="attachment-more">🎵 ${audioCount}</span>` : ''}
+                </div>`;
+        
+        return `
+            <div class="popup-content">
+                <div class="popup-title">${this.escapeHtml(memory.title)}</div>
+                <div class="popup-mood" title="${this.escapeAttribute(moodLabel(this.moodPalette, memory.mood))}">${this.escapeHtml(memory.mood)}</div>${memory.placeName ? `
+                <div class="popup-place">📍 ${this.escapeHtml(memory.placeName)}</div>` : ''}${memory.shape ? `
+                <div class="popup-place">${describeShape(memory.shape)}</div>` : ''}${thumbnails}
+                <div class="popup-excerpt">${this.escapeHtml(excerpt)}</div>
+                <button class="popup-btn" onclick="lifeAtlas.showMemoryDetail(${memory.id})">Open Memory</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Escape text for use inside a double-quoted HTML attribute
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show detailed view of a memory
+     */
+    showMemoryDetail(memoryId) {
+        const memory = this.memories.find(m => m.id === memoryId);
+        if (!memory) return;
+
+        this.markViewed(memoryId);
+
+        const attachments = memory.attachments || [];
+        const photos = attachments.filter(a => a.kind === 'photo');
+        const clips = attachments.filter(a => a.kind === 'audio');
+
+        const gallery = photos.length === 0 ? '' : `
+                <div class="memory-gallery">
+                    ${photos.map(photo => `<img class="gallery-photo" data-attachment-id="${this.escapeAttribute(photo.id)}" alt="${this.escapeAttribute(photo.name)}" onclick="this.classList.toggle('expanded')">`).join('')}
+                </div>`;
+
+        const audio = clips.length === 0 ? '' : `
+                <div class="memory-audio">
+                    ${clips.map(clip => `
+                        <figure>
+                            <figcaption>🎵 ${this.escapeHtml(clip.name)}</figcaption>
+                            <audio controls preload="none" data-attachment-id="${this.escapeAttribute(clip.id)}"></audio>
+                        </figure>`).join('')}
+                </div>`;
+
+        const labels = (memory.tags || []).length + (memory.collections || []).length === 0 ? '' : `
+                <div class="memory-labels">
+                    ${(memory.collections || []).map(name => `<button type="button" class="chip chip-collections" data-collection="${this.escapeAttribute(name)}" onclick="lifeAtlas.showCollection(this.dataset.collection)">📚 ${this.escapeHtml(name)}</button>`).join('')}
+                    ${(memory.tags || []).map(tag => `<span class="chip chip-tags">#${this.escapeHtml(tag)}</span>`).join('')}
+                </div>`;
+
+        const content = `
+            <div class="memory-detail">
+                <h3>${this.escapeHtml(memory.title)}</h3>
+                <div class="memory-meta">
+                    <span>📅 ${new Date(memory.date).toLocaleDateString()}</span>
+                    <span>${this.escapeHtml(moodLabel(this.moodPalette, memory.mood))}</span>${memory.placeName ? `
+                    <span>📍 ${this.escapeHtml(memory.placeName)}</span>` : ''}${memory.shape ? `
+                    <span>${describeShape(memory.shape)}</span>` : ''}
+                    <span>🕒 ${new Date(memory.createdAt).toLocaleDateString()}</span>
+                </div>${labels}
+                <div class="memory-description markdown">${renderMarkdown(memory.description)}</div>${gallery}${audio}
+            </div>
+        `;
+
+        const container = document.getElementById('memoryDetailContent');
+        container.innerHTML = content;
+        this.hydrateAttachments(container);
+        document.getElementById('detailModal').style.display = 'block';
+        this.currentMemoryId = memoryId;
+        this.updateUrl(true);
+    }
+
+    /**
+     * Close the memory detail modal
+     */
+    closeDetailModal() {
+        const modal = document.getElementById('detailModal');
+        const wasOpen = modal.style.display === 'block';
+
+        modal.style.display = 'none';
+        this.currentMemoryId = null;
+
+        if (wasOpen) {
+            this.leaveUrlRoute();
+        }
+    }
+
+    /**
+     * Edit an existing memory
+     */
+    editMemory() {
+        const memory = this.memories.find(m => m.id === this.currentMemoryId);
+        if (!memory) return;
+
+        this.currentPin = { lat: memory.lat, lng: memory.lng };
+        this.currentShape = memory.shape || null;
+        this.editingMemory = true;
+
+        // Populate form with existing data
+        document.getElementById('memoryTitle').value = memory.title;
+        document.getElementById('memoryDate').value = memory.date;
+        document.getElementById('memoryDescription').value = memory.description;
+        this.pendingAttachments = (memory.attachments || []).map(a => Object.assign({}, a));
+        this.renderAttachmentList();
+        this.formLabels = {
+            tags: (memory.tags || []).slice(),
+            collections: (memory.collections || []).slice()
+        };
+        this.renderFormLabels();
+        
+        // Select the mood, even one retired since
+        this.renderMoodOptions(memory.mood);
+
+        // Closing the detail view forgets the current memory, so keep hold of it for saving
+        this.closeDetailModal();
+        this.currentMemoryId = memory.id;
         this.showModal();
     }
 
     /**
-     * Delete a memory
+     * Delete a memory
+     */
+    deleteMemory() {
+        const memory = this.memories.find(m => m.id === this.currentMemoryId);
+        if (!memory) return;
+
+        this.closeDetailModal();
+        this.runCommand({
+            type: 'delete',
+            label: `deleting "${memory.title}"`,
+            changes: [{ id: memory.id, before: memory, after: null }]
+        }, 'Memory moved to the trash 🗑️');
+    }
+
+    /**
+     * Let the open memory's pin be dragged to a new place; dropping it saves the move
+     */
+    moveMemory() {
+        const memory = this.memories.find(m => m.id === this.currentMemoryId);
+        const marker = memory && this.pins.get(memory.id);
+        if (!marker) return;
+
+        this.closeDetailModal();
+        this.cancelMove();
+
+        if (!this.markerLayer.hasLayer(marker)) {
+            this.showToast('Clear the filters to move this memory.', 'error');
+            return;
+        }
+
+        // Pins inside a cluster can't be grabbed, so zoom until this one stands alone
+        this.markerLayer.zoomToShowLayer(marker, () => {
+            const onDrop = () => this.finishMove();
+            this.movingPin = { id: memory.id, marker, onDrop };
+
+            marker.closePopup();
+            marker.dragging.enable();
+            marker.once('dragend', onDrop);
+            L.DomUtil.addClass(marker.getElement(), 'memory-pin-moving');
+
+            const message = memory.shape ?
+                `✋ Drag the pin to move the whole ${SHAPE_TYPES[memory.shape.type].label.toLowerCase()}` :
+                '✋ Drag the pin to its new place';
+            this.showToast(message, 'info', { label: 'Cancel', callback: () => this.cancelMove() });
+        });
+    }
+
+    /**
+     * Save a dragged pin's new position as an undoable move
+     */
+    async finishMove() {
+        const move = this.movingPin;
+        if (!move) return;
+
+        this.movingPin = null;
+        this.stopDragging(move.marker);
+
+        const memory = this.memories.find(m => m.id === move.id);
+        if (!memory) return;
+
+        const dropped = move.marker.getLatLng().wrap();
+        const shape = memory.shape ?
+            translateShape(memory.shape, dropped.lat - memory.lat, dropped.lng - memory.lng) || memory.shape :
+            null;
+        const { lat, lng } = shape ? shapeAnchor(shape) : dropped;
+
+        // The old place name no longer applies; namePlace() finds the new one
+        const change = { id: memory.id, before: memory, after: Object.assign({}, memory, { lat, lng, shape, place: null, placeName: '' }) };
+        await this.runCommand({
+            type: 'move',
+            label: `moving "${memory.title}"`,
+            changes: [change]
+        }, `📍 Moved "${memory.title}"`);
+
+        await this.namePlace(change);
+    }
+
+    /**
+     * Make a marker fixed again. Leaflet drops the drag handler while a marker is hidden
+     * in a cluster and restores it from the draggable option, so clear that too.
+     */
+    stopDragging(marker) {
+        marker.options.draggable = false;
+        if (marker.dragging) {
+            marker.dragging.disable();
+        }
+    }
+
+    /**
+     * Stop moving a pin and put it back where it was
+     */
+    cancelMove() {
+        const move = this.movingPin;
+        if (!move) return;
+
+        this.movingPin = null;
+        move.marker.off('dragend', move.onDrop);
+        this.stopDragging(move.marker);
+
+        const memory = this.memories.find(m => m.id === move.id);
+        if (memory) {
+            move.marker.setLatLng([memory.lat, memory.lng]);
+        }
+        if (move.marker.getElement()) {
+            L.DomUtil.removeClass(move.marker.getElement(), 'memory-pin-moving');
+        }
+        this.showToast('Move cancelled', 'info');
+    }
+
+    /**
+     * Load all memories from storage and add to map
+     */
+    loadMemories() {
+        this.markerLayer.addLayers(this.memories.map(memory => this.createMarker(memory)));
+        this.searchIndex.rebuild(this.memories);
+        this.renderTimeline();
+        this.renderLabelFilters();
+        this.renderPlaceFilters();
+        this.updateShapes();
+        this.renderMemoryList();
+        this.refreshOverlays();
+    }
+
+    /**
+     * Persist memories through the active storage backend
+     */
+    async saveToStorage() {
+        if (!this.storage) return;
+
+        try {
+            await this.storage.saveMemories(this.memories);
+        } catch (error) {
+            console.error('Failed to save memories:', error);
+            this.showToast('Failed to save memory. Storage may be full.', 'error');
+        }
+    }
+
+    /**
+     * Toggle the filters panel
+     */
+    toggleFilters() {
+        const filters = document.getElementById('filters');
+        filters.style.display = filters.style.display === 'none' ? 'block' : 'none';
+    }
+
+    /**
+     * Read the current filter settings from the filters panel
+     */
+    getFilterCriteria() {
+        const criteria = {
+            mood: document.getElementById('moodFilter').value,
+            dateFrom: document.getElementById('dateFromFilter').value,
+            dateTo: document.getElementById('dateToFilter').value,
+            query: document.getElementById('searchInput').value.trim(),
+            labels: Array.from(document.querySelectorAll('#labelFilterList input:checked')).map(input => input.value),
+            labelMode: document.getElementById('labelFilterMode').value,
+            country: document.getElementById('countryFilter').value,
+            city: document.getElementById('cityFilter').value
+        };
+
+        if (this.timeline.open && this.timeline.buckets.length > 0) {
+            const { from, to } = this.getTimelineRange();
+            criteria.timelineFrom = monthBounds(from).from;
+            criteria.timelineTo = monthBounds(to).to;
+        }
+
+        if (this.timeline.playhead) {
+            criteria.playhead = this.timeline.playhead;
+        }
+
+        return criteria;
+    }
+
+    /**
+     * Whether any filter or search is narrowing down the memories
+     */
+    hasActiveFilters() {
+        const { mood, dateFrom, dateTo, query, labels, country, city, timelineFrom } = this.getFilterCriteria();
+        return Boolean(mood || dateFrom || dateTo || query || labels.length > 0 || country || city || timelineFrom);
+    }
+
+    /**
+     * Apply filters and search to memories
+     */
+    applyFilters({ announce = true } = {}) {
+        const criteria = this.getFilterCriteria();
+        const results = criteria.query ? this.searchIndex.search(criteria.query) : null;
+        const matchedIds = results ? new Set(results.map(result => result.id)) : null;
+
+        const visible = [];
+        const hidden = [];
+        const visibleMemories = [];
+
+        this.hiddenIds.clear();
+        this.memories.forEach(memory => {
+            const show = matchesFilters(memory, criteria) && (!matchedIds || matchedIds.has(memory.id));
+            (show ? visible : hidden).push(this.pins.get(memory.id));
+            if (show) {
+                visibleMemories.push(memory);
+            } else {
+                this.hiddenIds.add(memory.id);
+            }
+        });
+
+        // Hidden pins leave the cluster group so they don't count towards clusters
+        this.markerLayer.removeLayers(hidden);
+        this.markerLayer.addLayers(visible);
+
+        this.renderSearchResults(results, criteria);
+        this.updateShapes();
+        this.renderMemoryList();
+        this.refreshOverlays();
+        this.updateJourneyPath(visibleMemories);
+        this.scheduleUrlUpdate();
+
+        if (announce) {
+            this.showToast(`Showing ${visible.length} of ${this.memories.length} memories`);
+        }
+    }
+
+    /**
+     * List search results, ranked by relevance, with the matching words highlighted
+     */
+    renderSearchResults(results, criteria) {
+        const list = document.getElementById('searchResults');
+
+        if (!results) {
+            list.innerHTML = '';
+            list.style.display = 'none';
+            return;
+        }
+
+        const memoriesById = new Map(this.memories.map(m => [m.id, m]));
+        const matches = results
+            .map(result => memoriesById.get(result.id))
+            .filter(memory => memory && matchesFilters(memory, criteria));
+
+        const highlight = (text, maxLength) => highlightText(text, criteria.query, maxLength)
+            .map(segment => segment.highlight ?
+                `<mark>${this.escapeHtml(segment.text)}</mark>` :
+                this.escapeHtml(segment.text))
+            .join('');
+
+        list.innerHTML = matches.length === 0 ?
+            '<p class="search-empty">No memories found.</p>' :
+            matches.map(memory => `
+                <button type="button" class="search-result" onclick="lifeAtlas.focusMemory(${memory.id})">
+                    <span class="search-result-title">${this.escapeHtml(memory.mood)} ${highlight(memory.title)}</span>
+                    <span class="search-result-date">${new Date(memory.date).toLocaleDateString()}</span>
+                    <span class="search-result-snippet">${highlight(stripMarkdown(memory.description), 120)}</span>
+                </button>
+            `).join('');
+        list.style.display = 'block';
+    }
+
+    /**
+     * List the tags and collections in use as filter checkboxes, keeping the current selection
+     */
+    renderLabelFilters() {
+        const list = document.getElementById('labelFilterList');
+        const selected = new Set(Array.from(list.querySelectorAll('input:checked')).map(input => input.value));
+        const { tags, collections } = collectLabels(this.memories);
+
+        const option = (kind, label) => {
+            const value = `${kind}:${label.name}`;
+            const view = kind === 'collection' ?
+                `<button type="button" class="link-btn" title="Show this collection on the map" data-collection="${this.escapeAttribute(label.name)}" onclick="event.preventDefault(); lifeAtlas.showCollection(this.dataset.collection)">🔎</button>` :
+                '';
+
+            return `
+                <label class="label-filter">
+                    <input type="checkbox" value="${this.escapeAttribute(value)}" ${selected.has(value) ? 'checked' : ''}>
+                    ${kind === 'collection' ? '📚' : '#'}${this.escapeHtml(label.name)} <small>(${label.count})</small>
+                    ${view}
+                </label>`;
+        };
+
+        list.innerHTML = tags.length + collections.length === 0 ?
+            '<p class="search-empty">No tags or collections yet.</p>' :
+            collections.map(label => option('collection', label)).join('') +
+            tags.map(label => option('tag', label)).join('');
+    }
+
+    /**
+     * Fill the country and city filters with the places memories are in, keeping the current selection.
+     * Cities are limited to the chosen country.
+     */
+    renderPlaceFilters() {
+        const countrySelect = document.getElementById('countryFilter');
+        const citySelect = document.getElementById('cityFilter');
+        const places = collectPlaces(this.memories);
+        const selectedCountry = countrySelect.value;
+        const selectedCity = citySelect.value;
+
+        const options = (values, all, selected) => `<option value="">${all}</option>` + values.map(value => `
+            <option value="${this.escapeAttribute(value)}" ${value === selected ? 'selected' : ''}>${this.escapeHtml(value)}</option>`).join('');
+
+        countrySelect.innerHTML = options(places.map(place => place.country), 'All Countries', selectedCountry);
+
+        const cities = places
+            .filter(place => !countrySelect.value || place.country === countrySelect.value)
+            .reduce((all, place) => all.concat(place.cities), [])
+            .filter((city, index, all) => all.indexOf(city) === index)
+            .sort((a, b) => a.localeCompare(b));
+        citySelect.innerHTML = options(cities, 'All Cities', selectedCity);
+    }
+
+    /**
+     * Show only one collection and fit the map to its memories
+     */
+    showCollection(name) {
+        const value = `collection:${name}`.toLowerCase();
+        document.querySelectorAll('#labelFilterList input').forEach(input => {
+            input.checked = input.value.toLowerCase() === value;
+        });
+
+        this.closeDetailModal();
+        this.applyFilters({ announce: false });
+
+        const members = this.memories.filter(memory => matchesLabels(memory, [`collection:${name}`]));
+        if (members.length > 0) {
+            this.map.fitBounds(L.latLngBounds(members.map(m => [m.lat, m.lng])), { padding: [50, 50], maxZoom: 15 });
+        }
+
+        this.showToast(`📚 ${name}: ${members.length} ${members.length === 1 ? 'memory' : 'memories'}`);
+    }
+
+    /**
+     * Clear all filters
+     */
+    clearFilters() {
+        document.getElementById('moodFilter').value = '';
+        document.getElementById('dateFromFilter').value = '';
+        document.getElementById('dateToFilter').value = '';
+        document.getElementById('searchInput').value = '';
+        document.querySelectorAll('#labelFilterList input').forEach(input => {
+            input.checked = false;
+        });
+        document.getElementById('countryFilter').value = '';
+        document.getElementById('cityFilter').value = '';
+        this.renderPlaceFilters();
+
+        this.stopTimelinePlayback();
+        this.timeline.fromKey = null;
+        this.timeline.toKey = null;
+        this.renderTimeline();
+        
+        this.applyFilters({ announce: false });
+
+        this.showToast('All filters cleared');
+    }
+
+    /**
+     * Show or hide the timeline bar under the map
+     */
+    toggleTimeline() {
+        this.timeline.open = !this.timeline.open;
+        document.getElementById('timeline').style.display = this.timeline.open ? 'flex' : 'none';
+        document.body.classList.toggle('timeline-open', this.timeline.open);
+
+        if (!this.timeline.open) {
+            this.stopTimelinePlayback();
+            document.getElementById('journeyToggle').checked = false;
+        }
+
+        this.map.invalidateSize();
+        this.renderTimeline();
+        this.applyFilters({ announce: false });
+    }
+
+    /**
+     * The selected month range, defaulting to the full timeline
+     */
+    getTimelineRange() {
+        const { buckets, fromKey, toKey } = this.timeline;
+        const first = buckets[0].key;
+        const last = buckets[buckets.length - 1].key;
+
+        const from = fromKey && fromKey >= first && fromKey <= last ? fromKey : first;
+        const to = toKey && toKey >= from && toKey <= last ? toKey : last;
+        return { from, to };
+    }
+
+    /**
+     * Move one of the timeline range handles
+     */
+    setTimelineRange(handle, index) {
+        const { buckets } = this.timeline;
+        const { from, to } = this.getTimelineRange();
+        let fromIndex = buckets.findIndex(b => b.key === from);
+        let toIndex = buckets.findIndex(b => b.key === to);
+
+        if (handle === 'timelineStart') {
+            fromIndex = Math.min(index, toIndex);
+        } else {
+            toIndex = Math.max(index, fromIndex);
+        }
+
+        this.timeline.fromKey = buckets[fromIndex].key;
+        this.timeline.toKey = buckets[toIndex].key;
+        this.renderTimeline();
+        this.applyFilters({ announce: false });
+    }
+
+    /**
+     * Draw the per-month histogram and range handles
+     */
+    renderTimeline() {
+        if (!this.timeline.open) return;
+
+        const buckets = buildMonthHistogram(this.memories);
+        this.timeline.buckets = buckets;
+
+        const histogram = document.getElementById('timelineHistogram');
+        const startInput = document.getElementById('timelineStart');
+        const endInput = document.getElementById('timelineEnd');
+
+        if (buckets.length === 0) {
+            histogram.innerHTML = '';
+            document.getElementById('timelineFromLabel').textContent = 'No memories yet';
+            document.getElementById('timelineToLabel').textContent = '';
+            return;
+        }
+
+        const { from, to } = this.getTimelineRange();
+        const fromIndex = buckets.findIndex(b => b.key === from);
+        const toIndex = buckets.findIndex(b => b.key === to);
+        const playheadKey = this.timeline.playhead ? monthKey(this.timeline.playhead) : null;
+        const max = Math.max(...buckets.map(b => b.count));
+
+        histogram.setAttribute('viewBox', `0 0 ${buckets.length} 100`);
+        histogram.innerHTML = buckets.map((bucket, i) => {
+            const height = bucket.count === 0 ? 0 : Math.max(4, bucket.count / max * 100);
+            const classes = ['timeline-bar'];
+            if (i >= fromIndex && i <= toIndex) classes.push('in-range');
+            if (bucket.key === playheadKey) classes.push('playhead');
+
+            return `
+                <rect class="${classes.join(' ')}" x="${i + 0.1}" y="${100 - height}" width="0.8" height="${height}">
+                    <title>${monthLabel(bucket.key)}: ${bucket.count} ${bucket.count === 1 ? 'memory' : 'memories'}</title>
+                </rect>
+            `;
+        }).join('');
+
+        [startInput, endInput].forEach(input => {
+            input.max = buckets.length - 1;
+        });
+        startInput.value = fromIndex;
+        endInput.value = toIndex;
+
+        document.getElementById('timelineFromLabel').textContent = monthLabel(from);
+        document.getElementById('timelineToLabel').textContent = monthLabel(to);
+    }
+
+    /**
+     * Start or pause playing memories back in date order
+     */
+    toggleTimelinePlayback() {
+        if (this.timeline.timer) {
+            this.stopTimelinePlayback();
+            return;
+        }
+
+        // Play back whatever the current filters show
+        this.timeline.playhead = null;
+        this.applyFilters({ announce: false });
+
+        const sequence = sortChronologically(this.memories.filter(m => this.markerLayer.hasLayer(this.pins.get(m.id))));
+        if (sequence.length === 0) {
+            this.showToast('No memories to play back.', 'info');
+            return;
+        }
+
+        this.timeline.sequence = sequence;
+        this.timeline.step = 0;
+        document.getElementById('timelinePlay').textContent = '⏸️';
+        document.getElementById('timelinePlay').title = 'Pause';
+        this.stepTimelinePlayback();
+    }
+
+    /**
+     * Advance playback to the next memory
+     */
+    stepTimelinePlayback() {
+        const { sequence, step } = this.timeline;
+        if (step >= sequence.length) {
+            this.stopTimelinePlayback();
+            return;
+        }
+
+        const memory = sequence[step];
+        this.timeline.playhead = memory.date;
+        this.applyFilters({ announce: false });
+        this.renderTimeline();
+        this.map.panTo([memory.lat, memory.lng]);
+
+        document.getElementById('timelinePlayhead').textContent =
+            `${new Date(memory.date).toLocaleDateString()} · ${memory.title}`;
+
+        this.timeline.step++;
+        this.timeline.timer = setTimeout(() => this.stepTimelinePlayback(), TIMELINE_STEP_MS);
+    }
+
+    /**
+     * Stop playback and show every memory in the range again
+     */
+    stopTimelinePlayback() {
+        const wasPlaying = this.timeline.timer !== null || this.timeline.playhead !== null;
+
+        clearTimeout(this.timeline.timer);
+        this.timeline.timer = null;
+        this.timeline.playhead = null;
+
+        document.getElementById('timelinePlay').textContent = '▶️';
+        document.getElementById('timelinePlay').title = 'Play';
+        document.getElementById('timelinePlayhead').textContent = '';
+
+        if (wasPlaying) {
+            this.renderTimeline();
+            this.applyFilters({ announce: false });
+        }
+    }
+
+    /**
+     * Connect the visible memories in chronological order
+     */
+    updateJourneyPath(memories) {
+        if (this.journeyLine) {
+            this.journeyLine.remove();
+            this.journeyLine = null;
+        }
+
+        if (!document.getElementById('journeyToggle').checked || memories.length < 2) return;
+
+        this.journeyLine = L.polyline(sortChronologically(memories).map(m => [m.lat, m.lng]), {
+            className: 'journey-path',
+            color: '#8B4513',
+            weight: 3,
+            opacity: 0.7,
+            dashArray: '6 8'
+        }).addTo(this.map);
+    }
+
+    /**
+     * Jump to a random memory
+     */
+    randomMemory() {
+        if (this.memories.length === 0) {
+            this.showToast('No memories to explore yet! Start by adding your first memory.', 'info');
+            return;
+        }
+
+        // Only jump to memories the current filters show
+        const candidates = this.memories.filter(m => this.markerLayer.hasLayer(this.pins.get(m.id)));
+        if (candidates.length === 0) {
+            this.showToast('No memories match the current filters.', 'info');
+            return;
+        }
+
+        const randomMemory = pickRandomMemory(candidates, {
+            mode: this.rediscovery.randomMode,
+            lastViewed: this.lastViewed
+        });
+        this.focusMemory(randomMemory.id);
+
+        this.showToast(`Jumped to: ${randomMemory.title} 🎲`);
+    }
+
+    /**
+     * Remember when a memory was last opened, for the "forgotten memories" random mode
+     */
+    markViewed(memoryId) {
+        this.lastViewed[memoryId] = new Date().toISOString();
+
+        // Drop memories that are gone for good
+        const known = new Set(this.memories.map(m => m.id).concat(this.trash.map(entry => entry.memory.id)));
+        Object.keys(this.lastViewed).forEach(id => {
+            if (!known.has(Number(id))) delete this.lastViewed[id];
+        });
+
+        this.storage.setMeta(LAST_VIEWED_KEY, this.lastViewed).catch(error => {
+            console.error('Failed to save last viewed times:', error);
+        });
+    }
+
+    /**
+     * Save changes to the on-this-day and random settings
+     */
+    async saveRediscovery(changes) {
+        Object.assign(this.rediscovery, changes);
+
+        try {
+            await this.storage.setMeta(REDISCOVERY_SETTINGS_KEY, this.rediscovery);
+        } catch (error) {
+            console.error('Failed to save rediscovery settings:', error);
+            this.showToast('Failed to save the setting.', 'error');
+        }
+    }
+
+    /**
+     * Show memories from this day in earlier years
+     */
+    showOnThisDay() {
+        this.renderOnThisDay();
+        document.getElementById('onThisDayModal').style.display = 'block';
+        this.updateUrl(true);
+    }
+
+    /**
+     * Close the on-this-day panel
+     */
+    closeOnThisDay() {
+        document.getElementById('onThisDayModal').style.display = 'none';
+        this.leaveUrlRoute();
+    }
+
+    /**
+     * Render today's anniversaries, grouped by how long ago they were, and the rediscovery settings
+     */
+    renderOnThisDay() {
+        const matches = memoriesOnThisDay(this.memories);
+        const today = new Date();
+
+        document.getElementById('onThisDayDate').textContent =
+            today.toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+
+        const years = new Map();
+        matches.forEach(({ memory, yearsAgo }) => {
+            years.set(yearsAgo, (years.get(yearsAgo) || []).concat(memory));
+        });
+
+        document.getElementById('onThisDayList').innerHTML = matches.length === 0 ?
+            '<p class="insights-empty">No memories from this day in earlier years yet. Maybe make one today?</p>' :
+            Array.from(years, ([yearsAgo, memories]) => `
+                <h3 class="offline-heading">${formatYearsAgo(yearsAgo)}…</h3>
+                ${memories.map(memory => {
+                    const text = stripMarkdown(memory.description);
+                    return `
+                    <button type="button" class="on-this-day-item" onclick="closeOnThisDay(); lifeAtlas.focusMemory(${memory.id})">
+                        <span class="trash-mood">${this.escapeHtml(memory.mood)}</span>
+                        <span class="trash-info">
+                            <strong>${this.escapeHtml(memory.title)}</strong>
+                            <small>📅 ${new Date(memory.date).toLocaleDateString()}${memory.placeName ? ` · 📍 ${this.escapeHtml(memory.placeName)}` : ''}</small>
+                            ${text ? `<small>${this.escapeHtml(text.substring(0, 120))}${text.length > 120 ? '...' : ''}</small>` : ''}
+                        </span>
+                    </button>`;
+                }).join('')}`).join('');
+
+        document.getElementById('randomMode').innerHTML = Object.keys(RANDOM_MODES).map(mode => `
+            <option value="${mode}" ${mode === this.rediscovery.randomMode ? 'selected' : ''}>${RANDOM_MODES[mode]}</option>`).join('');
+
+        const supported = typeof Notification !== 'undefined';
+        const checkbox = document.getElementById('anniversaryNotify');
+        checkbox.checked = supported && this.rediscovery.notify && Notification.permission === 'granted';
+        checkbox.disabled = !supported || Notification.permission === 'denied';
+        document.getElementById('anniversaryNotifyHint').textContent = !supported ?
+            'This browser does not support notifications.' :
+            Notification.permission === 'denied' ?
+                'Notifications are blocked for Life Atlas in your browser settings.' :
+                'Life Atlas has no server, so reminders only arrive while it is open, for example in a background tab.';
+    }
+
+    /**
+     * Turn anniversary notifications on (asking the browser for permission) or off
+     */
+    async setAnniversaryNotifications(enabled) {
+        if (enabled && Notification.permission !== 'granted') {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                this.showToast('Notifications were not allowed.', 'error');
+                this.renderOnThisDay();
+                return;
+            }
+        }
+
+        await this.saveRediscovery({ notify: enabled });
+        this.showToast(enabled ? 'Anniversary reminders on 🔔' : 'Anniversary reminders off', 'success');
+    }
+
+    /**
+     * Send a notification about today's anniversaries, at most once a day, while the page is in the background
+     */
+    checkAnniversaries() {
+        const today = localDateKey(new Date());
+        if (!this.rediscovery.notify || this.rediscovery.lastNotified === today || this.locked) return;
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted' || document.visibilityState === 'visible') return;
+
+        const matches = memoriesOnThisDay(this.memories);
+        if (matches.length === 0) return;
+
+        // An encrypted atlas keeps its titles off the lock screen
+        const body = this.vault ?
+            `You have ${matches.length} ${matches.length === 1 ? 'memory' : 'memories'} from this day.` :
+            matches.slice(0, 3).map(({ memory, yearsAgo }) => `${formatYearsAgo(yearsAgo)}: ${memory.title}`).join('\n');
+
+        const notification = new Notification('🧭 On this day', { body, icon: 'icons/icon.svg', tag: 'life-atlas-on-this-day' });
+        notification.onclick = () => {
+            window.focus();
+            this.showOnThisDay();
+            notification.close();
+        };
+
+        this.saveRediscovery({ lastNotified: today });
+    }
+
+    /**
+     * Toggle memory adding mode
+     */
+    addMemoryMode() {
+        this.addingMemory = !this.addingMemory;
+        this.updateFloatingActionButton();
+        
+        if (this.addingMemory) {
+            this.showToast('Click anywhere on the map to place a memory pin! 📍');
+        } else if (this.photoImport && this.photoImport.placing) {
+            // Gave up placing a photo: back to the photo import
+            this.photoImport.placing = null;
+            this.showPhotoImport();
+        }
+    }
+
+    /**
+     * Update the floating action button appearance
+     */
+    updateFloatingActionButton() {
+        const btn = document.querySelector('.floating-action');
+        
+        if (this.addingMemory) {
+            btn.style.background = 'linear-gradient(135deg, #dc3545, #c82333)';
+            btn.innerHTML = '❌';
+            btn.title = 'Cancel adding memory';
+        } else {
+            btn.style.background = 'linear-gradient(135deg, var(--sunset-orange), var(--forest-green))';
+            btn.innerHTML = '📍';
+            btn.title = 'Add memory';
+        }
+    }
+
+    /**
+     * Show a toast notification
+     */
+    showToast(message, type = 'success', action = null) {
+        // Remove existing toast
+        const existingToast = document.querySelector('.toast');
+        if (existingToast) {
+            existingToast.remove();
+        }
+
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.textContent = message;
+        toast.style.cssText = `
+            position: fixed;
+            top: 100px;
+            right: 20px;
+            background: ${type === 'error' ? '#dc3545' : type === 'info' ? '#17a2b8' : 'var(--forest-green)'};
+            color: white;
+            padding: 12px 20px;
+            border-radius: 25px;
+            box-shadow: 0 4px 15px var(--shadow);
+            z-index: 3000;
+            font-family: 'Kalam', cursive;
+            font-weight: 700;
+            transform: translateX(100%);
+            transition: transform 0.3s ease;
+        `;
+
+        // Optional action button, e.g. Undo
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                toast.remove();
+                action.callback();
+            });
+            toast.appendChild(button);
+        }
+
+        document.body.appendChild(toast);
+
+        // Slide in
+        setTimeout(() => {
+            toast.style.transform = 'translateX(0)';
+        }, 100);
+
+        // Slide out and remove, leaving more time to act on it
+        setTimeout(() => {
+            toast.style.transform = 'translateX(100%)';
+            setTimeout(() => toast.remove(), 300);
+        }, action ? 6000 : 3000);
+    }
+
+    /**
+     * Export memories as a bundled archive (with attachments) or as GeoJSON, GPX or KML
+     */
+    async exportMemories(format = 'atlas') {
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        let dataStr;
+
+        let fileName = `life-atlas-${atlasFileSlug(this.currentAtlas().name)}-${new Date().toISOString().split('T')[0]}`;
+        let fileType = mimeType;
+
+        try {
+            dataStr = format === 'atlas' ?
+                JSON.stringify(await buildArchive(this.memories, this.storage, this.moodPalette), null, 2) :
+                serializeMemories(this.memories, format, this.moodPalette);
+
+            // An encrypted atlas only ever exports encrypted files
+            if (this.vault) {
+                dataStr = await encryptExport(this.vault.key, this.vault.config, dataStr);
+                fileName += `-${format}-encrypted`;
+                fileType = 'application/json';
+            }
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showToast('Failed to export memories.', 'error');
+            return;
+        }
+
+        this.downloadFile(dataStr, fileType, `${fileName}.${this.vault ? 'json' : extension}`);
+        this.showToast(this.vault ? 'Encrypted export saved 🔒' : 'Memories exported successfully! 📁');
+    }
+
+    /**
+     * Offer text content to the user as a file download
+     */
+    downloadFile(content, mimeType, filename) {
+        const dataBlob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(dataBlob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import memories from a file in any supported format, previewing the result first
+     */
+    importMemories(file) {
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                let text = e.target.result;
+                if (isEncryptedExport(text)) {
+                    text = await this.decryptImport(text);
+                    if (text === null) return;
+                }
+
+                // A bundle from "Export all atlases" becomes new atlases rather than merging into this one
+                const bundle = readAtlasBundle(text);
+                if (bundle) {
+                    await this.importAtlasBundle(file.name, bundle);
+                    return;
+                }
+
+                // Archived attachments are only written when the import is committed
+                const { records, archive, moods } = readAtlasRecords(text);
+
+                this.pendingImport = { fileName: file.name, records, archive, moods, plan: null };
+                this.showImportModal();
+            } catch (error) {
+                console.error('Import error:', error);
+                this.showToast('Failed to import memories. Please check the file format.', 'error');
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Ask for the passphrase of an encrypted export until it opens or the user gives up.
+     * Returns the decrypted file contents, or null when cancelled.
+     */
+    async decryptImport(text) {
+        let message = 'This file is encrypted. Enter the passphrase it was exported with.';
+
+        for (;;) {
+            const passphrase = await this.askPassphrase(message);
+            if (passphrase === null) return null;
+
+            try {
+                return await decryptExport(text, passphrase);
+            } catch (error) {
+                if (error.message !== 'Wrong passphrase') throw error;
+                message = 'That passphrase did not open the file. Try again.';
+            }
+        }
+    }
+
+    /**
+     * Prompt for a passphrase; resolves with it, or null when cancelled
+     */
+    askPassphrase(message) {
+        document.getElementById('passphraseMessage').textContent = message;
+        document.getElementById('passphraseInput').value = '';
+        document.getElementById('passphraseModal').style.display = 'block';
+        document.getElementById('passphraseInput').focus();
+
+        return new Promise(resolve => {
+            this.passphraseWaiter = resolve;
+        });
+    }
+
+    /**
+     * Close the passphrase prompt with the given answer
+     */
+    answerPassphrase(passphrase) {
+        document.getElementById('passphraseModal').style.display = 'none';
+        document.getElementById('passphraseInput').value = '';
+
+        const resolve = this.passphraseWaiter;
+        this.passphraseWaiter = null;
+        if (resolve) resolve(passphrase);
+    }
+
+    /**
+     * Show the import preview modal for the pending import
+     */
+    showImportModal() {
+        document.getElementById('importSource').textContent =
+            `${this.pendingImport.fileName}: ${this.pendingImport.records.length} records found`;
+        document.querySelector('input[name="importMode"][value="merge"]').checked = true;
+        document.querySelector('input[name="conflictStrategy"][value="mine"]').checked = true;
+
+        this.renderImportPreview();
+        document.getElementById('importModal').style.display = 'block';
+    }
+
+    /**
+     * Read EXIF from a batch of photos and propose memories for them in the review screen
+     */
+    async importPhotos(files) {
+        const photos = Array.from(files).filter(isPhotoFile);
+        if (photos.length === 0) {
+            this.showToast('No photos found. Choose or drop JPEG photos, or a folder of them.', 'error');
+            return;
+        }
+
+        this.closePhotoImport();
+        const state = {
+            located: [],
+            unlocated: [],
+            tooLarge: [],
+            groups: [],
+            grouped: true,
+            placing: null,
+            places: new Map(),
+            urls: new Map()
+        };
+        this.photoImport = state;
+
+        document.getElementById('photoImportSource').textContent = `${photos.length} ${photos.length === 1 ? 'photo' : 'photos'}`;
+        document.getElementById('photoImportModal').style.display = 'block';
+
+        for (let i = 0; i < photos.length; i++) {
+            if (this.photoImport !== state) return;
+            if (i % 10 === 0) {
+                this.setPhotoImportProgress(`Reading photos... ${i} of ${photos.length}`);
+            }
+
+            const photo = await readPhotoMetadata(photos[i]);
+            if (photo.file.size > MAX_ATTACHMENT_SIZE) {
+                state.tooLarge.push(photo);
+            } else if (photo.lat === null) {
+                state.unlocated.push(photo);
+            } else {
+                state.located.push(photo);
+            }
+        }
+
+        await this.buildPhotoGroups();
+    }
+
+    /**
+     * Propose one memory per photo, or per group of photos, with a place name where one is known
+     */
+    async buildPhotoGroups() {
+        const state = this.photoImport;
+        if (!state) return;
+
+        const groups = state.grouped ?
+            groupPhotos(state.located) :
+            groupPhotos(state.located, { maxMinutes: -1 });
+
+        // Servers get one request a second; the built-in list needs no pause
+        const interval = this.geocoderSettings.provider === 'offline' ? 0 : GEOCODER_REQUEST_INTERVAL_MS;
+
+        for (let i = 0; i < groups.length; i++) {
+            if (this.photoImport !== state) return;
+
+            const group = groups[i];
+            const key = `${group.lat.toFixed(3)},${group.lng.toFixed(3)}`;
+
+            if (!state.places.has(key)) {
+                this.setPhotoImportProgress(`Looking up places... ${i} of ${groups.length}`);
+                state.places.set(key, await this.lookupPlace(group.lat, group.lng));
+                if (interval && i < groups.length - 1) {
+                    await new Promise(resolve => setTimeout(resolve, interval));
+                }
+            }
+
+            const place = state.places.get(key);
+            Object.assign(group, {
+                place,
+                title: place ? place.city || place.country : `Photos from ${new Date(group.date).toLocaleDateString()}`,
+                mood: NO_MOOD,
+                include: true
+            });
+        }
+
+        state.groups = groups;
+        this.renderPhotoImport();
+    }
+
+    /**
+     * Show progress in place of the review while photos are read and places looked up
+     */
+    setPhotoImportProgress(message) {
+        document.getElementById('photoImportContent').innerHTML = `<p class="import-note">⏳ ${this.escapeHtml(message)}</p>`;
+        document.getElementById('photoImportCommit').disabled = true;
+    }
+
+    /**
+     * Object URL for previewing a photo, kept until the import closes
+     */
+    photoUrl(photo) {
+        const urls = this.photoImport.urls;
+        if (!urls.has(photo)) {
+            urls.set(photo, URL.createObjectURL(photo.file));
+        }
+        return urls.get(photo);
+    }
+
+    /**
+     * Render the proposed memories and the photos that need placing by hand
+     */
+    renderPhotoImport() {
+        const state = this.photoImport;
+        if (!state) return;
+
+        const photoCount = state.groups.reduce((sum, group) => sum + group.photos.length, 0);
+        const included = state.groups.filter(group => group.include).length;
+        const moods = [NO_MOOD].concat(activeMoods(this.moodPalette).map(mood => mood.emoji))
+            .map(mood => [mood, moodLabel(this.moodPalette, mood)]);
+
+        const thumbnail = (photo) => `<img class="photo-thumb" src="${this.photoUrl(photo)}" alt="${this.escapeAttribute(photo.name)}" loading="lazy">`;
+
+        const groups = state.groups.map((group, index) => `
+            <div class="photo-group ${group.include ? '' : 'photo-group-excluded'}">
+                <label class="photo-group-include">
+                    <input type="checkbox" ${group.include ? 'checked' : ''} onchange="lifeAtlas.updatePhotoGroup(${index}, 'include', this.checked)" aria-label="Create this memory">
+                </label>
+                <div class="photo-group-thumbs">
+                    ${group.photos.slice(0, 4).map(thumbnail).join('')}
+                    ${group.photos.length > 4 ? `<span class="attachment-more">+${group.photos.length - 4}</span>` : ''}
+                </div>
+                <div class="photo-group-fields">
+                    <input type="text" value="${this.escapeAttribute(group.title)}" oninput="lifeAtlas.updatePhotoGroup(${index}, 'title', this.value)" aria-label="Title">
+                    <select onchange="lifeAtlas.updatePhotoGroup(${index}, 'mood', this.value)" aria-label="Mood">
+                        ${moods.map(([mood, label]) => `<option value="${this.escapeAttribute(mood)}" ${mood === group.mood ? 'selected' : ''}>${this.escapeHtml(label)}</option>`).join('')}
+                    </select>
+                    <small>📅 ${new Date(group.date).toLocaleDateString()} · 📷 ${group.photos.length}${group.place ? ` · 📍 ${this.escapeHtml(formatPlaceName(group.place))}` : ''}</small>
+                </div>
+            </div>`).join('');
+
+        const unlocated = state.unlocated.map((photo, index) => `
+            <div class="import-row">
+                <span>${thumbnail(photo)} ${this.escapeHtml(photo.name)}</span>
+                <button type="button" class="btn btn-secondary" onclick="lifeAtlas.placePhoto(${index})">📍 Place on map</button>
+            </div>`).join('');
+
+        document.getElementById('photoImportContent').innerHTML = `
+            <div class="import-summary">
+                <div class="import-stat import-stat-added"><strong>${included}</strong><span>New memories</span></div>
+                <div class="import-stat"><strong>${photoCount}</strong><span>With location</span></div>
+                <div class="import-stat"><strong>${state.unlocated.length}</strong><span>Without location</span></div>
+            </div>
+            ${state.tooLarge.length > 0 ? `<p class="import-note import-warning">⚠️ Skipped ${state.tooLarge.length} photos over 20 MB: ${state.tooLarge.map(photo => this.escapeHtml(photo.name)).join(', ')}</p>` : ''}
+            ${state.groups.length > 0 ? `
+                <div class="form-group">
+                    <label class="checkbox-option">
+                        <input type="checkbox" ${state.grouped ? 'checked' : ''} onchange="lifeAtlas.setPhotoGrouping(this.checked)">
+                        Group photos taken within ${PHOTO_GROUP_MINUTES / 60} hours and ${PHOTO_GROUP_KM} km of each other
+                    </label>
+                </div>
+                <div class="form-group">
+                    <label for="photoImportCollection">Add the new memories to a collection (optional):</label>
+                    <input type="text" id="photoImportCollection" list="collectionSuggestions" value="${this.escapeAttribute(state.collection || '')}" oninput="lifeAtlas.photoImport.collection = this.value" placeholder="e.g. Japan 2024">
+                </div>
+                <div class="photo-groups">${groups}</div>` : ''}
+            ${unlocated ? `
+                <h3 class="offline-heading">Photos without a location</h3>
+                <p class="import-note">Place these by hand: pick one, then click where it was taken.</p>
+                <div class="import-details">${unlocated}</div>` : ''}
+        `;
+
+        this.renderLabelSuggestions();
+        document.getElementById('photoImportCommit').disabled = included === 0;
+    }
+
+    /**
+     * Change a proposed memory's title, mood or whether to create it
+     */
+    updatePhotoGroup(index, field, value) {
+        const group = this.photoImport && this.photoImport.groups[index];
+        if (!group) return;
+
+        group[field] = value;
+        if (field === 'include') {
+            this.renderPhotoImport();
+        }
+    }
+
+    /**
+     * Switch between one memory per photo and grouped photos; titles and moods start over
+     */
+    setPhotoGrouping(grouped) {
+        this.photoImport.grouped = grouped;
+        this.buildPhotoGroups();
+    }
+
+    /**
+     * Place a photo without GPS data by clicking the map, through the usual memory form
+     */
+    placePhoto(index) {
+        const photo = this.photoImport && this.photoImport.unlocated[index];
+        if (!photo) return;
+
+        this.photoImport.placing = photo;
+        document.getElementById('photoImportModal').style.display = 'none';
+
+        this.addingMemory = true;
+        this.updateFloatingActionButton();
+        this.showToast(`Click the map where ${photo.name} was taken 📍`, 'info');
+    }
+
+    /**
+     * Open the photo import review
+     */
+    showPhotoImport() {
+        if (!this.photoImport) return;
+
+        // Nothing left to review
+        if (this.photoImport.groups.length + this.photoImport.unlocated.length === 0) {
+            this.closePhotoImport();
+            return;
+        }
+
+        document.getElementById('photoImportModal').style.display = 'block';
+        this.renderPhotoImport();
+    }
+
+    /**
+     * Close the photo import and let go of its previews
+     */
+    closePhotoImport() {
+        document.getElementById('photoImportModal').style.display = 'none';
+        if (!this.photoImport) return;
+
+        this.photoImport.urls.forEach(url => URL.revokeObjectURL(url));
+        this.photoImport = null;
+    }
+
+    /**
+     * Create the chosen memories, storing their photos as attachments, as one undoable import
+     */
+    async commitPhotoImport() {
+        const state = this.photoImport;
+        if (!state) return;
+
+        const chosen = state.groups.filter(group => group.include);
+        if (chosen.length === 0) return;
+
+        const usedIds = new Set(this.memories.map(m => m.id).concat(this.trash.map(entry => entry.memory.id)));
+        const collection = normalizeCollection(state.collection || '');
+        const changes = [];
+
+        document.getElementById('photoImportCommit').disabled = true;
+
+        try {
+            for (const group of chosen) {
+                const attachments = [];
+                for (const photo of group.photos) {
+                    const attachment = Object.assign(describeAttachment(photo.file), {
+                        kind: 'photo',
+                        type: photo.file.type || 'image/jpeg',
+                        orientation: photo.orientation
+                    });
+                    await this.storage.putAttachment(attachment.id, photo.file);
+                    attachments.push(attachment);
+                }
+
+                const memory = {
+                    id: generateMemoryId(usedIds),
+                    title: group.title.trim() || 'Photos',
+                    date: group.date,
+                    description: '',
+                    mood: group.mood,
+                    attachments,
+                    tags: [],
+                    collections: collection ? [collection] : [],
+                    place: group.place,
+                    placeName: formatPlaceName(group.place),
+                    schemaVersion: SCHEMA_VERSION,
+                    lat: group.lat,
+                    lng: group.lng,
+                    createdAt: new Date().toISOString()
+                };
+                changes.push({ id: memory.id, before: null, after: memory });
+            }
+        } catch (error) {
+            console.error('Failed to save photos:', error);
+            this.showToast('Failed to save photos. Storage may be full.', 'error');
+            await this.pruneAttachments();
+            this.renderPhotoImport();
+            return;
+        }
+
+        const photoCount = chosen.reduce((sum, group) => sum + group.photos.length, 0);
+        await this.runCommand({
+            type: 'import',
+            label: `importing ${photoCount} photos`,
+            changes
+        }, `📷 Created ${changes.length} ${changes.length === 1 ? 'memory' : 'memories'} from ${photoCount} photos`);
+
+        this.map.fitBounds(L.latLngBounds(changes.map(change => [change.after.lat, change.after.lng])), { padding: [50, 50], maxZoom: 15 });
+
+        // Photos still to place by hand keep the review open
+        state.located = state.located.filter(photo => !chosen.some(group => group.photos.includes(photo)));
+        state.groups = state.groups.filter(group => !group.include);
+        state.tooLarge = [];
+        if (state.unlocated.length + state.groups.length > 0) {
+            this.renderPhotoImport();
+        } else {
+            this.closePhotoImport();
+        }
+    }
+
+    /**
+     * Close the import preview without changing anything
+     */
+    closeImportModal() {
+        document.getElementById('importModal').style.display = 'none';
+        this.pendingImport = null;
+    }
+
+    /**
+     * Re-plan the pending import with the chosen options and render the summary
+     */
+    renderImportPreview() {
+        if (!this.pendingImport) return;
+
+        const mode = document.querySelector('input[name="importMode"]:checked').value;
+        const strategy = document.querySelector('input[name="conflictStrategy"]:checked').value;
+        const plan = planImport(this.memories, this.pendingImport.records, { mode, strategy });
+        this.pendingImport.plan = plan;
+
+        document.getElementById('conflictStrategyGroup').style.display = mode === 'merge' ? 'block' : 'none';
+
+        const { summary } = plan;
+        const tiles = [
+            ['added', 'Added'],
+            ['updated', 'Updated'],
+            ['skipped', 'Skipped'],
+            ['invalid', 'Invalid']
+        ];
+
+        document.getElementById('importSummary').innerHTML = `
+            ${tiles.map(([key, label]) => `
+                <div class="import-stat import-stat-${key}">
+                    <strong>${summary[key]}</strong>
+                    <span>${label}</span>
+                </div>`).join('')}
+            ${summary.repaired > 0 ? `<p class="import-note">🔧 ${summary.repaired} records had problems that were repaired.</p>` : ''}
+            ${summary.removed > 0 ? `<p class="import-note import-warning">⚠️ ${summary.removed} existing memories will be removed.</p>` : ''}
+        `;
+
+        const notable = plan.entries.filter(entry => entry.action !== 'add' || entry.repaired);
+        const shown = notable.slice(0, 50);
+
+        document.getElementById('importDetails').innerHTML = shown.map(entry => `
+            <div class="import-row import-row-${entry.action}">
+                <span>#${entry.index + 1} ${entry.memory ? this.escapeHtml(entry.memory.title) : ''}</span>
+                <span>${this.escapeHtml(entry.reason || entry.problems.join(', '))}</span>
+            </div>
+        `).join('') + (notable.length > shown.length ? `<p class="import-note">…and ${notable.length - shown.length} more</p>` : '');
+    }
+
+    /**
+     * Apply the previewed import plan and persist the result
+     */
+    async commitImport() {
+        if (!this.pendingImport || !this.pendingImport.plan) return;
+
+        const { plan, archive, moods } = this.pendingImport;
+        const changed = plan.entries
+            .filter(entry => entry.action === 'add' || entry.action === 'update')
+            .map(entry => entry.memory);
+
+        try {
+            if (archive) {
+                await storeArchiveAttachments(archive, changed, this.storage);
+            }
+
+            // Moods the file brings along join the palette, so its memories keep their colours
+            const merged = mergeMoodPalettes(this.moodPalette, moods);
+            if (merged.added.length > 0) {
+                await this.saveMoodPalette(merged.palette);
+            }
+
+            // Memories the import replaces or removes go to the trash, so the whole import can be undone
+            const { added, updated, skipped, invalid } = plan.summary;
+            const newMoods = merged.added.length > 0 ? `, ${merged.added.map(mood => mood.emoji).join(' ')} added to your moods` : '';
+            await this.runCommand({
+                type: 'import',
+                label: 'the import',
+                changes: diffMemories(this.memories, plan.memories.map(migrateMemory))
+            }, `Imported: ${added} added, ${updated} updated, ${skipped} skipped, ${invalid} invalid${newMoods} 🎉`);
+        } catch (error) {
+            console.error('Import error:', error);
+            this.showToast('Failed to import memories.', 'error');
+        }
+
+        this.closeImportModal();
+    }
+
+    /**
+     * Get statistics about memories
+     */
+    getStats() {
+        return computeStats(this.memories);
+    }
+
+    /**
+     * Show the insights dashboard
+     */
+    showInsights() {
+        this.renderInsights();
+        document.getElementById('insightsModal').style.display = 'block';
+        this.updateUrl(true);
+    }
+
+    /**
+     * Close the insights dashboard
+     */
+    closeInsightsModal() {
+        document.getElementById('insightsModal').style.display = 'none';
+        this.leaveUrlRoute();
+    }
+
+    /**
+     * Switch the mood chart between years and months
+     */
+    setInsightsPeriod(period) {
+        this.insightsPeriod = period;
+        this.renderInsights();
+    }
+
+    /**
+     * Use the current map center as the home point for distance insights
+     */
+    async setHomeToMapCenter() {
+        const center = this.map.getCenter();
+        this.home = { lat: center.lat, lng: center.lng };
+
+        try {
+            await this.storage.setMeta('home', this.home);
+        } catch (error) {
+            console.error('Failed to save home point:', error);
+        }
+
+        this.renderInsights();
+        this.showToast('Home point set to the map center 🏠');
+    }
+
+    /**
+     * Render the insights dashboard from computeInsights()
+     */
+    renderInsights() {
+        const insights = computeInsights(this.memories, { home: this.home });
+        const { stats } = insights;
+        const container = document.getElementById('insightsContent');
+
+        if (stats.total === 0) {
+            container.innerHTML = '<p class="insights-empty">Add some memories to see your insights.</p>';
+            return;
+        }
+
+        const cards = [
+            ['Memories', stats.total],
+            ['First memory', stats.oldestDate.toLocaleDateString()],
+            ['Latest memory', stats.newestDate.toLocaleDateString()],
+            ['Average story', `${stats.averageDescriptionLength} characters`],
+            ['Distance travelled', formatDistance(insights.totalDistance)]
+        ];
+
+        const moodData = this.insightsPeriod === 'year' ? insights.moodsByYear : insights.moodsByMonth;
+        const legend = Object.keys(stats.moods)
+            .sort((a, b) => stats.moods[b] - stats.moods[a])
+            .map(mood => `
+                <span class="legend-item">
+                    <span class="legend-swatch" style="background: ${MOOD_COLORS[mood] || MOOD_COLORS['📍']}"></span>
+                    ${this.escapeHtml(mood)} ${stats.moods[mood]}
+                </span>`)
+            .join('');
+
+        const trips = insights.trips.length === 0 ?
+            '<p class="insights-empty">No trips yet: a trip is two or more memories within a few days of each other.</p>' :
+            `<table class="insights-table">
+                <thead><tr><th>Dates</th><th>Memories</th><th>Distance</th></tr></thead>
+                <tbody>
+                    ${insights.trips.slice().reverse().map(trip => `
+                        <tr>
+                            <td>${new Date(trip.start).toLocaleDateString()} – ${new Date(trip.end).toLocaleDateString()}</td>
+                            <td>${trip.count}</td>
+                            <td>${formatDistance(trip.distance)}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
+
+        const furthest = insights.furthest ? `
+            <p>
+                <button type="button" class="link-btn" onclick="closeInsightsModal(); lifeAtlas.focusMemory(${insights.furthest.memory.id})">${this.escapeHtml(insights.furthest.memory.title)}</button>
+                is ${formatDistance(insights.furthest.distance)} from home.
+            </p>` :
+            '<p class="insights-empty">Set a home point to see your furthest memory.</p>';
+
+        const regions = insights.regions.map(region => `
+            <li>
+                <button type="button" class="link-btn" onclick="closeInsightsModal(); lifeAtlas.map.flyTo([${region.lat}, ${region.lng}], 9)">
+                    ${region.count} ${region.count === 1 ? 'memory' : 'memories'}
+                </button>
+                around ${region.titles.map(title => `“${this.escapeHtml(title)}”`).join(', ')}
+            </li>`).join('');
+
+        container.innerHTML = `
+            <div class="insight-cards">
+                ${cards.map(([label, value]) => `
+                    <div class="insight-card">
+                        <strong>${value}</strong>
+                        <span>${label}</span>
+                    </div>`).join('')}
+            </div>
+
+            <h3>Memories per year</h3>
+            ${renderBarChart(insights.memoriesPerYear)}
+
+            <h3>
+                Moods over time
+                <span class="insights-toggle">
+                    <button type="button" class="${this.insightsPeriod === 'year' ? 'active' : ''}" onclick="lifeAtlas.setInsightsPeriod('year')">Years</button>
+                    <button type="button" class="${this.insightsPeriod === 'month' ? 'active' : ''}" onclick="lifeAtlas.setInsightsPeriod('month')">Months</button>
+                </span>
+            </h3>
+            ${renderMoodChart(moodData)}
+            <div class="chart-legend">${legend}</div>
+
+            <h3>Trips</h3>
+            ${trips}
+
+            <h3>Furthest from home</h3>
+            ${furthest}
+            <button type="button" class="btn btn-secondary" onclick="lifeAtlas.setHomeToMapCenter()">🏠 Set home to map center</button>
+
+            <h3>Most-memoried regions</h3>
+            <ol class="insights-regions">${regions}</ol>
+        `;
+    }
+
+    /**
+     * The base map on show, whose tiles an offline area saves
+     */
+    shownBaseMap() {
+        const baseMaps = allBaseMaps(this.layerSettings.custom);
+        return baseMaps.find(baseMap => baseMap.id === this.layerSettings.base) || baseMaps[0];
+    }
+
+    /**
+     * The highest zoom an offline area of the shown base map can go to
+     */
+    offlineMaxZoom() {
+        return Math.min(OFFLINE_MAX_ZOOM, this.shownBaseMap().maxZoom || OFFLINE_MAX_ZOOM);
+    }
+
+    /**
+     * Open the offline maps panel for the current map view
+     */
+    showOfflineMaps() {
+        const maxZoom = this.offlineMaxZoom();
+        const zoom = Math.min(this.map.getZoom(), maxZoom);
+        document.getElementById('offlineZoomMin').value = zoom;
+        document.getElementById('offlineZoomMax').value = Math.min(zoom + 3, maxZoom);
+        document.getElementById('offlineAreaName').value = '';
+
+        this.updateOfflineEstimate();
+        this.renderOfflineRegions();
+        document.getElementById('offlineModal').style.display = 'block';
+        this.updateUrl(true);
+    }
+
+    /**
+     * Close the offline maps panel; a running download carries on
+     */
+    closeOfflineModal() {
+        document.getElementById('offlineModal').style.display = 'none';
+        this.leaveUrlRoute();
+    }
+
+    /**
+     * The current map bounds and chosen zoom range for saving offline
+     */
+    getOfflineArea() {
+        const bounds = this.map.getBounds();
+        const maxZoom = this.offlineMaxZoom();
+        const zooms = ['offlineZoomMin', 'offlineZoomMax']
+            .map(id => Math.min(Math.max(Number(document.getElementById(id).value) || 0, 0), maxZoom));
+
+        return {
+            bounds: {
+                north: bounds.getNorth(),
+                south: bounds.getSouth(),
+                east: bounds.getEast(),
+                west: bounds.getWest()
+            },
+            minZoom: Math.min(...zooms),
+            maxZoom: Math.max(...zooms)
+        };
+    }
+
+    /**
+     * Show how many tiles the chosen area and zoom range need
+     */
+    updateOfflineEstimate() {
+        const { bounds, minZoom, maxZoom } = this.getOfflineArea();
+        const count = countTiles(bounds, minZoom, maxZoom);
+        const estimate = document.getElementById('offlineEstimate');
+        const tooMany = count > MAX_OFFLINE_TILES;
+
+        // Roughly 20 KB per OpenStreetMap tile
+        estimate.textContent = tooMany ?
+            `${count.toLocaleString()} tiles is too many (limit ${MAX_OFFLINE_TILES.toLocaleString()}). Zoom in or lower the maximum zoom.` :
+            `${count.toLocaleString()} ${this.shownBaseMap().name} tiles, about ${formatBytes(count * 20 * 1024)}.`;
+        estimate.classList.toggle('import-warning', tooMany);
+        document.getElementById('offlineSave').disabled = tooMany || Boolean(this.offlineDownload);
+    }
+
+    /**
+     * Download the tiles for the current view and remember the area
+     */
+    async saveOfflineArea() {
+        if (this.offlineDownload) return;
+
+        if (typeof caches === 'undefined') {
+            this.showToast('This browser cannot save maps for offline use.', 'error');
+            return;
+        }
+
+        if (!navigator.onLine) {
+            this.showToast('Connect to the internet to save an area.', 'error');
+            return;
+        }
+
+        const area = this.getOfflineArea();
+        const tiles = listTiles(area.bounds, area.minZoom, area.maxZoom);
+        if (tiles.length > MAX_OFFLINE_TILES) {
+            this.updateOfflineEstimate();
+            return;
+        }
+
+        const center = this.map.getCenter();
+        const name = document.getElementById('offlineAreaName').value.trim() ||
+            `Area around ${center.lat.toFixed(3)}, ${center.lng.toFixed(3)}`;
+
+        // The tiles of the base map on show, as the map will ask for them
+        const baseMap = this.shownBaseMap();
+        area.baseMapName = baseMap.name;
+        area.source = { url: baseMap.url, subdomains: baseMap.subdomains || DEFAULT_TILE_SUBDOMAINS };
+
+        this.offlineDownload = { aborted: false };
+        this.setOfflineProgress(0, tiles.length);
+        this.updateOfflineEstimate();
+
+        // Ask the browser not to clear saved maps under storage pressure
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => {});
+        }
+
+        try {
+            const result = await downloadTiles(tiles, {
+                source: area.source,
+                signal: this.offlineDownload,
+                onProgress: (done, total) => this.setOfflineProgress(done, total)
+            });
+
+            if (this.offlineDownload.aborted) {
+                await evictRegionTiles(area, this.offlineRegions);
+                this.showToast('Download cancelled', 'info');
+                return;
+            }
+
+            this.offlineRegions.push(Object.assign({
+                id: Date.now(),
+                name,
+                tileCount: result.saved,
+                bytes: result.bytes,
+                savedAt: new Date().toISOString()
+            }, area));
+            await this.storage.setMeta('offlineRegions', this.offlineRegions);
+
+            this.showToast(result.failed > 0 ?
+                `Saved ${name} with ${result.failed} tiles missing.` :
+                `Saved ${name} for offline use 💾`, result.failed > 0 ? 'info' : 'success');
+        } catch (error) {
+            console.error('Failed to save offline area:', error);
+            this.showToast('Failed to save this area for offline use.', 'error');
+        } finally {
+            this.offlineDownload = null;
+            this.setOfflineProgress(null);
+            this.updateOfflineEstimate();
+            this.renderOfflineRegions();
+        }
+    }
+
+    /**
+     * Stop a running offline download
+     */
+    cancelOfflineDownload() {
+        if (this.offlineDownload) {
+            this.offlineDownload.aborted = true;
+        }
+    }
+
+    /**
+     * Update the download progress bar; done = null hides it
+     */
+    setOfflineProgress(done, total) {
+        document.getElementById('offlineProgress').style.display = done === null ? 'none' : 'flex';
+        document.getElementById('offlineCancel').style.display = done === null ? 'none' : 'inline-block';
+
+        if (done !== null) {
+            document.getElementById('offlineProgressBar').value = total ? done / total : 1;
+            document.getElementById('offlineProgressLabel').textContent = `${done} / ${total} tiles`;
+        }
+    }
+
+    /**
+     * Remove a saved area and the tiles no other area needs
+     */
+    async deleteOfflineRegion(id) {
+        const region = this.offlineRegions.find(r => r.id === id);
+        if (!region || !confirm(`Remove "${region.name}" from offline maps?`)) return;
+
+        this.offlineRegions = this.offlineRegions.filter(r => r.id !== id);
+
+        try {
+            await this.storage.setMeta('offlineRegions', this.offlineRegions);
+            if (typeof caches !== 'undefined') {
+                await evictRegionTiles(region, this.offlineRegions);
+            }
+            this.showToast(`Removed ${region.name} from offline maps`);
+        } catch (error) {
+            console.error('Failed to remove offline area:', error);
+            this.showToast('Failed to remove the offline area.', 'error');
+        }
+
+        this.renderOfflineRegions();
+    }
+
+    /**
+     * Fit the map to a saved area
+     */
+    showOfflineRegion(id) {
+        const region = this.offlineRegions.find(r => r.id === id);
+        if (!region) return;
+
+        this.closeOfflineModal();
+        this.map.fitBounds([
+            [region.bounds.south, region.bounds.west],
+            [region.bounds.north, region.bounds.east]
+        ]);
+    }
+
+    /**
+     * List saved areas and how much storage the app is using
+     */
+    async renderOfflineRegions() {
+        document.getElementById('offlineRegions').innerHTML = this.offlineRegions.length === 0 ?
+            '<p class="insights-empty">No saved areas yet.</p>' :
+            this.offlineRegions.map(region => `
+                <div class="offline-region">
+                    <button type="button" class="link-btn" onclick="lifeAtlas.showOfflineRegion(${region.id})">${this.escapeHtml(region.name)}</button>
+                    <span>${this.escapeHtml(region.baseMapName || 'OpenStreetMap')} · zoom ${region.minZoom}–${region.maxZoom} · ${region.tileCount} tiles · ${formatBytes(region.bytes)}</span>
+                    <button type="button" class="chip-remove" title="Remove" onclick="lifeAtlas.deleteOfflineRegion(${region.id})">&times;</button>
+                </div>`).join('');
+
+        const usage = document.getElementById('offlineUsage');
+        try {
+            const estimate = await estimateStorage();
+            usage.textContent = estimate ?
+                `Using ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} available on this device.` :
+                '';
+        } catch (error) {
+            usage.textContent = '';
+        }
+    }
+
+    /**
+     * Open the trash view
+     */
+    showTrash() {
+        document.getElementById('trashRetention').innerHTML = TRASH_RETENTION_OPTIONS.map(days => `
+            <option value="${days}" ${days === this.trashRetentionDays ? 'selected' : ''}>
+                ${days === 0 ? 'Never' : `After ${days} days`}
+            </option>`).join('');
+
+        this.renderTrash();
+        document.getElementById('trashModal').style.display = 'block';
+        this.updateUrl(true);
+    }
+
+    /**
+     * Close the trash view
+     */
+    closeTrashModal() {
+        document.getElementById('trashModal').style.display = 'none';
+        this.leaveUrlRoute();
+    }
+
+    /**
+     * List trashed memories, most recently deleted first
+     */
+    renderTrash() {
+        const list = document.getElementById('trashList');
+
+        if (this.trash.length === 0) {
+            list.innerHTML = '<p class="insights-empty">The trash is empty.</p>';
+            return;
+        }
+
+        list.innerHTML = this.trash.slice().reverse().map(({ memory, deletedAt }) => {
+            const expiry = trashExpiry({ deletedAt }, this.trashRetentionDays);
+            return `
+                <div class="trash-item">
+                    <span class="trash-mood">${this.escapeHtml(memory.mood)}</span>
+                    <div class="trash-info">
+                        <strong>${this.escapeHtml(memory.title)}</strong>
+                        <small>
+                            📅 ${new Date(memory.date).toLocaleDateString()} ·
+                            deleted ${new Date(deletedAt).toLocaleDateString()}
+                            ${expiry ? `· removed for good on ${expiry.toLocaleDateString()}` : ''}
+                        </small>
+                    </div>
+                    <button type="button" class="btn btn-secondary" onclick="lifeAtlas.restoreFromTrash(${memory.id})">Restore</button>
+                    <button type="button" class="btn btn-danger" onclick="lifeAtlas.purgeFromTrash(${memory.id})">Delete forever</button>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Bring a trashed memory back to the map
+     */
+    async restoreFromTrash(id) {
+        const entry = this.trash.find(e => e.memory.id === id);
+        if (!entry) return;
+
+        await this.runCommand({
+            type: 'restore',
+            label: `restoring "${entry.memory.title}"`,
+            changes: [{ id, before: null, after: entry.memory }]
+        }, 'Memory restored ♻️');
+    }
+
+    /**
+     * Permanently delete one trashed memory
+     */
+    async purgeFromTrash(id) {
+        const entry = this.trash.find(e => e.memory.id === id);
+        if (!entry || !confirm(`Delete "${entry.memory.title}" for good? This cannot be undone.`)) return;
+
+        this.trash = this.trash.filter(e => e !== entry);
+        await this.saveTrash();
+        await this.pruneAttachments();
+        this.renderTrash();
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    async emptyTrash() {
+        if (this.trash.length === 0 || !confirm(`Delete ${this.trash.length} memories for good? This cannot be undone.`)) return;
+
+        this.trash = [];
+        await this.saveTrash();
+        await this.pruneAttachments();
+        this.renderTrash();
+        this.showToast('Trash emptied');
+    }
+
+    /**
+     * Change how long deleted memories are kept; 0 keeps them until purged by hand
+     */
+    async setTrashRetention(days) {
+        this.trashRetentionDays = days;
+
+        try {
+            await this.storage.setMeta('trashRetentionDays', days);
+        } catch (error) {
+            console.error('Failed to save trash retention:', error);
+        }
+
+        await this.purgeExpiredTrash();
+        this.renderTrash();
+    }
+
+    /**
+     * Permanently delete trashed memories past the retention period, then tidy attachments
+     */
+    async purgeExpiredTrash() {
+        const { kept, expired } = partitionTrash(this.trash, this.trashRetentionDays);
+
+        if (expired.length > 0) {
+            this.trash = kept;
+            await this.saveTrash();
+        }
+
+        await this.pruneAttachments();
+    }
+
+    /**
+     * Persist the trash alongside the memories
+     */
+    async saveTrash() {
+        if (!this.storage) return;
+
+        try {
+            await this.storage.setMeta('trash', this.trash);
+        } catch (error) {
+            console.error('Failed to save trash:', error);
+            this.showToast('Failed to save the trash. Storage may be full.', 'error');
+        }
+    }
+
+    /**
+     * Cover the app with the lock screen; resolves once the right passphrase is entered
+     */
+    showLockScreen() {
+        this.locked = true;
+        document.getElementById('lockMessage').textContent = this.atlases.atlases.length > 1 ?
+            `"${this.currentAtlas().name}" is locked.` :
+            'Your atlas is locked.';
+        document.getElementById('lockError').textContent = '';
+        document.getElementById('lockPassphrase').value = '';
+        document.getElementById('lockScreen').style.display = 'flex';
+        document.getElementById('lockPassphrase').focus();
+
+        return new Promise(resolve => {
+            this.unlockWaiter = resolve;
+        });
+    }
+
+    /**
+     * Try the passphrase on the lock screen
+     */
+    async unlock() {
+        const input = document.getElementById('lockPassphrase');
+        const error = document.getElementById('lockError');
+        const button = document.getElementById('lockSubmit');
+
+        button.disabled = true;
+        error.textContent = 'Unlocking…';
+
+        try {
+            // Finish a passphrase change that was cut short before reading which passphrase applies
+            await settleVault(this.backend);
+            const config = await this.backend.getMeta(VAULT_CONFIG_KEY);
+            const key = await unlockVault(config, input.value);
+
+            this.vault = { config, key };
+            this.storage = new EncryptedStorage(this.backend, key);
+        } catch (unlockError) {
+            error.textContent = unlockError.message === 'Wrong passphrase' ?
+                'Wrong passphrase. Try again.' :
+                'Could not unlock your atlas.';
+            if (unlockError.message !== 'Wrong passphrase') {
+                console.error('Failed to unlock:', unlockError);
+            }
+            input.select();
+            return;
+        } finally {
+            button.disabled = false;
+        }
+
+        input.value = '';
+        document.getElementById('lockScreen').style.display = 'none';
+        this.locked = false;
+        this.lastActivity = Date.now();
+
+        const resolve = this.unlockWaiter;
+        this.unlockWaiter = null;
+        if (resolve) resolve();
+    }
+
+    /**
+     * Forget the key and every decrypted memory, then wait behind the lock screen
+     */
+    async lock() {
+        if (!this.vault || this.locked) return;
+
+        await this.saveToStorage();
+        await this.saveAtlasView();
+        this.unloadAtlas();
+
+        this.vault = null;
+        this.storage = null;
+
+        await this.showLockScreen();
+        await this.loadAtlas();
+    }
+
+    /**
+     * Forget everything loaded from the open atlas, closing any panel that shows it
+     */
+    unloadAtlas() {
+        this.closeModal();
+        this.closePhotoImport();
+        this.movingPin = null;
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.style.display = 'none';
+        });
+        this.updateUrl();
+        this.answerPassphrase(null);
+        this.stopTimelinePlayback();
+
+        if (this.drawing) {
+            this.stopDrawing();
+        }
+        this.markerLayer.clearLayers();
+        this.pins.clear();
+        this.shapeLayer.clearLayers();
+        this.shapes.clear();
+        this.attachmentUrls.forEach(url => URL.revokeObjectURL(url));
+        this.attachmentUrls.clear();
+        this.memories = [];
+        this.trash = [];
+        this.home = null;
+        this.offlineRegions = [];
+        this.trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS;
+        this.setGeocoder({ provider: 'offline', url: DEFAULT_NOMINATIM_URL });
+        this.setMapLayers(defaultLayerSettings());
+        this.setMoodPalette(defaultMoodPalette());
+        this.rediscovery = { notify: false, lastShown: null, lastNotified: null, randomMode: 'any' };
+        this.lastViewed = {};
+        this.atlasView = {};
+        clearTimeout(this.syncTimer);
+        this.sync = emptySyncState();
+        this.syncError = null;
+        this.syncConflicts = [];
+        this.syncMissingAttachments = 0;
+        this.history = new CommandHistory();
+        this.searchIndex.rebuild([]);
+        this.hiddenIds.clear();
+        this.memoryList.activeId = null;
+        this.memoryList.selectedId = null;
+        this.renderMemoryList();
+        this.refreshOverlays();
+
+        // Hidden panels still hold what they last showed, which may be decrypted
+        ['memoryList', 'searchResults', 'memoryDetailContent', 'memoryDescriptionPreview', 'insightsContent',
+            'trashList', 'onThisDayList', 'syncConflictList', 'moodList', 'securityContent',
+            'importSummary', 'importDetails', 'photoImportContent'].forEach(id => {
+            document.getElementById(id).innerHTML = '';
+        });
+        this.renderTimeline();
+        this.renderLabelFilters();
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * The atlas that is open
+     */
+    currentAtlas() {
+        return this.atlases.atlases.find(atlas => atlas.id === this.atlases.current);
+    }
+
+    /**
+     * Open an atlas's storage, waiting behind the lock screen when it is encrypted
+     */
+    async openAtlas(id) {
+        this.atlases.current = id;
+        saveAtlasRegistry(this.atlases);
+        this.renderAtlasSwitcher();
+
+        try {
+            this.backend = await createStorage(id);
+            // Encryption cut short while turning on leaves no config yet, so settle before looking
+            await settleVault(this.backend);
+            const vault = await this.backend.getMeta(VAULT_CONFIG_KEY);
+            if (vault) {
+                await this.showLockScreen();
+            } else {
+                this.storage = this.backend;
+            }
+        } catch (error) {
+            console.error('Failed to open storage:', error);
+        }
+    }
+
+    /**
+     * Save the open atlas and put it away
+     */
+    async closeAtlas() {
+        await this.saveToStorage();
+        await this.saveAtlasView();
+        this.unloadAtlas();
+
+        this.vault = null;
+        this.storage = null;
+        if (this.backend) {
+            this.backend.close();
+            this.backend = null;
+        }
+    }
+
+    /**
+     * Open an atlas, load it and go back to the map view and filters it was left with
+     */
+    async enterAtlas(id) {
+        await this.openAtlas(id);
+        await this.loadAtlas();
+        this.applyAtlasView();
+        this.updateUrl();
+    }
+
+    /**
+     * Close the open atlas and open another
+     */
+    async switchAtlas(id) {
+        const atlas = this.atlases.atlases.find(a => a.id === id);
+        if (!atlas || id === this.atlases.current) return;
+
+        // Nothing is loaded behind the lock screen, so start afresh in the other atlas
+        if (this.locked) {
+            this.atlases.current = id;
+            saveAtlasRegistry(this.atlases);
+            history.replaceState(null, '', location.pathname + location.search);
+            location.reload();
+            return;
+        }
+
+        await this.closeAtlas();
+        await this.enterAtlas(id);
+        this.showToast(`Opened "${atlas.name}" 🗂️`);
+    }
+
+    /**
+     * Remember the map view and filters in the open atlas, to come back to them
+     */
+    async saveAtlasView() {
+        if (!this.storage || !this.urlReady) return;
+
+        const { view, filters } = this.currentUrlState();
+        const saved = emptyUrlFilters();
+        Object.keys(saved).forEach(key => {
+            saved[key] = filters[key];
+        });
+
+        try {
+            await this.storage.setMeta(ATLAS_VIEW_KEY, { view, filters: saved });
+        } catch (error) {
+            console.error('Failed to save the map view:', error);
+        }
+    }
+
+    /**
+     * Go back to the map view and filters the open atlas was left with.
+     * Returns whether it had a view to go back to.
+     */
+    applyAtlasView() {
+        const { view, filters } = this.atlasView;
+
+        this.applyUrlFilters(Object.assign(emptyUrlFilters(), filters));
+        if (view) {
+            this.map.setView([view.lat, view.lng], view.zoom);
+        }
+        return Boolean(view);
+    }
+
+    /**
+     * List the atlases in the header switcher, on the lock screen and in the atlases panel
+     */
+    renderAtlasSwitcher() {
+        const options = this.atlases.atlases.map(atlas =>
+            `<option value="${this.escapeHtml(atlas.id)}">${this.escapeHtml(atlas.name)}</option>`).join('');
+
+        ['atlasSwitcher', 'lockAtlas'].forEach(id => {
+            const select = document.getElementById(id);
+            select.innerHTML = options;
+            select.value = this.atlases.current;
+        });
+        document.getElementById('lockAtlasOption').hidden = this.atlases.atlases.length < 2;
+
+        if (document.getElementById('atlasesModal').style.display === 'block') {
+            this.renderAtlases();
+        }
+    }
+
+    /**
+     * Switch to a mood palette, offering its moods in the memory form and the filter
+     */
+    setMoodPalette(palette) {
+        this.moodPalette = normalizeMoodPalette(palette);
+        useMoodPalette(this.moodPalette);
+        this.renderMoodOptions();
+        this.renderMoodFilter();
+
+        // The legend is built as it is added, so add it again for the new colours
+        const legend = this.moodLegend && this.moodLegend.getContainer();
+        if (legend && legend.parentNode) {
+            this.moodLegend.remove();
+            this.moodLegend.addTo(this.map);
+        }
+
+        if (document.getElementById('moodsModal').style.display === 'block') {
+            this.renderMoods();
+        }
+    }
+
+    /**
+     * Keep a changed palette and redraw the pins in its colours
+     */
+    async saveMoodPalette(palette) {
+        this.setMoodPalette(palette);
+        this.redrawPins();
+
+        try {
+            await this.storage.setMeta(MOOD_PALETTE_KEY, this.moodPalette);
+        } catch (error) {
+            console.error('Failed to save moods:', error);
+            this.showToast('Failed to save your moods.', 'error');
+        }
+    }
+
+    /**
+     * Build every pin and shape again, as the filters show them
+     */
+    redrawPins() {
+        this.markerLayer.clearLayers();
+        this.pins.clear();
+        this.shapeLayer.clearLayers();
+        this.shapes.clear();
+        this.memories.forEach(memory => this.createMarker(memory));
+        this.applyFilters({ announce: false });
+    }
+
+    /**
+     * The mood picked in the memory form
+     */
+    selectedMood() {
+        const option = document.querySelector('#moodSelector .mood-option.selected');
+        return option ? option.dataset.mood : NO_MOOD;
+    }
+
+    /**
+     * Offer the palette's moods in the memory form. A retired mood only shows when it is the
+     * selected one, so editing a memory doesn't take its mood away.
+     */
+    renderMoodOptions(selected = this.selectedMood()) {
+        document.getElementById('moodSelector').innerHTML = this.moodPalette
+            .filter(mood => !mood.retired || mood.emoji === selected)
+            .map(mood => `
+                <div class="mood-option ${mood.emoji === selected ? 'selected' : ''}" data-mood="${this.escapeAttribute(mood.emoji)}" style="border-color: ${mood.color}">${this.escapeHtml(moodLabel(this.moodPalette, mood.emoji))}</div>`)
+            .join('');
+    }
+
+    /**
+     * Offer the palette's moods in the filter, retired ones apart
+     */
+    renderMoodFilter() {
+        const select = document.getElementById('moodFilter');
+        const value = select.value;
+        const option = (mood) => `<option value="${this.escapeAttribute(mood.emoji)}">${this.escapeHtml(moodLabel(this.moodPalette, mood.emoji))}</option>`;
+        const retired = this.moodPalette.filter(mood => mood.retired);
+
+        select.innerHTML = '<option value="">All Moods</option>' +
+            activeMoods(this.moodPalette).map(option).join('') +
+            (retired.length > 0 ? `<optgroup label="Retired">${retired.map(option).join('')}</optgroup>` : '');
+        select.value = value;
+    }
+
+    /**
+     * Open the mood editor
+     */
+    showMoods() {
+        this.retiringMood = null;
+        this.renderMoods();
+        document.getElementById('moodsModal').style.display = 'block';
+        this.updateUrl(true);
+    }
+
+    /**
+     * Close the mood editor
+     */
+    closeMoods() {
+        document.getElementById('moodsModal').style.display = 'none';
+        this.retiringMood = null;
+        this.leaveUrlRoute();
+    }
+
+    /**
+     * List the moods with their emoji, name and colour to edit, active ones in picker order
+     */
+    renderMoods() {
+        const counts = computeStats(this.memories).moods;
+        const active = activeMoods(this.moodPalette);
+        const retired = this.moodPalette.filter(mood => mood.retired);
+
+        const row = (mood) => {
+            const index = this.moodPalette.indexOf(mood);
+            const position = active.indexOf(mood);
+            const count = counts[mood.emoji] || 0;
+            const name = this.escapeAttribute(mood.label);
+            const actions = mood.retired ?
+                `<button type="button" class="btn btn-secondary" onclick="lifeAtlas.restoreMood(${index})">Bring back</button>` :
+                `<button type="button" class="btn btn-icon" id="moodUp-${index}" onclick="lifeAtlas.moveMood(${index}, -1)" aria-label="Move ${name} up" ${position === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="btn btn-icon" id="moodDown-${index}" onclick="lifeAtlas.moveMood(${index}, 1)" aria-label="Move ${name} down" ${position === active.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="btn btn-secondary" onclick="lifeAtlas.retireMood(${index})" ${active.length === 1 ? 'disabled title="Keep at least one mood to choose from"' : ''}>Retire</button>`;
+
+            return `
+                <div class="trash-item mood-row">
+                    <input type="text" class="mood-emoji-input" value="${this.escapeAttribute(mood.emoji)}" maxlength="${MAX_MOOD_EMOJI_LENGTH}" aria-label="Emoji for ${name}" onchange="lifeAtlas.updateMood(${index}, 'emoji', this.value)">
+                    <input type="text" class="mood-label-input" value="${name}" maxlength="${MAX_MOOD_LABEL_LENGTH}" aria-label="Name of the ${this.escapeAttribute(mood.emoji)} mood" onchange="lifeAtlas.updateMood(${index}, 'label', this.value)">
+                    <input type="color" value="${mood.color}" aria-label="Pin colour for ${name}" onchange="lifeAtlas.updateMood(${index}, 'color', this.value)">
+                    <small class="mood-count">${count} ${count === 1 ? 'memory' : 'memories'}</small>
+                    ${actions}
+                </div>${this.retiringMood === mood.emoji ? this.renderMoodRemap(mood, count) : ''}`;
+        };
+
+        document.getElementById('moodList').innerHTML = active.map(row).join('') +
+            (retired.length > 0 ? `<h3 class="mood-retired-title">Retired</h3>${retired.map(row).join('')}` : '');
+    }
+
+    /**
+     * Ask what should become of the memories that have a mood about to be retired
+     */
+    renderMoodRemap(mood, count) {
+        const targets = activeMoods(this.moodPalette)
+            .filter(other => other !== mood)
+            .map(other => other.emoji)
+            .concat([NO_MOOD]);
+
+        return `
+            <div class="mood-remap">
+                <label for="moodRemapTarget">${count} ${count === 1 ? 'memory has' : 'memories have'} ${this.escapeHtml(moodLabel(this.moodPalette, mood.emoji))}. Give ${count === 1 ? 'it' : 'them'}:</label>
+                <select id="moodRemapTarget">
+                    ${targets.map(emoji => `<option value="${this.escapeAttribute(emoji)}">${this.escapeHtml(moodLabel(this.moodPalette, emoji))}</option>`).join('')}
+                </select>
+                <div class="modal-actions">
+                    <button type="button" class="btn" onclick="lifeAtlas.confirmRetireMood(true)">Change and retire</button>
+                    <button type="button" class="btn btn-secondary" onclick="lifeAtlas.confirmRetireMood(false)">Retire, keep theirs</button>
+                    <button type="button" class="btn btn-secondary" onclick="lifeAtlas.cancelRetireMood()">Cancel</button>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Add the mood from the editor's form to the end of the picker
+     */
+    async addMood() {
+        const emoji = document.getElementById('newMoodEmoji');
+        const label = document.getElementById('newMoodLabel');
+        const mood = {
+            emoji: emoji.value.trim(),
+            label: label.value.trim(),
+            color: document.getElementById('newMoodColor').value,
+            retired: false
+        };
+
+        const error = validateMood(mood, this.moodPalette);
+        if (error) {
+            this.showToast(error, 'error');
+            return;
+        }
+
+        await this.saveMoodPalette(this.moodPalette.concat([mood]));
+        emoji.value = '';
+        label.value = '';
+        this.showToast(`Added ${moodLabel(this.moodPalette, mood.emoji)} to your moods`);
+    }
+
+    /**
+     * Change a mood's emoji, name or colour. Memories with the mood keep it when its emoji changes.
+     */
+    async updateMood(index, field, value) {
+        const mood = this.moodPalette[index];
+        if (!mood) return;
+
+        const updated = Object.assign({}, mood, { [field]: value.trim() });
+        const error = validateMood(updated, this.moodPalette.filter(other => other !== mood));
+        if (error) {
+            this.showToast(error, 'error');
+            this.renderMoods();
+            return;
+        }
+
+        await this.saveMoodPalette(this.moodPalette.map(other => other === mood ? updated : other));
+        if (updated.emoji !== mood.emoji) {
+            await this.remapMood(mood.emoji, updated.emoji, `changing ${mood.emoji} to ${updated.emoji}`);
+        }
+    }
+
+    /**
+     * Move an active mood one place up (-1) or down (1) in the picker
+     */
+    async moveMood(index, direction) {
+        const active = activeMoods(this.moodPalette);
+        const neighbour = active[active.indexOf(this.moodPalette[index]) + direction];
+        if (this.moodPalette[index].retired || !neighbour) return;
+
+        const palette = this.moodPalette.slice();
+        const other = palette.indexOf(neighbour);
+        [palette[index], palette[other]] = [palette[other], palette[index]];
+        await this.saveMoodPalette(palette);
+
+        // Keep the keyboard on the mood that moved, unless it reached the end
+        const button = document.getElementById(`${direction < 0 ? 'moodUp' : 'moodDown'}-${other}`);
+        if (button && !button.disabled) {
+            button.focus();
+        }
+    }
+
+    /**
+     * Stop offering a mood. When memories have it, first ask whether to give them another.
+     */
+    async retireMood(index) {
+        const mood = this.moodPalette[index];
+        if (!mood || mood.retired || activeMoods(this.moodPalette).length === 1) return;
+
+        if (this.memories.some(memory => memory.mood === mood.emoji)) {
+            this.retiringMood = mood.emoji;
+            this.renderMoods();
+            document.getElementById('moodRemapTarget').focus();
+            return;
+        }
+
+        await this.setMoodRetired(mood, true);
+    }
+
+    /**
+     * Retire the mood being asked about, giving its memories the chosen mood when remap is true
+     */
+    async confirmRetireMood(remap) {
+        const mood = this.moodPalette.find(m => m.emoji === this.retiringMood);
+        const target = document.getElementById('moodRemapTarget').value;
+        this.retiringMood = null;
+        if (!mood) return;
+
+        await this.setMoodRetired(mood, true);
+        if (remap) {
+            await this.remapMood(mood.emoji, target, `retiring ${mood.emoji} ${mood.label}`);
+        }
+    }
+
+    /**
+     * Keep the mood after all
+     */
+    cancelRetireMood() {
+        this.retiringMood = null;
+        this.renderMoods();
+    }
+
+    /**
+     * Offer a retired mood again
+     */
+    async restoreMood(index) {
+        const mood = this.moodPalette[index];
+        if (mood && mood.retired) {
+            await this.setMoodRetired(mood, false);
+        }
+    }
+
+    /**
+     * Retire a mood or bring it back
+     */
+    async setMoodRetired(mood, retired) {
+        await this.saveMoodPalette(this.moodPalette.map(other => other === mood ? Object.assign({}, mood, { retired }) : other));
+        this.showToast(retired ?
+            `Retired ${moodLabel(this.moodPalette, mood.emoji)}` :
+            `${moodLabel(this.moodPalette, mood.emoji)} is back in the picker`);
+    }
+
+    /**
+     * Give every memory with one mood another, as one undoable change
+     */
+    async remapMood(from, to, label) {
+        // A memory being edited follows along
+        if (this.selectedMood() === from) {
+            this.renderMoodOptions(to);
+        }
+
+        const changes = this.memories
+            .filter(memory => memory.mood === from)
+            .map(memory => ({ id: memory.id, before: memory, after: Object.assign({}, memory, { mood: to }) }));
+        if (changes.length === 0) return;
+
+        await this.runCommand({ type: 'mood', label, changes },
+            `${changes.length} ${changes.length === 1 ? 'memory now has' : 'memories now have'} ${moodLabel(this.moodPalette, to)}`);
+        if (document.getElementById('moodsModal').style.display === 'block') {
+            this.renderMoods();
+        }
+    }
+
+    /**
+     * Open the atlases panel
+     */
+    showAtlases() {
+        this.renderAtlases();
+        document.getElementById('atlasesModal').style.display = 'block';
+        this.updateUrl(true);
+    }
+
+    /**
+     * Close the atlases panel
+     */
+    closeAtlases() {
+        document.getElementById('atlasesModal').style.display = 'none';
+        this.leaveUrlRoute();
+    }
+
+    /**
+     * List the atlases with their actions; the last one left can't be deleted
+     */
+    renderAtlases() {
+        const single = this.atlases.atlases.length === 1;
+
+        document.getElementById('atlasList').innerHTML = this.atlases.atlases.map(atlas => {
+            const id = this.escapeHtml(atlas.id);
+            const open = atlas.id === this.atlases.current;
+            return `
+                <div class="trash-item">
+                    <span class="trash-mood">${open ? '📖' : '📕'}</span>
+                    <div class="trash-info">
+                        <strong>${this.escapeHtml(atlas.name)}</strong>
+                        <small>
+                            ${open ? `Open · ${this.memories.length} ${this.memories.length === 1 ? 'memory' : 'memories'}` : `Created ${new Date(atlas.createdAt).toLocaleDateString()}`}
+                        </small>
+                    </div>
+                    ${open ? '' : `<button type="button" class="btn" onclick="lifeAtlas.switchAtlas('${id}')">Open</button>`}
+                    <button type="button" class="btn btn-secondary" onclick="lifeAtlas.renameAtlas('${id}')">Rename</button>
+                    <button type="button" class="btn btn-secondary" onclick="lifeAtlas.duplicateAtlas('${id}')">Duplicate</button>
+                    <button type="button" class="btn btn-danger" onclick="lifeAtlas.deleteAtlas('${id}')" ${single ? 'disabled' : ''}>Delete</button>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Add an empty atlas and open it
+     */
+    async createAtlas(name) {
+        const atlas = { id: createAtlasId(), name: uniqueAtlasName(name, this.atlases.atlases), createdAt: new Date().toISOString() };
+        this.atlases.atlases.push(atlas);
+        saveAtlasRegistry(this.atlases);
+
+        await this.switchAtlas(atlas.id);
+    }
+
+    /**
+     * Ask for a new name for an atlas
+     */
+    renameAtlas(id) {
+        const atlas = this.atlases.atlases.find(a => a.id === id);
+        if (!atlas) return;
+
+        const name = prompt('New name for this atlas:', atlas.name);
+        if (name === null || !name.trim()) return;
+
+        atlas.name = uniqueAtlasName(name, this.atlases.atlases, id);
+        saveAtlasRegistry(this.atlases);
+        this.renderAtlasSwitcher();
+        this.showToast(`Renamed to "${atlas.name}"`);
+    }
+
+    /**
+     * Copy an atlas, with its memories, attachments and settings. An encrypted atlas is
+     * copied as it is stored, so the copy opens with the same passphrase.
+     */
+    async duplicateAtlas(id) {
+        const atlas = this.atlases.atlases.find(a => a.id === id);
+        if (!atlas) return;
+
+        const copy = { id: createAtlasId(), name: uniqueAtlasName(`${atlas.name} (copy)`, this.atlases.atlases), createdAt: new Date().toISOString() };
+        const open = id === this.atlases.current;
+        let source = null;
+        let target = null;
+        let copied = false;
+
+        try {
+            if (open) {
+                await this.saveToStorage();
+                await this.saveAtlasView();
+            }
+            source = open ? this.backend : await createStorage(id);
+            target = await createStorage(copy.id);
+            await copyStorage(source, target);
+            copied = true;
+        } catch (error) {
+            console.error('Failed to duplicate atlas:', error);
+        } finally {
+            if (source && source !== this.backend) source.close();
+            if (target) target.close();
+        }
+
+        if (!copied) {
+            this.showToast('Failed to duplicate the atlas. Storage may be full.', 'error');
+            await deleteStorage(copy.id).catch(error => console.error('Failed to remove the partial copy:', error));
+            return;
+        }
+
+        this.atlases.atlases.push(copy);
+        saveAtlasRegistry(this.atlases);
+        this.renderAtlasSwitcher();
+        this.showToast(`Duplicated as "${copy.name}"`, 'success', { label: 'Open', callback: () => this.switchAtlas(copy.id) });
+    }
+
+    /**
+     * Delete an atlas and everything in it, opening another if it was the open one
+     */
+    async deleteAtlas(id) {
+        const atlas = this.atlases.atlases.find(a => a.id === id);
+        if (!atlas || this.atlases.atlases.length < 2) return;
+        if (!confirm(`Delete the atlas "${atlas.name}" and all its memories for good? This cannot be undone.`)) return;
+
+        const open = id === this.atlases.current;
+        if (open) {
+            await this.closeAtlas();
+        }
+
+        let deleted = false;
+        try {
+            await deleteStorage(id);
+            deleted = true;
+        } catch (error) {
+            console.error('Failed to delete atlas:', error);
+            this.showToast('Failed to delete the atlas.', 'error');
+        }
+
+        if (deleted) {
+            this.atlases.atlases = this.atlases.atlases.filter(a => a.id !== id);
+            saveAtlasRegistry(this.atlases);
+            this.renderAtlasSwitcher();
+            this.showToast(`Deleted "${atlas.name}"`);
+        }
+
+        if (open) {
+            await this.enterAtlas(deleted ? this.atlases.atlases[0].id : id);
+        }
+    }
+
+    /**
+     * Export every atlas in one file. Encrypted atlases other than the open one can't be read
+     * without their passphrase and are left out; the file is encrypted when the open atlas is.
+     */
+    async exportAllAtlases() {
+        const entries = [];
+        const skipped = [];
+        let dataStr;
+
+        try {
+            for (const atlas of this.atlases.atlases) {
+                if (atlas.id === this.atlases.current) {
+                    entries.push({ name: atlas.name, archive: await buildArchive(this.memories, this.storage, this.moodPalette) });
+                    continue;
+                }
+
+                const storage = await createStorage(atlas.id);
+                try {
+                    if (await storage.getMeta(VAULT_CONFIG_KEY)) {
+                        skipped.push(`"${atlas.name}"`);
+                    } else {
+                        const palette = normalizeMoodPalette(await storage.getMeta(MOOD_PALETTE_KEY) || defaultMoodPalette());
+                        entries.push({ name: atlas.name, archive: await buildArchive(await storage.loadMemories(), storage, palette) });
+                    }
+                } finally {
+                    storage.close();
+                }
+            }
+
+            dataStr = JSON.stringify(createAtlasBundle(entries), null, 2);
+            if (this.vault) {
+                dataStr = await encryptExport(this.vault.key, this.vault.config, dataStr);
+            }
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showToast('Failed to export your atlases.', 'error');
+            return;
+        }
+
+        const fileName = `life-atlas-all-atlases-${new Date().toISOString().split('T')[0]}${this.vault ? '-encrypted' : ''}.json`;
+        this.downloadFile(dataStr, 'application/json', fileName);
+
+        if (skipped.length > 0) {
+            this.showToast(`Exported ${entries.length} of ${this.atlases.atlases.length} atlases. Left out the encrypted ${skipped.join(', ')}: open ${skipped.length === 1 ? 'it' : 'each'} to export it on its own.`, 'info');
+        } else {
+            this.showToast(this.vault ? 'Encrypted export saved 🔒' : `Exported ${entries.length} ${entries.length === 1 ? 'atlas' : 'atlases'} 📁`);
+        }
+    }
+
+    /**
+     * Add each atlas in a bundle alongside the existing ones
+     */
+    async importAtlasBundle(fileName, bundle) {
+        const count = bundle.atlases.length;
+        const names = bundle.atlases.map(entry => `"${entry.name}"`).join(', ');
+        if (count === 0 || !confirm(`${fileName} holds ${count} ${count === 1 ? 'atlas' : 'atlases'}: ${names}. Add ${count === 1 ? 'it' : 'them'} to your atlases?`)) return;
+
+        const added = [];
+        for (const entry of bundle.atlases) {
+            const atlas = { id: createAtlasId(), name: uniqueAtlasName(String(entry.name || ''), this.atlases.atlases), createdAt: new Date().toISOString() };
+            // Planned as a merge into nothing, so records get checked and ids filled in as for any import
+            const { memories } = planImport([], readArchive(entry.archive));
+
+            const storage = await createStorage(atlas.id);
+            try {
+                await storage.saveMemories(memories);
+                await storeArchiveAttachments(entry.archive, memories, storage);
+                if (entry.archive.moods) {
+                    await storage.setMeta(MOOD_PALETTE_KEY, normalizeMoodPalette(entry.archive.moods));
+                }
+            } finally {
+                storage.close();
+            }
+
+            this.atlases.atlases.push(atlas);
+            saveAtlasRegistry(this.atlases);
+            added.push(atlas);
+        }
+
+        this.renderAtlasSwitcher();
+        this.showToast(`Added ${count} ${count === 1 ? 'atlas' : 'atlases'} 🗂️`, 'success', { label: 'Open', callback: () => this.switchAtlas(added[0].id) });
+    }
+
+    /**
+     * Lock after the configured time without any input
+     */
+    checkAutoLock() {
+        if (!this.vault || this.locked) return;
+
+        const minutes = this.vault.config.autoLockMinutes;
+        if (minutes && Date.now() - this.lastActivity > minutes * 60000) {
+            this.lock();
+        }
+    }
+
+    /**
+     * Open the privacy settings
+     */
+    showSecurity() {
+        this.renderSecurity();
+        document.getElementById('securityModal').style.display = 'block';
+        this.updateUrl(true);
+    }
+
+    /**
+     * Close the privacy settings
+     */
+    closeSecurityModal() {
+        document.getElementById('securityModal').style.display = 'none';
+        document.getElementById('securityContent').innerHTML = '';
+        this.leaveUrlRoute();
+    }
+
+    /**
+     * Render the privacy settings for the current encryption state
+     */
+    renderSecurity() {
+        const container = document.getElementById('securityContent');
+        const passphraseField = (id, label, autocomplete) => `
+            <div class="form-group">
+                <label for="${id}">${label}</label>
+                <input type="password" id="${id}" autocomplete="${autocomplete}">
+            </div>`;
+
+        if (!this.vault) {
+            container.innerHTML = this.renderPlaceLookupSettings() + this.renderBaseMapSettings() + this.renderSyncSettings() + `
+                <h3 class="offline-heading">Encryption</h3>
+                <p class="import-note">Encrypt your memories, photos and settings on this device with a passphrase. You will need it every time you open Life Atlas, and exports will be encrypted with it too.</p>
+                <p class="import-warning">If you forget the passphrase, your memories cannot be recovered.</p>
+                ${passphraseField('securityNew', 'Passphrase (at least 8 characters):', 'new-password')}
+                ${passphraseField('securityConfirm', 'Repeat passphrase:', 'new-password')}
+                <div class="modal-actions">
+                    <button type="button" class="btn" onclick="lifeAtlas.enableEncryption()">🔒 Turn on encryption</button>
+                </div>`;
+            return;
+        }
+
+        const autoLock = this.vault.config.autoLockMinutes;
+        container.innerHTML = this.renderPlaceLookupSettings() + this.renderBaseMapSettings() + this.renderSyncSettings() + `
+            <h3 class="offline-heading">Encryption</h3>
+            <p class="import-note">🔒 Your atlas is encrypted on this device.</p>
+            <div class="form-group">
+                <label for="securityAutoLock">Lock automatically:</label>
+                <select id="securityAutoLock" onchange="lifeAtlas.setAutoLock(Number(this.value))">
+                    ${AUTO_LOCK_OPTIONS.map(minutes => `
+                        <option value="${minutes}" ${minutes === autoLock ? 'selected' : ''}>
+                            ${minutes === 0 ? 'Never' : `After ${minutes} ${minutes === 1 ? 'minute' : 'minutes'} without use`}
+                        </option>`).join('')}
+                </select>
+            </div>
+            <div class="modal-actions">
+                <button type="button" class="btn" onclick="lifeAtlas.lock()">🔒 Lock now</button>
+            </div>
+
+            <h3 class="offline-heading">Change passphrase</h3>
+            ${passphraseField('securityCurrent', 'Current passphrase:', 'current-password')}
+            ${passphraseField('securityNew', 'New passphrase:', 'new-password')}
+            ${passphraseField('securityConfirm', 'Repeat new passphrase:', 'new-password')}
+            <div class="modal-actions">
+                <button type="button" class="btn btn-secondary" onclick="lifeAtlas.changePassphrase()">Change passphrase</button>
+                <button type="button" class="btn btn-danger" onclick="lifeAtlas.disableEncryption()">Turn off encryption</button>
+            </div>`;
+    }
+
+    /**
+     * Settings for where place names and place search come from
+     */
+    renderPlaceLookupSettings() {
+        const { provider, url } = this.geocoderSettings;
+        const missing = this.memories.filter(memory => !memory.place).length;
+        const filling = this.placeFill;
+
+        return `
+            <h3 class="offline-heading">Place lookup</h3>
+            <p class="import-note">Place search and place names use the built-in list of cities unless you choose a server. A server is sent the places you search for and the location of each memory you save.</p>
+            <div class="form-group">
+                <label for="geocoderProvider">Look up places with:</label>
+                <select id="geocoderProvider" onchange="document.getElementById('geocoderUrlGroup').style.display = this.value === 'nominatim' ? 'block' : 'none'">
+                    ${Object.keys(GEOCODER_PROVIDERS).map(key => `
+                        <option value="${key}" ${key === provider ? 'selected' : ''}>${GEOCODER_PROVIDERS[key]}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group" id="geocoderUrlGroup" style="display: ${provider === 'nominatim' ? 'block' : 'none'};">
+                <label for="geocoderUrl">Server address:</label>
+                <input type="url" id="geocoderUrl" value="${this.escapeAttribute(url)}" placeholder="${DEFAULT_NOMINATIM_URL}">
+            </div>
+            <div class="modal-actions">
+                <button type="button" class="btn btn-secondary" onclick="lifeAtlas.saveGeocoderSettings()">Save</button>
+                ${filling ?
+                    `<button type="button" class="btn btn-secondary" onclick="lifeAtlas.cancelPlaceFill()">Stop (${filling.done} of ${filling.total})</button>` :
+                    `<button type="button" class="btn btn-secondary" onclick="lifeAtlas.fillMissingPlaces()" ${missing === 0 ? 'disabled' : ''}>📍 Name ${missing} ${missing === 1 ? 'memory' : 'memories'} without a place</button>`}
+            </div>`;
+    }
+
+    /**
+     * Save the place lookup settings from the privacy panel
+     */
+    async saveGeocoderSettings() {
+        const provider = document.getElementById('geocoderProvider').value;
+        const url = document.getElementById('geocoderUrl').value.trim() || DEFAULT_NOMINATIM_URL;
+
+        if (provider === 'nominatim' && !/^https?:\/\//i.test(url)) {
+            this.showToast('Enter a server address starting with https://', 'error');
+            return;
+        }
+
+        this.setGeocoder({ provider, url });
+
+        try {
+            await this.storage.setMeta(GEOCODER_SETTINGS_KEY, this.geocoderSettings);
+            this.showToast('Place lookup settings saved', 'success');
+        } catch (error) {
+            console.error('Failed to save place lookup settings:', error);
+            this.showToast('Failed to save place lookup settings.', 'error');
+        }
+    }
+
+    /**
+     * Settings for the user's own base maps, such as a tile server on their own machine
+     */
+    renderBaseMapSettings() {
+        const custom = this.layerSettings.custom;
+
+        return `
+            <div id="baseMapSettings">
+                <h3 class="offline-heading">Base maps</h3>
+                <p class="import-note">Choose the base map and the heatmap and mood map overlays with the layer button at the bottom left of the map. A tile server is sent the areas you look at; add your own, such as one running on this machine, to keep that private. Saved offline areas always use OpenStreetMap.</p>
+                ${custom.map(baseMap => `
+                    <div class="trash-item">
+                        <div class="trash-info">
+                            <strong>${this.escapeHtml(baseMap.name)}</strong>
+                            <small>${this.escapeHtml(baseMap.url)}</small>
+                        </div>
+                        <button type="button" class="btn btn-danger" data-base-map="${this.escapeAttribute(baseMap.id)}" onclick="lifeAtlas.removeBaseMap(this.dataset.baseMap)">Remove</button>
+                    </div>`).join('')}
+                <div class="form-group">
+                    <label for="baseMapName">Name:</label>
+                    <input type="text" id="baseMapName" placeholder="My tile server" maxlength="60">
+                </div>
+                <div class="form-group">
+                    <label for="baseMapUrl">Tile address, with {z}, {x} and {y}:</label>
+                    <input type="url" id="baseMapUrl" placeholder="http://localhost:8080/tile/{z}/{x}/{y}.png">
+                </div>
+                <div class="form-group">
+                    <label for="baseMapAttribution">Attribution:</label>
+                    <input type="text" id="baseMapAttribution" value="${this.escapeAttribute(OSM_ATTRIBUTION)}">
+                </div>
+                <div class="form-group">
+                    <label for="baseMapMaxZoom">Closest zoom:</label>
+                    <input type="number" id="baseMapMaxZoom" min="1" max="22" value="19">
+                </div>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-secondary" onclick="lifeAtlas.addBaseMap()">Add base map</button>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Add a base map from the privacy panel and switch to it
+     */
+    async addBaseMap() {
+        const name = document.getElementById('baseMapName').value.trim();
+        const url = document.getElementById('baseMapUrl').value.trim();
+        const maxZoom = Number(document.getElementById('baseMapMaxZoom').value) || 19;
+
+        const problem = validateTileTemplate(url);
+        if (problem) {
+            this.showToast(problem, 'error');
+            return;
+        }
+
+        const baseMap = {
+            id: `custom-${Date.now().toString(36)}`,
+            name: uniqueBaseMapName(name, url, allBaseMaps(this.layerSettings.custom)),
+            url,
+            attribution: document.getElementById('baseMapAttribution').value.trim(),
+            maxZoom: Math.min(22, Math.max(1, maxZoom))
+        };
+
+        this.setMapLayers(Object.assign({}, this.layerSettings, {
+            base: baseMap.id,
+            custom: this.layerSettings.custom.concat(baseMap)
+        }));
+        await this.saveMapLayers();
+
+        document.getElementById('baseMapSettings').outerHTML = this.renderBaseMapSettings();
+        this.showToast(`🗺️ Switched to ${baseMap.name}`);
+    }
+
+    /**
+     * Remove one of the user's base maps, falling back to OpenStreetMap if it was showing
+     */
+    async removeBaseMap(id) {
+        const custom = this.layerSettings.custom.filter(baseMap => baseMap.id !== id);
+        const base = this.layerSettings.base === id ? defaultLayerSettings().base : this.layerSettings.base;
+
+        this.setMapLayers(Object.assign({}, this.layerSettings, { base, custom }));
+        await this.saveMapLayers();
+
+        const settings = document.getElementById('baseMapSettings');
+        if (settings) {
+            settings.outerHTML = this.renderBaseMapSettings();
+        }
+    }
+
+    /**
+     * Settings for syncing this atlas with a server
+     */
+    renderSyncSettings() {
+        const { url, token } = this.sync;
+
+        return `
+            <div id="syncSettings">
+                <h3 class="offline-heading">Sync</h3>
+                <p class="import-note">Keep this atlas the same on all your devices through a sync server you run yourself, such as <code>server/sync-server.js</code> from the Life Atlas source. The server receives this atlas's memories without the encryption on this device, so only use a server you trust, over HTTPS. Photos and audio stay on the device they were added on.</p>${this.vault ? `
+                <p class="import-note import-warning">⚠️ This atlas is encrypted on this device, but the sync server stores its memories unencrypted.</p>` : ''}
+                <div class="form-group">
+                    <label for="syncUrl">Server address:</label>
+                    <input type="url" id="syncUrl" value="${this.escapeAttribute(url)}" placeholder="https://example.com/atlases/personal">
+                </div>
+                <div class="form-group">
+                    <label for="syncToken">Access token, if the server asks for one:</label>
+                    <input type="password" id="syncToken" value="${this.escapeAttribute(token)}" autocomplete="off">
+                </div>
+                <p class="import-note" id="syncStatus" role="status">${this.renderSyncStatusText()}</p>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-secondary" onclick="lifeAtlas.saveSyncSettings()">Save</button>
+                    ${url ? `
+                        <button type="button" class="btn btn-secondary" onclick="lifeAtlas.syncNow()">🔄 Sync now</button>
+                        <button type="button" class="btn btn-danger" onclick="lifeAtlas.disableSync()">Stop syncing</button>` : ''}
+                </div>
+            </div>`;
+    }
+
+    /**
+     * One line on how syncing is going, with a way into any conflicts
+     */
+    renderSyncStatusText() {
+        if (!this.sync.url) return 'Sync is off.';
+        if (this.syncing) return '🔄 Syncing…';
+
+        const parts = [];
+        if (this.syncError) {
+            parts.push(`The last sync failed: ${this.escapeHtml(this.syncError)}`);
+        } else if (this.sync.lastSyncedAt) {
+            parts.push(`Last synced ${new Date(this.sync.lastSyncedAt).toLocaleString()}`);
+        } else {
+            parts.push('Not synced yet');
+        }
+
+        const waiting = pendingSyncChanges(this.memories, this.sync.records).length;
+        if (waiting > 0) {
+            parts.push(`${waiting} ${waiting === 1 ? 'change' : 'changes'} to send`);
+        }
+
+        const missing = this.syncMissingAttachments;
+        if (missing > 0) {
+            parts.push(`${missing} ${missing === 1 ? 'photo or recording is only on the device it was' : 'photos and recordings are only on the devices they were'} added on`);
+        }
+
+        const conflicts = this.syncConflicts.length;
+        const resolve = conflicts > 0 ?
+            ` <button type="button" class="btn btn-secondary" onclick="lifeAtlas.showSyncConflicts()">Resolve ${conflicts} ${conflicts === 1 ? 'conflict' : 'conflicts'}</button>` :
+            '';
+        return `${parts.join(' · ')}.${resolve}`;
+    }
+
+    /**
+     * Refresh the sync status line, if the privacy panel is showing it
+     */
+    renderSyncStatus() {
+        const status = document.getElementById('syncStatus');
+        if (status) {
+            status.innerHTML = this.renderSyncStatusText();
+        }
+    }
+
+    /**
+     * Save the sync settings from the privacy panel and sync straight away
      */
-    deleteMemory() {
-        if (confirm('Are you sure you want to delete this memory? This action cannot be undone.')) {
-            const index = this.memories.findIndex(m => m.id === this.currentMemoryId);
-            if (index !== -1) {
-                this.pins.get(this.currentMemoryId).remove();
-                this.pins.delete(this.currentMemoryId);
-                this.memories.splice(index, 1);
-                this.saveToStorage();
-                this.closeDetailModal();
-                this.showToast('Memory deleted successfully.');
-            }
+    async saveSyncSettings() {
+        const url = document.getElementById('syncUrl').value.trim();
+        const token = document.getElementById('syncToken').value.trim();
+
+        if (!url) {
+            await this.disableSync();
+            return;
+        }
+        if (!/^https?:\/\//i.test(url)) {
+            this.showToast('Enter a server address starting with https://', 'error');
+            return;
         }
+
+        if (this.vault && url !== this.sync.url &&
+            !confirm('This atlas is encrypted on this device, but the sync server will store its memories unencrypted. Only sync with a server you control. Sync anyway?')) {
+            return;
+        }
+
+        // A different server starts afresh: everything here is sent and everything there fetched
+        if (url !== this.sync.url) {
+            this.sync = Object.assign(emptySyncState(), { url, token });
+            this.syncConflicts = [];
+        } else {
+            this.sync.token = token;
+        }
+        this.syncError = null;
+
+        await this.saveSyncState();
+        document.getElementById('syncSettings').outerHTML = this.renderSyncSettings();
+        await this.syncNow();
     }
 
     /**
-     * Load all memories from storage and add to map
+     * Stop syncing this atlas; its memories stay as they are on this device
      */
-    loadMemories() {
-        this.memories.forEach(memory => {
-            this.addPinToMap(memory);
-        });
+    async disableSync() {
+        clearTimeout(this.syncTimer);
+        this.sync = emptySyncState();
+        this.syncError = null;
+        this.syncConflicts = [];
+        this.syncMissingAttachments = 0;
+        await this.saveSyncState();
+
+        const settings = document.getElementById('syncSettings');
+        if (settings) {
+            settings.outerHTML = this.renderSyncSettings();
+        }
+        this.showToast('Sync is off. Your memories stay on this device.', 'info');
     }
 
     /**
-     * Save memories to localStorage
+     * Persist the sync settings and what the server is known to have
      */
-    saveToStorage() {
+    async saveSyncState() {
+        if (!this.storage) return;
+
         try {
-            localStorage.setItem('lifeAtlasMemories', JSON.stringify(this.memories));
+            await this.storage.setMeta(SYNC_STATE_KEY, this.sync);
         } catch (error) {
-            console.error('Failed to save memories:', error);
-            this.showToast('Failed to save memory. Storage may be full.', 'error');
+            console.error('Failed to save sync state:', error);
+            this.showToast('Failed to save the sync settings. Storage may be full.', 'error');
         }
     }
 
     /**
-     * Toggle the filters panel
+     * Sync a little after the latest change, so a burst of edits goes up together
      */
-    toggleFilters() {
-        const filters = document.getElementById('filters');
-        filters.style.display = filters.style.display === 'none' ? 'block' : 'none';
+    scheduleSync() {
+        if (!this.sync.url || this.syncing) return;
+
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.syncNow({ announce: false }), SYNC_DELAY_MS);
     }
 
     /**
-     * Apply filters to memories
+     * Fetch what changed on other devices, then send what changed here. Memories changed on
+     * both sides differently are held back as conflicts for the user to resolve.
      */
-    applyFilters() {
-        const moodFilter = document.getElementById('moodFilter').value;
-        const dateFrom = document.getElementById('dateFromFilter').value;
-        const dateTo = document.getElementById('dateToFilter').value;
+    async syncNow({ announce = true } = {}) {
+        if (!this.sync.url || !this.storage || this.syncing) return;
+
+        if (!navigator.onLine) {
+            if (announce) {
+                this.showToast('📴 You are offline. Sync will run when you are back online.', 'info');
+            }
+            return;
+        }
+
+        clearTimeout(this.syncTimer);
+        const storage = this.storage;
+        const client = new SyncClient(this.sync);
+        this.syncing = true;
+        this.renderSyncStatus();
 
-        let filteredCount = 0;
+        try {
+            // Pull first, so local edits are checked against what other devices did
+            const pulled = await client.pull(this.sync.cursor);
+            if (this.storage !== storage) return;
 
-        this.pins.forEach((marker, id) => {
-            const memory = this.memories.find(m => m.id === id);
-            let show = true;
+            const merged = mergeRemoteChanges(this.memories, this.sync.records, pulled.changes);
+            this.applyRemoteChanges(merged.apply);
+            this.sync.records = merged.records;
+            this.sync.cursor = pulled.cursor;
 
-            if (moodFilter && memory.mood !== moodFilter) {
-                show = false;
-            }
+            // Conflicts still waiting for the user stay, unless the other device changed them again
+            const conflicts = this.syncConflicts
+                .filter(conflict => !merged.conflicts.some(c => c.id === conflict.id))
+                .concat(merged.conflicts);
+            const held = new Set(conflicts.map(conflict => conflict.id));
+            const sent = pendingSyncChanges(this.memories, this.sync.records).filter(change => !held.has(change.id));
+            let accepted = 0;
 
-            if (dateFrom && memory.date < dateFrom) {
-                show = false;
+            if (sent.length > 0) {
+                const pushed = await client.push(sent);
+                if (this.storage !== storage) return;
+
+                const settled = settlePushedChanges(this.memories, this.sync.records, sent, pushed.accepted);
+                this.memories = settled.memories;
+                this.sync.records = settled.records;
+                accepted = pushed.accepted.length;
+
+                // Another device got there between the pull and the push
+                pushed.conflicts.forEach(({ id, server }) => {
+                    const change = sent.find(c => c.id === id);
+                    conflicts.push({
+                        id,
+                        mine: change.memory,
+                        theirs: server.deleted ? null : server.memory,
+                        server: { rev: server.rev, deleted: server.deleted }
+                    });
+                });
             }
 
-            if (dateTo && memory.date > dateTo) {
-                show = false;
+            const newConflicts = conflicts.length - this.syncConflicts.length;
+            this.syncConflicts = conflicts;
+            this.sync.lastSyncedAt = new Date().toISOString();
+            this.syncError = null;
+            await this.saveSyncState();
+            await this.persistChanges();
+
+            // Attachments of memories from other devices, whose files did not come with them
+            const stored = new Set(await storage.listAttachmentIds());
+            this.syncMissingAttachments = this.memories
+                .reduce((all, memory) => all.concat(memory.attachments || []), [])
+                .filter(attachment => !stored.has(attachment.id))
+                .length;
+
+            if (document.getElementById('syncConflictModal').style.display === 'block') {
+                this.renderSyncConflicts();
             }
 
-            if (show) {
-                marker.addTo(this.map);
-                filteredCount++;
-            } else {
-                this.map.removeLayer(marker);
+            if (newConflicts > 0) {
+                this.showToast(`⚠️ ${newConflicts} ${newConflicts === 1 ? 'memory was' : 'memories were'} also changed on another device`, 'error', { label: 'Resolve', callback: () => this.showSyncConflicts() });
+            } else if (announce) {
+                this.showToast(`🔄 Synced: ${merged.apply.length} from other devices, ${accepted} sent`);
             }
-        });
+        } catch (error) {
+            console.error('Sync failed:', error);
+            this.syncError = error.name === 'AbortError' ? 'the server did not answer' : error.message;
+            if (announce) {
+                this.showToast(`Sync failed: ${this.syncError}`, 'error');
+            }
+        } finally {
+            this.syncing = false;
+            this.renderSyncStatus();
+        }
+    }
+
+    /**
+     * Take over memories changed or deleted on other devices, keeping their revs.
+     * Deleted memories go to the trash, as they would when deleted here.
+     */
+    applyRemoteChanges(apply) {
+        if (apply.length === 0) return;
 
-        this.showToast(`Showing ${filteredCount} of ${this.memories.length} memories`);
+        const memories = new Map(this.memories.map(memory => [memory.id, memory]));
+        this.applyChanges(apply.map(({ id, memory }) => ({ id, before: memories.get(id) || null, after: memory })), 'after', { stamp: false });
     }
 
     /**
-     * Clear all filters
+     * Show memories changed differently here and on another device, side by side
      */
-    clearFilters() {
-        document.getElementById('moodFilter').value = '';
-        document.getElementById('dateFromFilter').value = '';
-        document.getElementById('dateToFilter').value = '';
-        
-        this.pins.forEach((marker) => {
-            marker.addTo(this.map);
-        });
+    showSyncConflicts() {
+        if (this.syncConflicts.length === 0) return;
 
-        this.showToast('All filters cleared');
+        this.renderSyncConflicts();
+        document.getElementById('syncConflictModal').style.display = 'block';
     }
 
     /**
-     * Jump to a random memory
+     * Close the conflicts dialog; unresolved conflicts wait for the next time
      */
-    randomMemory() {
-        if (this.memories.length === 0) {
-            this.showToast('No memories to explore yet! Start by adding your first memory.', 'info');
-            return;
-        }
+    closeSyncConflicts() {
+        document.getElementById('syncConflictModal').style.display = 'none';
+    }
 
-        const randomMemory = this.memories[Math.floor(Math.random() * this.memories.length)];
-        this.map.setView([randomMemory.lat, randomMemory.lng], 15);
-        
-        setTimeout(() => {
-            this.pins.get(randomMemory.id).openPopup();
-        }, 500);
+    /**
+     * A table per conflict comparing both versions field by field, differences highlighted
+     */
+    renderSyncConflicts() {
+        const fields = [
+            ['Title', memory => memory.title],
+            ['Date', memory => new Date(memory.date).toLocaleDateString()],
+            ['Mood', memory => memory.mood],
+            ['Place', memory => memory.placeName || `${memory.lat.toFixed(5)}, ${memory.lng.toFixed(5)}`],
+            ['Description', memory => stripMarkdown(memory.description)],
+            ['Tags', memory => memory.tags.map(tag => `#${tag}`).join(' ')],
+            ['Collections', memory => memory.collections.join(', ')],
+            ['Attachments', memory => String(memory.attachments.length)],
+            ['Changed', memory => memory.updatedAt ? new Date(memory.updatedAt).toLocaleString() : '']
+        ];
 
-        this.showToast(`Jumped to: ${randomMemory.title} 🎲`);
+        document.getElementById('syncConflictList').innerHTML = this.syncConflicts.map((conflict, index) => {
+            const { mine, theirs } = conflict;
+            const rows = fields.map(([label, read]) => {
+                const here = mine ? read(mine) : '—';
+                const there = theirs ? read(theirs) : '—';
+                return `
+                    <tr class="${here !== there ? 'sync-diff' : ''}">
+                        <th scope="row">${label}</th>
+                        <td>${this.escapeHtml(here)}</td>
+                        <td>${this.escapeHtml(there)}</td>
+                    </tr>`;
+            }).join('');
+
+            return `
+                <section class="sync-conflict">
+                    <h3>${this.escapeHtml((mine || theirs).title)}</h3>
+                    <table class="sync-compare">
+                        <thead>
+                            <tr>
+                                <td></td>
+                                <th scope="col">📱 This device${mine ? '' : ' (deleted)'}</th>
+                                <th scope="col">☁️ Other device${theirs ? '' : ' (deleted)'}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn-secondary" onclick="lifeAtlas.resolveSyncConflict(${index}, 'mine')">${mine ? "Keep this device's" : 'Delete it'}</button>
+                        ${mine && theirs ? `<button type="button" class="btn btn-secondary" onclick="lifeAtlas.resolveSyncConflict(${index}, 'both')">Keep both</button>` : ''}
+                        <button type="button" class="btn" onclick="lifeAtlas.resolveSyncConflict(${index}, 'theirs')">${theirs ? "Keep the other device's" : 'Delete it'}</button>
+                    </div>
+                </section>`;
+        }).join('');
     }
 
     /**
-     * Toggle memory adding mode
+     * Settle a conflict with 'mine', 'theirs' or 'both' (the other device's version keeps the
+     * memory and this device's becomes a new one), then sync once none are left
      */
-    addMemoryMode() {
-        this.addingMemory = !this.addingMemory;
-        this.updateFloatingActionButton();
-        
-        if (this.addingMemory) {
-            this.showToast('Click anywhere on the map to place a memory pin! 📍');
+    async resolveSyncConflict(index, choice) {
+        const conflict = this.syncConflicts[index];
+        if (!conflict) return;
+
+        const { id, mine, theirs, server } = conflict;
+        const current = this.memories.find(memory => memory.id === id) || null;
+
+        // Whichever version wins builds on the server's, so the next push is accepted
+        this.sync.records[id] = { rev: server.rev, deleted: server.deleted };
+
+        if (choice === 'mine' && current) {
+            // Raised past the server's rev, or the kept version could look like the one already there
+            const kept = Object.assign({}, current, { rev: Math.max(current.rev || 0, server.rev) });
+            this.applyChanges([{ id, before: current, after: kept }], 'after');
+        } else if (choice !== 'mine') {
+            this.applyChanges([{ id, before: current, after: theirs }], 'after', { stamp: false });
+        }
+        if (choice === 'both' && (current || mine)) {
+            const copy = Object.assign({}, current || mine, { id: generateMemoryId(new Set(this.memories.map(memory => memory.id))) });
+            this.applyChanges([{ id: copy.id, before: null, after: copy }], 'after');
+        }
+
+        this.syncConflicts.splice(index, 1);
+        await this.saveSyncState();
+        await this.persistChanges();
+
+        if (this.syncConflicts.length === 0) {
+            this.closeSyncConflicts();
+            this.showToast('All conflicts resolved 🔄');
+            await this.syncNow({ announce: false });
+        } else {
+            this.renderSyncConflicts();
         }
     }
 
     /**
-     * Update the floating action button appearance
+     * Look up places for memories saved without one, a request at a time, as one undoable change
      */
-    updateFloatingActionButton() {
-        const btn = document.querySelector('.floating-action');
-        
-        if (this.addingMemory) {
-            btn.style.background = 'linear-gradient(135deg, #dc3545, #c82333)';
-            btn.innerHTML = '❌';
-            btn.title = 'Cancel adding memory';
+    async fillMissingPlaces() {
+        const missing = this.memories.filter(memory => !memory.place);
+        if (missing.length === 0 || this.placeFill) return;
+
+        // Servers get one request a second; the built-in list needs no pause
+        const interval = this.geocoderSettings.provider === 'offline' ? 0 : GEOCODER_REQUEST_INTERVAL_MS;
+        const fill = { done: 0, total: missing.length, cancelled: false };
+        const changes = [];
+        this.placeFill = fill;
+
+        for (const memory of missing) {
+            if (fill.cancelled) break;
+
+            const place = await this.lookupPlace(memory.lat, memory.lng);
+            if (place) {
+                changes.push({ id: memory.id, before: memory, after: Object.assign({}, memory, { place, placeName: formatPlaceName(place) }) });
+            }
+
+            fill.done++;
+            if (document.getElementById('securityModal').style.display === 'block') {
+                this.renderSecurity();
+            }
+            if (interval && fill.done < fill.total) {
+                await new Promise(resolve => setTimeout(resolve, interval));
+            }
+        }
+
+        this.placeFill = null;
+
+        // Skip memories edited or deleted while we were looking
+        const current = new Set(this.memories);
+        const applicable = changes.filter(change => current.has(change.before));
+
+        if (applicable.length === 0) {
+            this.showToast('No new place names found', 'info');
         } else {
-            btn.style.background = 'linear-gradient(135deg, var(--sunset-orange), var(--forest-green))';
-            btn.innerHTML = '📍';
-            btn.title = 'Add memory';
+            await this.runCommand({
+                type: 'edit',
+                label: 'naming places',
+                changes: applicable
+            }, `📍 Named ${applicable.length} ${applicable.length === 1 ? 'place' : 'places'}`);
+        }
+
+        if (document.getElementById('securityModal').style.display === 'block') {
+            this.renderSecurity();
         }
     }
 
     /**
-     * Show a toast notification
+     * Stop filling in missing places after the current lookup
      */
-    showToast(message, type = 'success') {
-        // Remove existing toast
-        const existingToast = document.querySelector('.toast');
-        if (existingToast) {
-            existingToast.remove();
+    cancelPlaceFill() {
+        if (this.placeFill) {
+            this.placeFill.cancelled = true;
         }
+    }
 
-        const toast = document.createElement('div');
-        toast.className = `toast toast-${type}`;
-        toast.textContent = message;
-        toast.style.cssText = `
-            position: fixed;
-            top: 100px;
-            right: 20px;
-            background: ${type === 'error' ? '#dc3545' : type === 'info' ? '#17a2b8' : 'var(--forest-green)'};
-            color: white;
-            padding: 12px 20px;
-            border-radius: 25px;
-            box-shadow: 0 4px 15px var(--shadow);
-            z-index: 3000;
-            font-family: 'Kalam', cursive;
-            font-weight: 700;
-            transform: translateX(100%);
-            transition: transform 0.3s ease;
-        `;
-
-        document.body.appendChild(toast);
+    /**
+     * Read and check the new passphrase fields; returns the passphrase or null
+     */
+    readNewPassphrase() {
+        const passphrase = document.getElementById('securityNew').value;
 
-        // Slide in
-        setTimeout(() => {
-            toast.style.transform = 'translateX(0)';
-        }, 100);
+        if (passphrase.length < 8) {
+            this.showToast('Use a passphrase of at least 8 characters.', 'error');
+            return null;
+        }
+        if (passphrase !== document.getElementById('securityConfirm').value) {
+            this.showToast('The passphrases do not match.', 'error');
+            return null;
+        }
+        return passphrase;
+    }
 
-        // Slide out and remove
-        setTimeout(() => {
-            toast.style.transform = 'translateX(100%)';
-            setTimeout(() => toast.remove(), 300);
-        }, 3000);
+    /**
+     * Check the current passphrase field; returns true when it matches
+     */
+    async checkCurrentPassphrase() {
+        try {
+            await unlockVault(this.vault.config, document.getElementById('securityCurrent').value);
+            return true;
+        } catch (error) {
+            this.showToast('The current passphrase is wrong.', 'error');
+            return false;
+        }
     }
 
     /**
-     * Export memories as JSON
+     * Disable the privacy buttons while data is being re-encrypted
      */
-    exportMemories() {
-        const dataStr = JSON.stringify(this.memories, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(dataBlob);
-        
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `life-atlas-memories-${new Date().toISOString().split('T')[0]}.json`;
-        link.click();
-        
-        URL.revokeObjectURL(url);
-        this.showToast('Memories exported successfully! 📁');
+    setSecurityBusy(busy) {
+        document.querySelectorAll('#securityContent button').forEach(button => {
+            button.disabled = busy;
+        });
     }
 
     /**
-     * Import memories from JSON file
+     * Encrypt everything stored so far with a new passphrase
      */
-    importMemories(file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const importedMemories = JSON.parse(e.target.result);
-                
-                if (!Array.isArray(importedMemories)) {
-                    throw new Error('Invalid file format');
-                }
+    async enableEncryption() {
+        const passphrase = this.readNewPassphrase();
+        if (!passphrase) return;
 
-                // Clear existing pins
-                this.pins.forEach(marker => marker.remove());
-                this.pins.clear();
+        let vault = null;
+        this.setSecurityBusy(true);
+        try {
+            vault = await createVault(passphrase);
 
-                // Load imported memories
-                this.memories = importedMemories;
-                this.saveToStorage();
-                this.loadMemories();
+            await encryptStorage(this.backend, this.backend, vault);
 
-                this.showToast(`Successfully imported ${importedMemories.length} memories! 🎉`);
-            } catch (error) {
-                console.error('Import error:', error);
-                this.showToast('Failed to import memories. Please check the file format.', 'error');
+            this.vault = vault;
+            this.storage = new EncryptedStorage(this.backend, vault.key);
+            // Memories saved while the copies were being made
+            await this.saveToStorage();
+            this.showToast('Encryption is on 🔒');
+        } catch (error) {
+            console.error('Failed to turn on encryption:', error);
+
+            // Past the commit point encryption can only go forward, and unlocking completes it
+            if (await this.backend.getMeta(VAULT_PENDING_KEY).catch(() => null)) {
+                this.showToast('Encryption is turned on when you unlock with the new passphrase.', 'error');
+                this.setSecurityBusy(false);
+                this.vault = vault;
+                await this.lock();
+                return;
             }
-        };
-        reader.readAsText(file);
+            this.showToast('Failed to turn on encryption. Your memories are still stored unencrypted.', 'error');
+        }
+        this.renderSecurity();
     }
 
     /**
-     * Get statistics about memories
+     * Re-encrypt everything under a new passphrase
      */
-    getStats() {
-        const stats = {
-            total: this.memories.length,
-            moods: {},
-            oldestDate: null,
-            newestDate: null,
-            averageDescriptionLength: 0
-        };
+    async changePassphrase() {
+        if (!await this.checkCurrentPassphrase()) return;
+        const passphrase = this.readNewPassphrase();
+        if (!passphrase) return;
 
-        if (this.memories.length === 0) {
-            return stats;
+        this.setSecurityBusy(true);
+        try {
+            const vault = await createVault(passphrase, this.vault.config.autoLockMinutes);
+
+            await encryptStorage(this.storage, this.backend, vault);
+
+            this.vault = vault;
+            this.storage = new EncryptedStorage(this.backend, vault.key);
+            // Memories saved while the copies were being made
+            await this.saveToStorage();
+            this.showToast('Passphrase changed 🔑');
+        } catch (error) {
+            console.error('Failed to change passphrase:', error);
+
+            // Past the commit point the change can only go forward, and unlocking completes it
+            if (await this.backend.getMeta(VAULT_PENDING_KEY).catch(() => null)) {
+                this.showToast('The new passphrase takes effect when you unlock again.', 'error');
+                this.setSecurityBusy(false);
+                await this.lock();
+                return;
+            }
+            this.showToast('Failed to change the passphrase. Your old passphrase still works.', 'error');
         }
+        this.renderSecurity();
+    }
 
-        let totalLength = 0;
-        let dates = [];
+    /**
+     * Decrypt everything and store it in plain form again
+     */
+    async disableEncryption() {
+        if (!await this.checkCurrentPassphrase()) return;
+        if (!confirm('Store your memories unencrypted on this device?')) return;
 
-        this.memories.forEach(memory => {
-            // Count moods
-            stats.moods[memory.mood] = (stats.moods[memory.mood] || 0) + 1;
-            
-            // Track dates
-            dates.push(new Date(memory.date));
-            
-            // Sum description lengths
-            totalLength += memory.description.length;
-        });
+        this.setSecurityBusy(true);
+        try {
+            await transferStorage(this.storage, this.backend);
+
+            // Config last, so an interrupted run still opens behind the lock screen
+            await this.backend.setMeta(VAULT_MEMORIES_KEY, null);
+            await this.backend.setMeta(VAULT_CONFIG_KEY, null);
+
+            this.vault = null;
+            this.storage = this.backend;
+            this.showToast('Encryption is off');
+        } catch (error) {
+            console.error('Failed to turn off encryption:', error);
+            this.showToast('Failed to turn off encryption.', 'error');
+        }
+        this.renderSecurity();
+    }
 
-        dates.sort();
-        stats.oldestDate = dates[0];
-        stats.newestDate = dates[dates.length - 1];
-        stats.averageDescriptionLength = Math.round(totalLength / this.memories.length);
+    /**
+     * Change the inactivity timeout; 0 never locks automatically
+     */
+    async setAutoLock(minutes) {
+        this.vault.config.autoLockMinutes = minutes;
 
-        return stats;
+        try {
+            await this.backend.setMeta(VAULT_CONFIG_KEY, this.vault.config);
+        } catch (error) {
+            console.error('Failed to save auto-lock setting:', error);
+        }
     }
 }
 
@@ -630,10 +5681,98 @@ function toggleFilters() {
     lifeAtlas.toggleFilters();
 }
 
+function toggleMemoryList() {
+    lifeAtlas.toggleMemoryList();
+}
+
+function reverseMemorySort() {
+    lifeAtlas.reverseMemorySort();
+}
+
+function toggleTimeline() {
+    lifeAtlas.toggleTimeline();
+}
+
+function toggleTimelinePlayback() {
+    lifeAtlas.toggleTimelinePlayback();
+}
+
+function showInsights() {
+    lifeAtlas.showInsights();
+}
+
+function closeInsightsModal() {
+    lifeAtlas.closeInsightsModal();
+}
+
+function showSecurity() {
+    lifeAtlas.showSecurity();
+}
+
+function closeSecurityModal() {
+    lifeAtlas.closeSecurityModal();
+}
+
+function undoChange() {
+    lifeAtlas.undo();
+}
+
+function redoChange() {
+    lifeAtlas.redo();
+}
+
+function showTrash() {
+    lifeAtlas.showTrash();
+}
+
+function closeTrashModal() {
+    lifeAtlas.closeTrashModal();
+}
+
+function showOfflineMaps() {
+    lifeAtlas.showOfflineMaps();
+}
+
+function closeOfflineModal() {
+    lifeAtlas.closeOfflineModal();
+}
+
+function saveOfflineArea() {
+    lifeAtlas.saveOfflineArea();
+}
+
 function randomMemory() {
     lifeAtlas.randomMemory();
 }
 
+function showOnThisDay() {
+    lifeAtlas.showOnThisDay();
+}
+
+function closeOnThisDay() {
+    lifeAtlas.closeOnThisDay();
+}
+
+function closeSyncConflicts() {
+    lifeAtlas.closeSyncConflicts();
+}
+
+function showAtlases() {
+    lifeAtlas.showAtlases();
+}
+
+function closeAtlases() {
+    lifeAtlas.closeAtlases();
+}
+
+function showMoods() {
+    lifeAtlas.showMoods();
+}
+
+function closeMoods() {
+    lifeAtlas.closeMoods();
+}
+
 function addMemoryMode() {
     lifeAtlas.addMemoryMode();
 }
@@ -662,6 +5801,30 @@ function deleteMemory() {
     lifeAtlas.deleteMemory();
 }
 
+function moveMemory() {
+    lifeAtlas.moveMemory();
+}
+
+function closePhotoImport() {
+    lifeAtlas.closePhotoImport();
+}
+
+function commitPhotoImport() {
+    lifeAtlas.commitPhotoImport();
+}
+
+function closeImportModal() {
+    lifeAtlas.closeImportModal();
+}
+
+function commitImport() {
+    lifeAtlas.commitImport();
+}
+
+function exportMemories() {
+    lifeAtlas.exportMemories(document.getElementById('exportFormat').value);
+}
+
 // Initialize the app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.lifeAtlas = new LifeAtlas();
@@ -671,5 +5834,6 @@ document.addEventListener('DOMContentLoaded', () => {
 document.addEventListener('visibilitychange', () => {
     if (document.visibilityState === 'hidden' && window.lifeAtlas) {
         window.lifeAtlas.saveToStorage();
+        window.lifeAtlas.saveAtlasView();
     }
 });
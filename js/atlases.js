@@ -0,0 +1,123 @@
+/**
+ * Life Atlas - Atlases
+ * Several named atlases in one installation, e.g. "Personal", "Family" and "Work travel",
+ * each kept in its own storage, and bundles that export all of them in one file
+ */
+
+// localStorage key holding { atlases: [{ id, name, createdAt }], current }.
+// Kept outside any atlas so the switcher works while one is locked; names are never encrypted.
+const ATLAS_REGISTRY_KEY = 'lifeAtlasAtlases';
+
+// The atlas that holds memories saved before there could be more than one
+const DEFAULT_ATLAS_ID = 'default';
+const DEFAULT_ATLAS_NAME = 'Personal';
+
+// Meta key holding { view, filters } as the atlas was last left
+const ATLAS_VIEW_KEY = 'atlasView';
+
+const ATLAS_BUNDLE_FORMAT = 'life-atlas-bundle';
+const ATLAS_BUNDLE_VERSION = 1;
+
+/**
+ * Read the list of atlases, starting with the default one on first use
+ */
+function loadAtlasRegistry() {
+    let registry = null;
+    try {
+        registry = JSON.parse(localStorage.getItem(ATLAS_REGISTRY_KEY));
+    } catch (error) {
+        console.warn('Ignoring unreadable atlas list:', error);
+    }
+
+    if (!registry || !Array.isArray(registry.atlases) || registry.atlases.length === 0) {
+        registry = {
+            atlases: [{ id: DEFAULT_ATLAS_ID, name: DEFAULT_ATLAS_NAME, createdAt: new Date().toISOString() }],
+            current: DEFAULT_ATLAS_ID
+        };
+    }
+
+    if (!registry.atlases.some(atlas => atlas.id === registry.current)) {
+        registry.current = registry.atlases[0].id;
+    }
+
+    return registry;
+}
+
+/**
+ * Persist the list of atlases and which one is open
+ */
+function saveAtlasRegistry(registry) {
+    localStorage.setItem(ATLAS_REGISTRY_KEY, JSON.stringify(registry));
+}
+
+/**
+ * A new atlas id, safe to use in database and storage key names
+ */
+function createAtlasId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * The name, numbered if another atlas already has it: "Family", "Family 2", "Family 3"…
+ * The atlas with exceptId (the one being renamed) doesn't count.
+ */
+function uniqueAtlasName(name, atlases, exceptId = null) {
+    const base = name.trim() || DEFAULT_ATLAS_NAME;
+    const taken = new Set(atlases.filter(atlas => atlas.id !== exceptId).map(atlas => atlas.name.toLowerCase()));
+
+    let candidate = base;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+        candidate = `${base} ${n}`;
+    }
+    return candidate;
+}
+
+/**
+ * An atlas name as part of a file name, e.g. "Work travel" -> "work-travel"
+ */
+function atlasFileSlug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'memories';
+}
+
+/**
+ * A bundle of several atlases, each given as { name, archive }
+ */
+function createAtlasBundle(atlases) {
+    return {
+        format: ATLAS_BUNDLE_FORMAT,
+        version: ATLAS_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        atlases
+    };
+}
+
+/**
+ * Check whether parsed JSON is a bundle of atlases rather than a single one
+ */
+function isAtlasBundle(data) {
+    return Boolean(data) && data.format === ATLAS_BUNDLE_FORMAT;
+}
+
+/**
+ * The bundle in file contents, or null when they hold a single atlas or another format
+ */
+function readAtlasBundle(text) {
+    if (!text.trimStart().startsWith('{')) return null;
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+    if (!isAtlasBundle(data)) return null;
+
+    if (data.version > ATLAS_BUNDLE_VERSION) {
+        throw new Error(`Unsupported bundle version: ${data.version}`);
+    }
+    if (!Array.isArray(data.atlases) || !data.atlases.every(atlas => atlas && isArchive(atlas.archive))) {
+        throw new Error('Invalid atlas bundle');
+    }
+
+    return data;
+}
@@ -0,0 +1,131 @@
+/**
+ * Life Atlas - Attachments
+ * Photo and audio attachments, and the bundled archive format used for export/import
+ */
+
+const ARCHIVE_FORMAT = 'life-atlas-archive';
+const ARCHIVE_VERSION = 1;
+const MAX_ATTACHMENT_SIZE = 20 * 1024 * 1024;
+const MAX_ATTACHMENT_NAME_LENGTH = 255;
+
+// Ids as made by createAttachmentId()
+const ATTACHMENT_ID_PATTERN = /^att-\d+-[a-z0-9]*$/;
+
+/**
+ * Classify a file by MIME type, or return null if it cannot be attached
+ */
+function attachmentKind(mimeType) {
+    if (mimeType.startsWith('image/')) return 'photo';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    return null;
+}
+
+/**
+ * Generate a unique attachment id
+ */
+function createAttachmentId() {
+    return `att-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Describe a file as attachment metadata stored on the memory record
+ */
+function describeAttachment(file) {
+    return {
+        id: createAttachmentId(),
+        kind: attachmentKind(file.type),
+        name: file.name,
+        type: file.type,
+        size: file.size
+    };
+}
+
+/**
+ * A clean copy of attachment metadata from an imported record, or null when it does not
+ * describe an attachment this app could have made
+ */
+function normalizeAttachment(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+
+    const { id, kind, name, type, size, orientation } = entry;
+    if (typeof id !== 'string' || !ATTACHMENT_ID_PATTERN.test(id)) return null;
+    if (typeof name !== 'string' || !name || name.length > MAX_ATTACHMENT_NAME_LENGTH) return null;
+    if (typeof type !== 'string' || !kind || attachmentKind(type) !== kind) return null;
+    if (typeof size !== 'number' || !Number.isFinite(size) || size < 0 || size > MAX_ATTACHMENT_SIZE) return null;
+
+    const attachment = { id, kind, name, type, size };
+    // EXIF orientation of photos from the photo import
+    if (Number.isInteger(orientation) && orientation >= 1 && orientation <= 8) {
+        attachment.orientation = orientation;
+    }
+    return attachment;
+}
+
+/**
+ * An archive of memories and their attachment data (attachment id -> data URL),
+ * with the atlas's mood palette when given
+ */
+function createArchive(memories, attachments = {}, moods = null) {
+    const archive = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        memories,
+        attachments
+    };
+    if (moods) {
+        archive.moods = moods;
+    }
+    return archive;
+}
+
+/**
+ * Bundle memories and the blobs of their attachments into a single JSON-serialisable archive
+ */
+async function buildArchive(memories, storage, moods = null) {
+    const attachments = {};
+
+    for (const memory of memories) {
+        for (const attachment of memory.attachments || []) {
+            const blob = await storage.getAttachment(attachment.id);
+            if (blob) {
+                attachments[attachment.id] = await blobToDataURL(blob);
+            }
+        }
+    }
+
+    return createArchive(memories, attachments, moods);
+}
+
+/**
+ * Check whether parsed JSON is a bundled archive rather than a plain memory array
+ */
+function isArchive(data) {
+    return Boolean(data) && data.format === ARCHIVE_FORMAT;
+}
+
+/**
+ * Read the memories out of an archive
+ */
+function readArchive(archive) {
+    if (archive.version > ARCHIVE_VERSION) {
+        throw new Error(`Unsupported archive version: ${archive.version}`);
+    }
+
+    return archive.memories || [];
+}
+
+/**
+ * Write the archived blobs referenced by the given memories to storage
+ */
+async function storeArchiveAttachments(archive, memories, storage) {
+    const attachments = archive.attachments || {};
+
+    for (const memory of memories) {
+        for (const attachment of memory.attachments || []) {
+            if (attachments[attachment.id]) {
+                await storage.putAttachment(attachment.id, dataURLToBlob(attachments[attachment.id]));
+            }
+        }
+    }
+}
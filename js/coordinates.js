@@ -0,0 +1,148 @@
+/**
+ * Life Atlas - Coordinates
+ * Reading and writing locations as decimal degrees or degrees, minutes and seconds (DMS)
+ */
+
+// Decimal places shown for decimal degrees (about 10 cm)
+const COORDINATE_DECIMALS = 6;
+
+// Numbers (optionally marked as degrees), hemisphere letters and separators
+const COORDINATE_TOKEN = /-?\d+(?:\.\d+)?(?:\s*[°º])?|[NSEW]|[,;]/g;
+
+// Characters allowed around the tokens: whitespace and minute/second marks
+const COORDINATE_FILLER = /[\s'"′″’”]/g;
+
+/**
+ * Split coordinate text into parts of { hemisphere, negative, numbers }.
+ * Hemisphere letters may come before ("N 48° 51'") or after ("48° 51' N") the numbers.
+ */
+function splitCoordinateParts(text) {
+    const tokens = text.match(COORDINATE_TOKEN) || [];
+    const leading = /^[NSEW]$/.test(tokens[0]);
+    const parts = [];
+    let current = null;
+
+    const close = () => {
+        if (current) parts.push(current);
+        current = null;
+    };
+
+    tokens.forEach(token => {
+        if (token === ',' || token === ';') {
+            close();
+        } else if (/^[NSEW]$/.test(token)) {
+            if (leading) {
+                close();
+                current = { hemisphere: token, negative: false, numbers: [] };
+            } else {
+                current = current || { hemisphere: null, negative: false, numbers: [] };
+                current.hemisphere = token;
+                close();
+            }
+        } else {
+            // A second degrees value starts the next coordinate
+            const degrees = /[°º]$/.test(token);
+            if (degrees && current && current.numbers.length > 0) {
+                close();
+            }
+            current = current || { hemisphere: null, negative: false, numbers: [] };
+            if (current.numbers.length === 0) {
+                current.negative = token.startsWith('-');
+            }
+            current.numbers.push(Math.abs(parseFloat(token)));
+        }
+    });
+    close();
+
+    return parts;
+}
+
+/**
+ * Decimal degrees from a part's degrees, minutes and seconds; NaN when they don't make sense
+ */
+function partToDegrees({ hemisphere, negative, numbers }) {
+    const [degrees, minutes = 0, seconds = 0] = numbers;
+    if (numbers.length === 0 || numbers.length > 3 || minutes >= 60 || seconds >= 60) {
+        return NaN;
+    }
+    // Fractions are only allowed on the last number given
+    if (numbers.slice(0, -1).some(value => !Number.isInteger(value))) {
+        return NaN;
+    }
+
+    const value = degrees + minutes / 60 + seconds / 3600;
+    return negative || hemisphere === 'S' || hemisphere === 'W' ? -value : value;
+}
+
+/**
+ * Read a location typed as decimal degrees ("48.8566, 2.3522" or "-33.87 151.21")
+ * or DMS ("48°51'24"N 2°21'08"E", "N 48 51.4 E 2 21.1"). Returns { lat, lng } or null.
+ */
+function parseCoordinates(text) {
+    const input = (text || '').trim().toUpperCase();
+    if (!input || input.replace(COORDINATE_TOKEN, '').replace(COORDINATE_FILLER, '') !== '') {
+        return null;
+    }
+
+    let parts = splitCoordinateParts(input);
+
+    // Two bare numbers separated by a space are a decimal pair, not degrees and minutes
+    if (parts.length === 1 && parts[0].numbers.length === 2 && !parts[0].hemisphere && !/[°º'′’]/.test(input)) {
+        const [lat, lng] = input.split(/\s+/).map(value => ({ hemisphere: null, negative: value.startsWith('-'), numbers: [Math.abs(parseFloat(value))] }));
+        parts = [lat, lng];
+    }
+
+    if (parts.length !== 2) return null;
+
+    let [latPart, lngPart] = parts;
+    const isLongitude = (part) => part.hemisphere === 'E' || part.hemisphere === 'W';
+    const isLatitude = (part) => part.hemisphere === 'N' || part.hemisphere === 'S';
+
+    // Hemisphere letters may give longitude first
+    if (isLongitude(latPart) || isLatitude(lngPart)) {
+        [latPart, lngPart] = [lngPart, latPart];
+    }
+    if (isLongitude(latPart) || isLatitude(lngPart)) {
+        return null;
+    }
+
+    const lat = partToDegrees(latPart);
+    const lng = partToDegrees(lngPart);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return null;
+    }
+
+    return { lat, lng };
+}
+
+/**
+ * One coordinate as DMS, e.g. 48°51'24.0"N
+ */
+function formatDms(value, positive, negative) {
+    const absolute = Math.abs(value);
+    let degrees = Math.floor(absolute);
+    let minutes = Math.floor((absolute - degrees) * 60);
+    let seconds = Math.round(((absolute - degrees) * 60 - minutes) * 600) / 10;
+
+    // Rounding can carry up to a whole minute or degree
+    if (seconds >= 60) {
+        seconds = 0;
+        minutes++;
+    }
+    if (minutes >= 60) {
+        minutes = 0;
+        degrees++;
+    }
+
+    return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds.toFixed(1).padStart(4, '0')}"${value < 0 ? negative : positive}`;
+}
+
+/**
+ * A location as text, in decimal degrees ("48.856600, 2.352200") or DMS ("48°51'23.8"N 2°21'07.9"E")
+ */
+function formatCoordinates({ lat, lng }, style = 'decimal') {
+    if (style === 'dms') {
+        return `${formatDms(lat, 'N', 'S')} ${formatDms(lng, 'E', 'W')}`;
+    }
+    return `${lat.toFixed(COORDINATE_DECIMALS)}, ${lng.toFixed(COORDINATE_DECIMALS)}`;
+}
@@ -0,0 +1,181 @@
+/**
+ * Life Atlas - Core
+ * The memory model without a map or a page: filtering, validation, and reading and writing
+ * atlas files. The app builds on it in the browser, and bin/life-atlas.js runs it in Node.
+ */
+
+/**
+ * Whether a memory passes the mood, date, tag/collection, place and timeline filters.
+ * criteria is { mood, dateFrom, dateTo, labels, labelMode, country, city, timelineFrom, timelineTo, playhead };
+ * anything left out doesn't filter.
+ */
+function matchesFilters(memory, criteria) {
+    if (criteria.mood && memory.mood !== criteria.mood) {
+        return false;
+    }
+
+    if (criteria.dateFrom && memory.date < criteria.dateFrom) {
+        return false;
+    }
+
+    if (criteria.dateTo && memory.date > criteria.dateTo) {
+        return false;
+    }
+
+    if (criteria.labels && !matchesLabels(memory, criteria.labels, criteria.labelMode)) {
+        return false;
+    }
+
+    if (!matchesPlace(memory, criteria.country, criteria.city)) {
+        return false;
+    }
+
+    if (criteria.timelineFrom && (memory.date < criteria.timelineFrom || memory.date > criteria.timelineTo)) {
+        return false;
+    }
+
+    // During playback, memories appear as time reaches them
+    if (criteria.playhead && memory.date > criteria.playhead) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Memories that pass the filters and match criteria.query, best matches first when there is a query
+ */
+function filterMemories(memories, criteria) {
+    if (!criteria.query) {
+        return memories.filter(memory => matchesFilters(memory, criteria));
+    }
+
+    const index = new SearchIndex();
+    index.rebuild(memories);
+    const memoriesById = new Map(memories.map(memory => [memory.id, memory]));
+
+    return index.search(criteria.query)
+        .map(result => memoriesById.get(result.id))
+        .filter(memory => memory && matchesFilters(memory, criteria));
+}
+
+// Orders for memory lists, each with the direction it starts in
+const MEMORY_SORTS = {
+    date: { label: 'Date', descending: true },
+    created: { label: 'Date added', descending: true },
+    title: { label: 'Title', descending: false },
+    mood: { label: 'Mood', descending: false },
+    distance: { label: 'Distance from map centre', descending: false }
+};
+
+/**
+ * Memories in one of the MEMORY_SORTS orders, ties broken by date, newest first.
+ * 'distance' measures from center { lat, lng }; moods follow the order of the mood picker.
+ */
+function sortMemories(memories, sort, { descending = MEMORY_SORTS[sort].descending, center = null } = {}) {
+    const moods = Object.keys(MOOD_COLORS);
+    const moodRank = (memory) => moods.includes(memory.mood) ? moods.indexOf(memory.mood) : moods.length;
+    const distances = sort === 'distance' ?
+        new Map(memories.map(memory => [memory.id, haversineDistance(center, memory)])) :
+        null;
+
+    const compare = {
+        date: (a, b) => a.date.localeCompare(b.date) || String(a.createdAt).localeCompare(String(b.createdAt)),
+        created: (a, b) => String(a.createdAt).localeCompare(String(b.createdAt)),
+        title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true }),
+        mood: (a, b) => moodRank(a) - moodRank(b),
+        distance: (a, b) => distances.get(a.id) - distances.get(b.id)
+    }[sort];
+    const direction = descending ? -1 : 1;
+
+    return memories.slice().sort((a, b) => direction * compare(a, b) || b.date.localeCompare(a.date));
+}
+
+/**
+ * Read the records in an atlas file: a Life Atlas archive, a plain JSON array, GeoJSON, GPX or KML.
+ * Returns { format, records, archive, moods }, moods being the mood palette an archive or GeoJSON
+ * export brought along, or null; the records still need validating.
+ */
+function readAtlasRecords(text) {
+    const format = detectFormat(text);
+    if (format !== 'atlas') {
+        const moods = format === 'geojson' ? JSON.parse(text).moods || null : null;
+        return { format, records: parseMemories(text, format), archive: null, moods };
+    }
+
+    const data = JSON.parse(text);
+    if (isArchive(data)) {
+        return { format, records: readArchive(data), archive: data, moods: data.moods || null };
+    }
+
+    if (isAtlasBundle(data)) {
+        throw new Error(`This file holds ${(data.atlases || []).length} atlases; import it in the app to restore them`);
+    }
+
+    if (!Array.isArray(data)) {
+        throw new Error('Invalid file format');
+    }
+    return { format, records: data, archive: null, moods: null };
+}
+
+/**
+ * Check every record of an atlas file, as an import would.
+ * Returns { memories, results, duplicateIds, missingAttachments } where memories are the usable
+ * (valid or repaired) ones and results holds { index, title, status, problems } for each record.
+ * With the archive given, attachments whose data is missing from it are listed as { memoryId, name }.
+ */
+function validateAtlas(records, archive = null) {
+    const memories = [];
+    const seenIds = new Set();
+    const duplicateIds = new Set();
+
+    const results = records.map((record, index) => {
+        const { memory, status, problems } = validateMemory(record);
+        if (memory) {
+            memories.push(memory);
+            if (memory.id !== null && seenIds.has(memory.id)) {
+                duplicateIds.add(memory.id);
+            }
+            seenIds.add(memory.id);
+        }
+
+        const title = record && typeof record.title === 'string' ? record.title : '';
+        return { index, title, status, problems };
+    });
+
+    const missingAttachments = [];
+    if (archive) {
+        const stored = archive.attachments || {};
+        memories.forEach(memory => {
+            memory.attachments.forEach(attachment => {
+                if (!stored[attachment.id]) {
+                    missingAttachments.push({ memoryId: memory.id, name: attachment.name || attachment.id });
+                }
+            });
+        });
+    }
+
+    return { memories, results, duplicateIds: Array.from(duplicateIds), missingAttachments };
+}
+
+/**
+ * Serialise memories in one of the EXPORT_FORMATS. An 'atlas' archive takes along the
+ * attachment data (attachment id -> data URL) that its memories still reference, and
+ * archives and GeoJSON the mood palette when given.
+ */
+function writeAtlas(memories, format, attachmentData = {}, moods = null) {
+    if (format !== 'atlas') {
+        return serializeMemories(memories, format, moods);
+    }
+
+    const attachments = {};
+    memories.forEach(memory => {
+        (memory.attachments || []).forEach(attachment => {
+            if (attachmentData[attachment.id]) {
+                attachments[attachment.id] = attachmentData[attachment.id];
+            }
+        });
+    });
+
+    return JSON.stringify(createArchive(memories, attachments, moods), null, 2);
+}
@@ -0,0 +1,414 @@
+/**
+ * Life Atlas - Interchange Formats
+ * GeoJSON, GPX and KML conversion so memories can travel to and from GIS and GPS tools
+ */
+
+const GPX_EXTENSION_NAMESPACE = 'https://github.com/yourusername/life-atlas/gpx/1';
+
+const EXPORT_FORMATS = {
+    atlas: { label: 'Life Atlas archive', extension: 'json', mimeType: 'application/json' },
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+    gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+    kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+/**
+ * Escape text for use in XML content and attributes
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Decode the predefined XML entities and numeric character references
+ */
+function decodeXmlEntities(text) {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return String.fromCodePoint(value);
+        }
+        return code in named ? named[code] : entity;
+    });
+}
+
+/**
+ * Parse XML into a lightweight element tree.
+ * Deliberately small: enough for GPX and KML without depending on DOMParser.
+ * Element names are stored without their namespace prefix.
+ */
+function parseXml(text) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const tokens = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+    let match;
+    while ((match = tokens.exec(text)) !== null) {
+        const current = stack[stack.length - 1];
+        const [, cdata, closing, opening, attributeText, selfClosing, content] = match;
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (closing) {
+            if (stack.length > 1 && current.name === localName(closing)) {
+                stack.pop();
+            }
+        } else if (opening) {
+            const element = { name: localName(opening), attributes: {}, children: [], text: '' };
+            let attribute;
+            while ((attribute = attributePattern.exec(attributeText)) !== null) {
+                element.attributes[localName(attribute[1])] = decodeXmlEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+            }
+            current.children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        } else if (content) {
+            current.text += decodeXmlEntities(content);
+        }
+    }
+
+    return root;
+}
+
+/**
+ * Find all descendant elements with the given name
+ */
+function findElements(node, name) {
+    return node.children.reduce((found, child) => {
+        if (child.name === name) found.push(child);
+        return found.concat(findElements(child, name));
+    }, []);
+}
+
+/**
+ * Trimmed text of the first descendant with the given name, or an empty string
+ */
+function elementText(node, name) {
+    const element = findElements(node, name)[0];
+    return element ? element.text.trim() : '';
+}
+
+/**
+ * Reduce an ISO timestamp (or date) to the YYYY-MM-DD form memories use
+ */
+function toMemoryDate(value) {
+    if (!value) return '';
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+
+    const date = new Date(value);
+    return isNaN(date) ? '' : date.toISOString().split('T')[0];
+}
+
+/**
+ * Turn loosely-named fields from another tool into a memory record.
+ * Routes and areas come as fields.shape, and are anchored where shapeAnchor() puts their pin.
+ */
+function createImportedMemory(fields, index) {
+    const id = Number(fields.id);
+    const place = normalizePlace({ city: fields.city, country: fields.country });
+    const shape = normalizeShape(fields.shape);
+    const { lat, lng } = shape ? shapeAnchor(shape) : fields;
+
+    return {
+        id: Number.isFinite(id) && id > 0 ? id : Date.now() + index,
+        title: fields.title || fields.name || 'Untitled memory',
+        date: toMemoryDate(fields.date || fields.time || fields.timestamp) || new Date().toISOString().split('T')[0],
+        description: fields.description || fields.desc || '',
+        mood: fields.mood || '📍',
+        attachments: [],
+        tags: normalizeLabels(fields.tags, normalizeTag),
+        collections: normalizeLabels(fields.collections, normalizeCollection, '|'),
+        place,
+        placeName: formatPlaceName(place),
+        shape,
+        lat: Number(lat),
+        lng: Number(lng),
+        createdAt: fields.createdAt || new Date().toISOString()
+    };
+}
+
+/**
+ * Points as KML coordinates: "lng,lat lng,lat ..."
+ */
+function toKmlCoordinates(points) {
+    return points.map(([lat, lng]) => `${lng},${lat}`).join(' ');
+}
+
+/**
+ * Points from KML coordinates, ignoring altitudes
+ */
+function fromKmlCoordinates(text) {
+    return text.trim().split(/\s+/).map(tuple => {
+        const [lng, lat] = tuple.split(',');
+        return [lat, lng];
+    });
+}
+
+/**
+ * Export memories as a GeoJSON FeatureCollection, with the mood palette as a "moods" member when given
+ */
+function toGeoJSON(memories, moods = null) {
+    const collection = {
+        type: 'FeatureCollection',
+        features: memories.map(memory => ({
+            type: 'Feature',
+            id: memory.id,
+            geometry: memory.shape ? shapeToGeoJSON(memory.shape) : { type: 'Point', coordinates: [memory.lng, memory.lat] },
+            properties: {
+                title: memory.title,
+                date: memory.date,
+                mood: memory.mood,
+                description: memory.description,
+                tags: memory.tags || [],
+                collections: memory.collections || [],
+                city: memory.place ? memory.place.city : '',
+                country: memory.place ? memory.place.country : '',
+                createdAt: memory.createdAt
+            }
+        }))
+    };
+    if (moods) {
+        collection.moods = moods;
+    }
+    return collection;
+}
+
+/**
+ * Read point, line and polygon features from a GeoJSON FeatureCollection or single Feature
+ */
+function parseGeoJSON(data) {
+    const features = data.type === 'FeatureCollection' ? data.features : [data];
+
+    return features
+        .filter(feature => feature && feature.geometry &&
+            (feature.geometry.type === 'Point' || shapeFromGeoJSON(feature.geometry)))
+        .map((feature, index) => {
+            const fields = Object.assign({ id: feature.id }, feature.properties);
+            if (feature.geometry.type === 'Point') {
+                const [lng, lat] = feature.geometry.coordinates;
+                Object.assign(fields, { lat, lng });
+            } else {
+                fields.shape = shapeFromGeoJSON(feature.geometry);
+            }
+            return createImportedMemory(fields, index);
+        });
+}
+
+/**
+ * Export memories as GPX: points as waypoints, and routes and areas as tracks, areas closed
+ * and marked as such in the Life Atlas extension
+ */
+function toGPX(memories) {
+    const extensions = (memory, indent) => `
+${indent}<extensions>${(memory.tags || []).map(tag => `
+${indent}  <lifeatlas:tag>${escapeXml(tag)}</lifeatlas:tag>`).join('')}${(memory.collections || []).map(name => `
+${indent}  <lifeatlas:collection>${escapeXml(name)}</lifeatlas:collection>`).join('')}${memory.shape ? `
+${indent}  <lifeatlas:shape>${memory.shape.type}</lifeatlas:shape>` : ''}
+${indent}</extensions>`;
+
+    const waypoints = memories.filter(memory => !memory.shape).map(memory => `
+  <wpt lat="${memory.lat}" lon="${memory.lng}">
+    <time>${escapeXml(memory.date)}T00:00:00Z</time>
+    <name>${escapeXml(memory.title)}</name>
+    <desc>${escapeXml(memory.description)}</desc>
+    <type>${escapeXml(memory.mood)}</type>${extensions(memory, '    ')}
+  </wpt>`).join('');
+
+    // GPX wants every waypoint before the first track
+    const tracks = memories.filter(memory => memory.shape).map(memory => {
+        const points = memory.shape.type === 'area' ? memory.shape.points.concat([memory.shape.points[0]]) : memory.shape.points;
+        return `
+  <trk>
+    <name>${escapeXml(memory.title)}</name>
+    <desc>${escapeXml(memory.description)}</desc>
+    <type>${escapeXml(memory.mood)}</type>${extensions(memory, '    ')}
+    <trkseg>${points.map(([lat, lng], i) => `
+      <trkpt lat="${lat}" lon="${lng}">${i === 0 ? `<time>${escapeXml(memory.date)}T00:00:00Z</time>` : ''}</trkpt>`).join('')}
+    </trkseg>
+  </trk>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Life Atlas" xmlns="http://www.topografix.com/GPX/1/1" xmlns:lifeatlas="${GPX_EXTENSION_NAMESPACE}">${waypoints}${tracks}
+</gpx>
+`;
+}
+
+/**
+ * Read GPX waypoints as points, and tracks and routes as routes (or areas, when exported as one)
+ */
+function parseGPX(text) {
+    const root = parseXml(text);
+    const fields = (element) => ({
+        name: elementText(element, 'name'),
+        desc: elementText(element, 'desc') || elementText(element, 'cmt'),
+        time: elementText(element, 'time'),
+        mood: elementText(element, 'type'),
+        tags: findElements(element, 'tag').map(tag => tag.text),
+        collections: findElements(element, 'collection').map(collection => collection.text)
+    });
+
+    const waypoints = findElements(root, 'wpt').map(waypoint => Object.assign(fields(waypoint), {
+        lat: waypoint.attributes.lat,
+        lng: waypoint.attributes.lon
+    }));
+
+    const paths = findElements(root, 'trk').map(track => ({ element: track, points: findElements(track, 'trkpt') }))
+        .concat(findElements(root, 'rte').map(route => ({ element: route, points: findElements(route, 'rtept') })))
+        .map(({ element, points }) => Object.assign(fields(element), {
+            shape: {
+                type: elementText(element, 'shape') === 'area' ? 'area' : 'line',
+                points: points.map(point => [point.attributes.lat, point.attributes.lon])
+            }
+        }))
+        .filter(path => normalizeShape(path.shape));
+
+    return waypoints.concat(paths).map((record, index) => createImportedMemory(record, index));
+}
+
+/**
+ * A memory's KML geometry: a Point, a LineString for a route or a Polygon for an area
+ */
+function toKmlGeometry(memory) {
+    if (!memory.shape) {
+        return `<Point><coordinates>${memory.lng},${memory.lat}</coordinates></Point>`;
+    }
+    if (memory.shape.type === 'line') {
+        return `<LineString><tessellate>1</tessellate><coordinates>${toKmlCoordinates(memory.shape.points)}</coordinates></LineString>`;
+    }
+    const ring = memory.shape.points.concat([memory.shape.points[0]]);
+    return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${toKmlCoordinates(ring)}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+}
+
+/**
+ * Export memories as KML placemarks
+ */
+function toKML(memories) {
+    const placemarks = memories.map(memory => `
+    <Placemark>
+      <name>${escapeXml(memory.title)}</name>
+      <description>${escapeXml(memory.description)}</description>
+      <TimeStamp><when>${escapeXml(memory.date)}</when></TimeStamp>
+      <ExtendedData>
+        <Data name="date"><value>${escapeXml(memory.date)}</value></Data>
+        <Data name="mood"><value>${escapeXml(memory.mood)}</value></Data>
+        <Data name="tags"><value>${escapeXml((memory.tags || []).join(', '))}</value></Data>
+        <Data name="collections"><value>${escapeXml((memory.collections || []).join(' | '))}</value></Data>
+      </ExtendedData>
+      ${toKmlGeometry(memory)}
+    </Placemark>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Life Atlas</name>${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * The shape of a KML LineString or Polygon placemark (outer boundary only), or null
+ */
+function kmlShape(placemark) {
+    const line = findElements(placemark, 'LineString')[0];
+    if (line) {
+        return normalizeShape({ type: 'line', points: fromKmlCoordinates(elementText(line, 'coordinates')) });
+    }
+
+    const polygon = findElements(placemark, 'Polygon')[0];
+    const boundary = polygon && (findElements(polygon, 'outerBoundaryIs')[0] || polygon);
+    if (boundary) {
+        return normalizeShape({ type: 'area', points: fromKmlCoordinates(elementText(boundary, 'coordinates')) });
+    }
+    return null;
+}
+
+/**
+ * Read KML placemarks with a point, a line or a polygon
+ */
+function parseKML(text) {
+    return findElements(parseXml(text), 'Placemark')
+        .filter(placemark => findElements(placemark, 'Point').length > 0 || kmlShape(placemark))
+        .map((placemark, index) => {
+            const data = {};
+            findElements(placemark, 'Data').forEach(element => {
+                data[element.attributes.name] = elementText(element, 'value');
+            });
+
+            const point = findElements(placemark, 'Point')[0];
+            const [lng, lat] = point ? elementText(point, 'coordinates').split(',') : [];
+
+            // Google Earth descriptions are often HTML
+            const description = elementText(placemark, 'description')
+                .replace(/<br\s*\/?>/gi, '\n')
+                .replace(/<[^>]+>/g, '')
+                .trim();
+
+            return createImportedMemory({
+                name: elementText(placemark, 'name'),
+                description,
+                date: data.date || elementText(placemark, 'when') || elementText(placemark, 'begin'),
+                mood: data.mood,
+                tags: data.tags,
+                collections: data.collections,
+                shape: point ? null : kmlShape(placemark),
+                lat,
+                lng
+            }, index);
+        });
+}
+
+/**
+ * Serialise memories in one of the interchange formats; GeoJSON takes the mood palette along
+ */
+function serializeMemories(memories, format, moods = null) {
+    switch (format) {
+        case 'geojson': return JSON.stringify(toGeoJSON(memories, moods), null, 2);
+        case 'gpx': return toGPX(memories);
+        case 'kml': return toKML(memories);
+        default: throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+/**
+ * Work out which format a file's contents are in
+ */
+function detectFormat(text) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('<')) {
+        const root = parseXml(trimmed).children[0];
+        if (root && root.name === 'gpx') return 'gpx';
+        if (root && root.name === 'kml') return 'kml';
+        throw new Error('Unrecognised XML document');
+    }
+
+    const data = JSON.parse(trimmed);
+    if (data && (data.type === 'FeatureCollection' || data.type === 'Feature')) {
+        return 'geojson';
+    }
+    return 'atlas';
+}
+
+/**
+ * Parse memories from GeoJSON, GPX or KML text
+ */
+function parseMemories(text, format) {
+    switch (format) {
+        case 'geojson': return parseGeoJSON(JSON.parse(text));
+        case 'gpx': return parseGPX(text);
+        case 'kml': return parseKML(text);
+        default: throw new Error(`Unknown import format: ${format}`);
+    }
+}
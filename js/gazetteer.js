@@ -0,0 +1,209 @@
+/**
+ * Life Atlas - Offline Gazetteer
+ * A small bundled list of major cities for place search and place names without a network.
+ * Each entry is [city, country, lat, lng].
+ */
+
+const GAZETTEER_PLACES = [
+    // Europe
+    ['London', 'United Kingdom', 51.5074, -0.1278],
+    ['Manchester', 'United Kingdom', 53.4808, -2.2426],
+    ['Edinburgh', 'United Kingdom', 55.9533, -3.1883],
+    ['Glasgow', 'United Kingdom', 55.8642, -4.2518],
+    ['Birmingham', 'United Kingdom', 52.4862, -1.8904],
+    ['Dublin', 'Ireland', 53.3498, -6.2603],
+    ['Paris', 'France', 48.8566, 2.3522],
+    ['Lyon', 'France', 45.7640, 4.8357],
+    ['Marseille', 'France', 43.2965, 5.3698],
+    ['Nice', 'France', 43.7102, 7.2620],
+    ['Bordeaux', 'France', 44.8378, -0.5792],
+    ['Brussels', 'Belgium', 50.8503, 4.3517],
+    ['Amsterdam', 'Netherlands', 52.3676, 4.9041],
+    ['Rotterdam', 'Netherlands', 51.9244, 4.4777],
+    ['Luxembourg', 'Luxembourg', 49.6116, 6.1319],
+    ['Berlin', 'Germany', 52.5200, 13.4050],
+    ['Hamburg', 'Germany', 53.5511, 9.9937],
+    ['Munich', 'Germany', 48.1351, 11.5820],
+    ['Cologne', 'Germany', 50.9375, 6.9603],
+    ['Frankfurt', 'Germany', 50.1109, 8.6821],
+    ['Zurich', 'Switzerland', 47.3769, 8.5417],
+    ['Geneva', 'Switzerland', 46.2044, 6.1432],
+    ['Vienna', 'Austria', 48.2082, 16.3738],
+    ['Prague', 'Czechia', 50.0755, 14.4378],
+    ['Warsaw', 'Poland', 52.2297, 21.0122],
+    ['Kraków', 'Poland', 50.0647, 19.9450],
+    ['Budapest', 'Hungary', 47.4979, 19.0402],
+    ['Bratislava', 'Slovakia', 48.1486, 17.1077],
+    ['Ljubljana', 'Slovenia', 46.0569, 14.5058],
+    ['Zagreb', 'Croatia', 45.8150, 15.9819],
+    ['Split', 'Croatia', 43.5081, 16.4402],
+    ['Belgrade', 'Serbia', 44.7866, 20.4489],
+    ['Bucharest', 'Romania', 44.4268, 26.1025],
+    ['Sofia', 'Bulgaria', 42.6977, 23.3219],
+    ['Athens', 'Greece', 37.9838, 23.7275],
+    ['Thessaloniki', 'Greece', 40.6401, 22.9444],
+    ['Rome', 'Italy', 41.9028, 12.4964],
+    ['Milan', 'Italy', 45.4642, 9.1900],
+    ['Venice', 'Italy', 45.4408, 12.3155],
+    ['Florence', 'Italy', 43.7696, 11.2558],
+    ['Naples', 'Italy', 40.8518, 14.2681],
+    ['Palermo', 'Italy', 38.1157, 13.3615],
+    ['Madrid', 'Spain', 40.4168, -3.7038],
+    ['Barcelona', 'Spain', 41.3874, 2.1686],
+    ['Valencia', 'Spain', 39.4699, -0.3763],
+    ['Seville', 'Spain', 37.3891, -5.9845],
+    ['Palma', 'Spain', 39.5696, 2.6502],
+    ['Lisbon', 'Portugal', 38.7223, -9.1393],
+    ['Porto', 'Portugal', 41.1579, -8.6291],
+    ['Copenhagen', 'Denmark', 55.6761, 12.5683],
+    ['Oslo', 'Norway', 59.9139, 10.7522],
+    ['Bergen', 'Norway', 60.3913, 5.3221],
+    ['Stockholm', 'Sweden', 59.3293, 18.0686],
+    ['Gothenburg', 'Sweden', 57.7089, 11.9746],
+    ['Helsinki', 'Finland', 60.1699, 24.9384],
+    ['Reykjavík', 'Iceland', 64.1466, -21.9426],
+    ['Tallinn', 'Estonia', 59.4370, 24.7536],
+    ['Riga', 'Latvia', 56.9496, 24.1052],
+    ['Vilnius', 'Lithuania', 54.6872, 25.2797],
+    ['Kyiv', 'Ukraine', 50.4501, 30.5234],
+    ['Istanbul', 'Türkiye', 41.0082, 28.9784],
+    ['Ankara', 'Türkiye', 39.9334, 32.8597],
+    ['Moscow', 'Russia', 55.7558, 37.6173],
+    ['Saint Petersburg', 'Russia', 59.9311, 30.3609],
+
+    // Americas
+    ['New York', 'United States', 40.7128, -74.0060],
+    ['Boston', 'United States', 42.3601, -71.0589],
+    ['Philadelphia', 'United States', 39.9526, -75.1652],
+    ['Washington', 'United States', 38.9072, -77.0369],
+    ['Atlanta', 'United States', 33.7490, -84.3880],
+    ['Miami', 'United States', 25.7617, -80.1918],
+    ['Orlando', 'United States', 28.5384, -81.3789],
+    ['New Orleans', 'United States', 29.9511, -90.0715],
+    ['Chicago', 'United States', 41.8781, -87.6298],
+    ['Detroit', 'United States', 42.3314, -83.0458],
+    ['Minneapolis', 'United States', 44.9778, -93.2650],
+    ['Houston', 'United States', 29.7604, -95.3698],
+    ['Dallas', 'United States', 32.7767, -96.7970],
+    ['Austin', 'United States', 30.2672, -97.7431],
+    ['Denver', 'United States', 39.7392, -104.9903],
+    ['Phoenix', 'United States', 33.4484, -112.0740],
+    ['Las Vegas', 'United States', 36.1699, -115.1398],
+    ['Salt Lake City', 'United States', 40.7608, -111.8910],
+    ['Los Angeles', 'United States', 34.0522, -118.2437],
+    ['San Diego', 'United States', 32.7157, -117.1611],
+    ['San Francisco', 'United States', 37.7749, -122.4194],
+    ['Seattle', 'United States', 47.6062, -122.3321],
+    ['Portland', 'United States', 45.5152, -122.6784],
+    ['Anchorage', 'United States', 61.2181, -149.9003],
+    ['Honolulu', 'United States', 21.3069, -157.8583],
+    ['Toronto', 'Canada', 43.6532, -79.3832],
+    ['Montreal', 'Canada', 45.5017, -73.5673],
+    ['Ottawa', 'Canada', 45.4215, -75.6972],
+    ['Quebec City', 'Canada', 46.8139, -71.2080],
+    ['Calgary', 'Canada', 51.0447, -114.0719],
+    ['Vancouver', 'Canada', 49.2827, -123.1207],
+    ['Mexico City', 'Mexico', 19.4326, -99.1332],
+    ['Guadalajara', 'Mexico', 20.6597, -103.3496],
+    ['Cancún', 'Mexico', 21.1619, -86.8515],
+    ['Havana', 'Cuba', 23.1136, -82.3666],
+    ['San José', 'Costa Rica', 9.9281, -84.0907],
+    ['Panama City', 'Panama', 8.9824, -79.5199],
+    ['Bogotá', 'Colombia', 4.7110, -74.0721],
+    ['Medellín', 'Colombia', 6.2442, -75.5812],
+    ['Quito', 'Ecuador', -0.1807, -78.4678],
+    ['Lima', 'Peru', -12.0464, -77.0428],
+    ['Cusco', 'Peru', -13.5320, -71.9675],
+    ['La Paz', 'Bolivia', -16.4897, -68.1193],
+    ['Santiago', 'Chile', -33.4489, -70.6693],
+    ['Buenos Aires', 'Argentina', -34.6037, -58.3816],
+    ['Montevideo', 'Uruguay', -34.9011, -56.1645],
+    ['São Paulo', 'Brazil', -23.5505, -46.6333],
+    ['Rio de Janeiro', 'Brazil', -22.9068, -43.1729],
+    ['Brasília', 'Brazil', -15.7939, -47.8828],
+    ['Salvador', 'Brazil', -12.9777, -38.5016],
+
+    // Africa & Middle East
+    ['Cairo', 'Egypt', 30.0444, 31.2357],
+    ['Marrakesh', 'Morocco', 31.6295, -7.9811],
+    ['Casablanca', 'Morocco', 33.5731, -7.5898],
+    ['Tunis', 'Tunisia', 36.8065, 10.1815],
+    ['Lagos', 'Nigeria', 6.5244, 3.3792],
+    ['Accra', 'Ghana', 5.6037, -0.1870],
+    ['Dakar', 'Senegal', 14.7167, -17.4677],
+    ['Addis Ababa', 'Ethiopia', 9.0300, 38.7400],
+    ['Nairobi', 'Kenya', -1.2921, 36.8219],
+    ['Dar es Salaam', 'Tanzania', -6.7924, 39.2083],
+    ['Kigali', 'Rwanda', -1.9441, 30.0619],
+    ['Johannesburg', 'South Africa', -26.2041, 28.0473],
+    ['Cape Town', 'South Africa', -33.9249, 18.4241],
+    ['Durban', 'South Africa', -29.8587, 31.0218],
+    ['Windhoek', 'Namibia', -22.5609, 17.0658],
+    ['Antananarivo', 'Madagascar', -18.8792, 47.5079],
+    ['Jerusalem', 'Israel', 31.7683, 35.2137],
+    ['Tel Aviv', 'Israel', 32.0853, 34.7818],
+    ['Amman', 'Jordan', 31.9454, 35.9284],
+    ['Beirut', 'Lebanon', 33.8938, 35.5018],
+    ['Dubai', 'United Arab Emirates', 25.2048, 55.2708],
+    ['Abu Dhabi', 'United Arab Emirates', 24.4539, 54.3773],
+    ['Doha', 'Qatar', 25.2854, 51.5310],
+    ['Riyadh', 'Saudi Arabia', 24.7136, 46.6753],
+    ['Muscat', 'Oman', 23.5880, 58.3829],
+    ['Tehran', 'Iran', 35.6892, 51.3890],
+
+    // Asia & Oceania
+    ['Mumbai', 'India', 19.0760, 72.8777],
+    ['Delhi', 'India', 28.7041, 77.1025],
+    ['Bengaluru', 'India', 12.9716, 77.5946],
+    ['Kolkata', 'India', 22.5726, 88.3639],
+    ['Chennai', 'India', 13.0827, 80.2707],
+    ['Jaipur', 'India', 26.9124, 75.7873],
+    ['Goa', 'India', 15.4909, 73.8278],
+    ['Kathmandu', 'Nepal', 27.7172, 85.3240],
+    ['Colombo', 'Sri Lanka', 6.9271, 79.8612],
+    ['Dhaka', 'Bangladesh', 23.8103, 90.4125],
+    ['Karachi', 'Pakistan', 24.8607, 67.0011],
+    ['Bangkok', 'Thailand', 13.7563, 100.5018],
+    ['Chiang Mai', 'Thailand', 18.7883, 98.9853],
+    ['Phuket', 'Thailand', 7.8804, 98.3923],
+    ['Hanoi', 'Vietnam', 21.0278, 105.8342],
+    ['Ho Chi Minh City', 'Vietnam', 10.8231, 106.6297],
+    ['Phnom Penh', 'Cambodia', 11.5564, 104.9282],
+    ['Siem Reap', 'Cambodia', 13.3671, 103.8448],
+    ['Kuala Lumpur', 'Malaysia', 3.1390, 101.6869],
+    ['Singapore', 'Singapore', 1.3521, 103.8198],
+    ['Jakarta', 'Indonesia', -6.2088, 106.8456],
+    ['Denpasar', 'Indonesia', -8.6705, 115.2126],
+    ['Manila', 'Philippines', 14.5995, 120.9842],
+    ['Hong Kong', 'China', 22.3193, 114.1694],
+    ['Shanghai', 'China', 31.2304, 121.4737],
+    ['Beijing', 'China', 39.9042, 116.4074],
+    ['Guangzhou', 'China', 23.1291, 113.2644],
+    ['Chengdu', 'China', 30.5728, 104.0668],
+    ['Xi\'an', 'China', 34.3416, 108.9398],
+    ['Taipei', 'Taiwan', 25.0330, 121.5654],
+    ['Seoul', 'South Korea', 37.5665, 126.9780],
+    ['Busan', 'South Korea', 35.1796, 129.0756],
+    ['Tokyo', 'Japan', 35.6762, 139.6503],
+    ['Kyoto', 'Japan', 35.0116, 135.7681],
+    ['Osaka', 'Japan', 34.6937, 135.5023],
+    ['Hiroshima', 'Japan', 34.3853, 132.4553],
+    ['Sapporo', 'Japan', 43.0618, 141.3545],
+    ['Fukuoka', 'Japan', 33.5904, 130.4017],
+    ['Ulaanbaatar', 'Mongolia', 47.8864, 106.9057],
+    ['Almaty', 'Kazakhstan', 43.2220, 76.8512],
+    ['Tashkent', 'Uzbekistan', 41.2995, 69.2401],
+    ['Sydney', 'Australia', -33.8688, 151.2093],
+    ['Melbourne', 'Australia', -37.8136, 144.9631],
+    ['Brisbane', 'Australia', -27.4698, 153.0251],
+    ['Perth', 'Australia', -31.9505, 115.8605],
+    ['Adelaide', 'Australia', -34.9285, 138.6007],
+    ['Cairns', 'Australia', -16.9186, 145.7781],
+    ['Darwin', 'Australia', -12.4634, 130.8456],
+    ['Hobart', 'Australia', -42.8821, 147.3272],
+    ['Auckland', 'New Zealand', -36.8485, 174.7633],
+    ['Wellington', 'New Zealand', -41.2865, 174.7762],
+    ['Christchurch', 'New Zealand', -43.5321, 172.6362],
+    ['Queenstown', 'New Zealand', -45.0312, 168.6626],
+    ['Suva', 'Fiji', -18.1248, 178.4501]
+];
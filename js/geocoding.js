@@ -0,0 +1,236 @@
+/**
+ * Life Atlas - Geocoding
+ * Place search and reverse geocoding behind a small provider interface.
+ *
+ * A geocoder has:
+ *   search(query, { limit }) -> [{ name, lat, lng, bounds, place }]
+ *   reverse(lat, lng)        -> place or null
+ * where place is { city, country } and bounds is { north, south, east, west } or null.
+ */
+
+// Meta key holding { provider, url }
+const GEOCODER_SETTINGS_KEY = 'geocoder';
+
+const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+const GEOCODER_TIMEOUT_MS = 8000;
+const GEOCODER_RESULT_LIMIT = 5;
+
+// Public Nominatim allows one request per second; bulk lookups wait this long between calls
+const GEOCODER_REQUEST_INTERVAL_MS = 1100;
+
+// The offline gazetteer only names a place when a listed city is this close
+const GAZETTEER_MAX_DISTANCE_KM = 100;
+
+const GEOCODER_PROVIDERS = {
+    offline: 'Built-in city list (offline, private)',
+    nominatim: 'Nominatim-compatible server'
+};
+
+/**
+ * Clean up a { city, country } place from storage or an import; null when neither is known
+ */
+function normalizePlace(place) {
+    if (!place || typeof place !== 'object') return null;
+
+    const city = typeof place.city === 'string' ? place.city.trim() : '';
+    const country = typeof place.country === 'string' ? place.country.trim() : '';
+    return city || country ? { city, country } : null;
+}
+
+/**
+ * Best city-level place from a Nominatim address block
+ */
+function placeFromAddress(address = {}) {
+    return normalizePlace({
+        city: address.city || address.town || address.village || address.hamlet ||
+            address.municipality || address.county || address.state,
+        country: address.country
+    });
+}
+
+/**
+ * "City, Country", or whichever part is known
+ */
+function formatPlaceName(place) {
+    if (!place) return '';
+    return [place.city, place.country].filter(Boolean).join(', ');
+}
+
+/**
+ * Geocoder for the Nominatim HTTP API, or any server that speaks it (e.g. a self-hosted instance)
+ */
+class NominatimGeocoder {
+    constructor({ url = DEFAULT_NOMINATIM_URL, timeout = GEOCODER_TIMEOUT_MS } = {}) {
+        this.url = url.replace(/\/+$/, '');
+        this.timeout = timeout;
+    }
+
+    /**
+     * GET a JSON endpoint with the query parameters, giving up after the timeout
+     */
+    async request(path, params) {
+        const query = new URLSearchParams(Object.assign({ format: 'jsonv2', addressdetails: 1 }, params));
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = controller && setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.url}/${path}?${query}`, {
+                headers: { 'Accept': 'application/json' },
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) {
+                throw new Error(`Geocoder returned HTTP ${response.status}`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async search(query, { limit = GEOCODER_RESULT_LIMIT } = {}) {
+        const results = await this.request('search', { q: query, limit });
+
+        return results.map(result => {
+            const box = (result.boundingbox || []).map(Number);
+            return {
+                name: result.display_name,
+                lat: Number(result.lat),
+                lng: Number(result.lon),
+                bounds: box.length === 4 ? { south: box[0], north: box[1], west: box[2], east: box[3] } : null,
+                place: placeFromAddress(result.address)
+            };
+        });
+    }
+
+    async reverse(lat, lng) {
+        const result = await this.request('reverse', { lat, lon: lng, zoom: 10 });
+        return result && !result.error ? placeFromAddress(result.address) : null;
+    }
+}
+
+/**
+ * Geocoder over a bundled list of [city, country, lat, lng] entries; works offline
+ * and never sends locations anywhere
+ */
+class GazetteerGeocoder {
+    constructor(places = [], { maxDistance = GAZETTEER_MAX_DISTANCE_KM } = {}) {
+        this.places = places.map(([city, country, lat, lng]) => ({
+            city,
+            country,
+            lat,
+            lng,
+            folded: foldText(`${city} ${country}`)
+        }));
+        this.maxDistance = maxDistance;
+    }
+
+    async search(query, { limit = GEOCODER_RESULT_LIMIT } = {}) {
+        const words = tokenize(query);
+        if (words.length === 0) return [];
+
+        return this.places
+            .filter(place => words.every(word => place.folded.includes(word)))
+            .sort((a, b) => Number(!foldText(a.city).startsWith(words[0])) - Number(!foldText(b.city).startsWith(words[0])))
+            .slice(0, limit)
+            .map(place => ({
+                name: formatPlaceName(place),
+                lat: place.lat,
+                lng: place.lng,
+                bounds: null,
+                place: { city: place.city, country: place.country }
+            }));
+    }
+
+    async reverse(lat, lng) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.places.forEach(place => {
+            const distance = haversineDistance({ lat, lng }, place);
+            if (distance < nearestDistance) {
+                nearest = place;
+                nearestDistance = distance;
+            }
+        });
+
+        if (!nearest || nearestDistance > this.maxDistance) return null;
+        return { city: nearest.city, country: nearest.country };
+    }
+}
+
+/**
+ * Geocoder that asks a primary provider and falls back to another when it fails or finds nothing,
+ * e.g. a server with the offline list behind it
+ */
+class FallbackGeocoder {
+    constructor(primary, fallback) {
+        this.primary = primary;
+        this.fallback = fallback;
+    }
+
+    async search(query, options) {
+        try {
+            const results = await this.primary.search(query, options);
+            if (results.length > 0) return results;
+        } catch (error) {
+            console.warn('Geocoder search failed, using fallback:', error);
+        }
+        return this.fallback.search(query, options);
+    }
+
+    async reverse(lat, lng) {
+        try {
+            const place = await this.primary.reverse(lat, lng);
+            if (place) return place;
+        } catch (error) {
+            console.warn('Reverse geocoding failed, using fallback:', error);
+        }
+        return this.fallback.reverse(lat, lng);
+    }
+}
+
+/**
+ * Build the geocoder described by saved { provider, url } settings
+ */
+function createGeocoder(settings = {}, places = []) {
+    const offline = new GazetteerGeocoder(places);
+
+    if (settings.provider === 'nominatim') {
+        return new FallbackGeocoder(new NominatimGeocoder({ url: settings.url || DEFAULT_NOMINATIM_URL }), offline);
+    }
+    return offline;
+}
+
+/**
+ * Countries with memories, and the cities seen in each, sorted by name
+ */
+function collectPlaces(memories) {
+    const countries = {};
+
+    memories.forEach(memory => {
+        const place = memory.place;
+        if (!place || !place.country) return;
+
+        countries[place.country] = countries[place.country] || new Set();
+        if (place.city) {
+            countries[place.country].add(place.city);
+        }
+    });
+
+    return Object.keys(countries)
+        .sort((a, b) => a.localeCompare(b))
+        .map(country => ({
+            country,
+            cities: Array.from(countries[country]).sort((a, b) => a.localeCompare(b))
+        }));
+}
+
+/**
+ * Whether a memory lies in the chosen country and city; empty choices match everything
+ */
+function matchesPlace(memory, country, city) {
+    const place = memory.place || {};
+    if (country && place.country !== country) return false;
+    if (city && place.city !== city) return false;
+    return true;
+}
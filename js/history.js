@@ -0,0 +1,122 @@
+/**
+ * Life Atlas - History & Trash
+ * Undoable commands over memories, and the retention rules for deleted memories
+ */
+
+// How many commands can be undone
+const HISTORY_LIMIT = 100;
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Choices offered in the trash view; 0 keeps deleted memories until purged by hand
+const TRASH_RETENTION_OPTIONS = [7, 30, 90, 365, 0];
+
+// Commands that add memories, so undoing them takes those away again instead of trashing them
+const ADDING_COMMANDS = ['create', 'import'];
+
+/**
+ * Undo and redo stacks of commands.
+ * A command is { type, label, changes: [{ id, before, after }] }, where before and after
+ * are full memory records, or null when the memory is not on the map (new or in the trash).
+ */
+class CommandHistory {
+    constructor(limit = HISTORY_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Remember a command that has just been applied; clears anything that could be redone
+     */
+    record(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * The command undo() would take, or null
+     */
+    nextUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * The command redo() would take, or null
+     */
+    nextRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    /**
+     * Take the latest command to undo, or null
+     */
+    undo() {
+        const command = this.undoStack.pop() || null;
+        if (command) this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Take the latest undone command to redo, or null
+     */
+    redo() {
+        const command = this.redoStack.pop() || null;
+        if (command) this.undoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Every memory version either stack could bring back
+     */
+    memories() {
+        return this.undoStack.concat(this.redoStack)
+            .reduce((all, command) => all.concat(command.changes), [])
+            .reduce((all, change) => all.concat([change.before, change.after].filter(Boolean)), []);
+    }
+}
+
+/**
+ * The changes that turn one list of memories into another, for whole-atlas commands like import
+ */
+function diffMemories(before, after) {
+    const previous = new Map(before.map(memory => [memory.id, memory]));
+    const changes = [];
+
+    after.forEach(memory => {
+        const old = previous.get(memory.id) || null;
+        previous.delete(memory.id);
+        if (!old || JSON.stringify(old) !== JSON.stringify(memory)) {
+            changes.push({ id: memory.id, before: old, after: memory });
+        }
+    });
+
+    previous.forEach((memory, id) => changes.push({ id, before: memory, after: null }));
+    return changes;
+}
+
+/**
+ * When a trashed memory is due to be purged, or null if it is kept forever
+ */
+function trashExpiry(entry, retentionDays) {
+    if (!retentionDays) return null;
+    return new Date(new Date(entry.deletedAt).getTime() + retentionDays * 86400000);
+}
+
+/**
+ * Split trash entries into those still kept and those past the retention period
+ */
+function partitionTrash(trash, retentionDays, now = new Date()) {
+    const kept = [];
+    const expired = [];
+
+    trash.forEach(entry => {
+        const expiry = trashExpiry(entry, retentionDays);
+        (expiry && expiry <= now ? expired : kept).push(entry);
+    });
+
+    return { kept, expired };
+}
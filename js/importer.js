@@ -0,0 +1,204 @@
+/**
+ * Life Atlas - Import Planning
+ * Validates incoming memories, detects duplicates and plans a merge before anything is saved
+ */
+
+const CONFLICT_STRATEGIES = ['mine', 'theirs', 'both'];
+
+// Two memories this close (in degrees, roughly 10 m) count as the same place
+const DUPLICATE_DISTANCE = 0.0001;
+
+/**
+ * Check a raw imported record and repair what can be repaired.
+ * Returns { memory, status, problems } where status is 'valid', 'repaired' or 'invalid'.
+ */
+function validateMemory(record) {
+    const problems = [];
+    let fatal = false;
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { memory: null, status: 'invalid', problems: ['Not a memory record'] };
+    }
+
+    const memory = Object.assign({}, record);
+
+    const lat = Number(record.lat);
+    const lng = Number(record.lng);
+    if (record.lat === null || record.lat === '' || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+        problems.push('Missing or invalid latitude');
+        fatal = true;
+    } else {
+        memory.lat = lat;
+    }
+
+    if (record.lng === null || record.lng === '' || !Number.isFinite(lng)) {
+        problems.push('Missing or invalid longitude');
+        fatal = true;
+    } else if (lng < -180 || lng > 180) {
+        memory.lng = ((lng + 180) % 360 + 360) % 360 - 180;
+        problems.push('Longitude wrapped into range');
+    } else {
+        memory.lng = lng;
+    }
+
+    if (typeof record.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(record.date) || isNaN(new Date(record.date))) {
+        const repaired = toMemoryDate(record.date) || toMemoryDate(record.createdAt);
+        if (repaired) {
+            memory.date = repaired;
+            problems.push('Date normalised');
+        } else {
+            problems.push('Missing or invalid date');
+            fatal = true;
+        }
+    }
+
+    const id = Number(record.id);
+    if (!Number.isFinite(id) || id <= 0) {
+        memory.id = null;
+        problems.push('Missing id');
+    } else {
+        memory.id = id;
+    }
+
+    if (typeof record.title !== 'string' || !record.title.trim()) {
+        memory.title = 'Untitled memory';
+        problems.push('Missing title');
+    }
+
+    if (typeof record.description !== 'string') {
+        memory.description = record.description == null ? '' : String(record.description);
+        problems.push('Description converted to text');
+    }
+
+    if (typeof record.mood !== 'string' || !record.mood) {
+        memory.mood = '📍';
+    }
+
+    const attachments = Array.isArray(record.attachments) ? record.attachments : [];
+    memory.attachments = attachments.map(normalizeAttachment).filter(Boolean);
+    if (memory.attachments.length < attachments.length) {
+        problems.push(`${attachments.length - memory.attachments.length} invalid attachments removed`);
+    }
+
+    memory.tags = normalizeLabels(record.tags, normalizeTag);
+    memory.collections = normalizeLabels(record.collections, normalizeCollection, '|');
+    memory.place = normalizePlace(record.place);
+    memory.placeName = formatPlaceName(memory.place);
+
+    memory.shape = record.shape == null ? null : normalizeShape(record.shape);
+    if (record.shape != null && !memory.shape) {
+        problems.push('Invalid route or area removed');
+    }
+
+    if (typeof record.createdAt !== 'string' || isNaN(new Date(record.createdAt))) {
+        memory.createdAt = new Date().toISOString();
+    }
+
+    if (fatal) {
+        return { memory: null, status: 'invalid', problems };
+    }
+
+    return { memory, status: problems.length > 0 ? 'repaired' : 'valid', problems };
+}
+
+/**
+ * Pick an id that isn't used yet
+ */
+function generateMemoryId(usedIds) {
+    let id = Date.now();
+    while (usedIds.has(id)) {
+        id++;
+    }
+    usedIds.add(id);
+    return id;
+}
+
+/**
+ * Whether two memories describe the same moment at the same place
+ */
+function isSameMemory(a, b) {
+    return a.title.trim().toLowerCase() === b.title.trim().toLowerCase() &&
+        a.date === b.date &&
+        Math.abs(a.lat - b.lat) < DUPLICATE_DISTANCE &&
+        Math.abs(a.lng - b.lng) < DUPLICATE_DISTANCE;
+}
+
+/**
+ * Whether two records hold identical content
+ */
+function isIdentical(a, b) {
+    return isSameMemory(a, b) &&
+        a.description === b.description &&
+        a.mood === b.mood;
+}
+
+/**
+ * Plan how incoming records merge into the existing memories.
+ *
+ * mode 'merge' keeps existing memories and resolves duplicates with the strategy:
+ *   'mine' keeps the existing memory, 'theirs' overwrites it, 'both' keeps both.
+ * mode 'replace' discards existing memories in favour of the valid incoming ones.
+ *
+ * Returns { entries, summary }, where each entry is { index, action, memory, problems, reason }
+ * and action is one of 'add', 'update', 'skip' or 'invalid'.
+ */
+function planImport(existing, incoming, { mode = 'merge', strategy = 'mine' } = {}) {
+    const working = mode === 'replace' ? [] : existing.slice();
+    const usedIds = new Set(working.map(m => m.id));
+    const entries = [];
+
+    incoming.forEach((record, index) => {
+        const { memory, status, problems } = validateMemory(record);
+
+        if (!memory) {
+            entries.push({ index, action: 'invalid', memory: null, problems, reason: problems.join(', ') });
+            return;
+        }
+
+        const duplicate = (memory.id !== null && working.find(m => m.id === memory.id)) ||
+            working.find(m => isSameMemory(m, memory));
+
+        const entry = { index, action: 'add', memory, problems, repaired: status === 'repaired', reason: '' };
+
+        if (duplicate && isIdentical(duplicate, memory)) {
+            entry.action = 'skip';
+            entry.reason = 'Already in your atlas';
+        } else if (duplicate && strategy === 'mine') {
+            entry.action = 'skip';
+            entry.reason = `Conflicts with "${duplicate.title}"`;
+        } else if (duplicate && strategy === 'theirs') {
+            entry.action = 'update';
+            entry.reason = `Replaces "${duplicate.title}"`;
+            memory.id = duplicate.id;
+            memory.createdAt = duplicate.createdAt;
+            working[working.indexOf(duplicate)] = memory;
+        }
+
+        if (entry.action === 'add') {
+            if (memory.id === null || usedIds.has(memory.id)) {
+                memory.id = generateMemoryId(usedIds);
+            }
+            usedIds.add(memory.id);
+            working.push(memory);
+        }
+
+        entries.push(entry);
+    });
+
+    const count = (action) => entries.filter(e => e.action === action).length;
+
+    return {
+        mode,
+        strategy,
+        entries,
+        memories: working,
+        summary: {
+            added: count('add'),
+            updated: count('update'),
+            skipped: count('skip'),
+            invalid: count('invalid'),
+            repaired: entries.filter(e => e.repaired && e.action !== 'skip').length,
+            removed: mode === 'replace' ? existing.length : 0
+        }
+    };
+}
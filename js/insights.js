@@ -0,0 +1,237 @@
+/**
+ * Life Atlas - Insights
+ * Pure statistics over memories, plus small SVG chart builders for the insights panel
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// A gap longer than this between consecutive memories starts a new trip
+const TRIP_GAP_DAYS = 3;
+
+// Regions are grid cells of this many degrees
+const REGION_SIZE_DEGREES = 1;
+
+/**
+ * Great-circle distance between two points in kilometres
+ */
+function haversineDistance(a, b) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Human-readable distance, e.g. "850 m" or "1,204 km"
+ */
+function formatDistance(km) {
+    if (km < 1) return `${Math.round(km * 1000)} m`;
+    return `${km.toLocaleString(undefined, { maximumFractionDigits: km < 10 ? 1 : 0 })} km`;
+}
+
+/**
+ * Basic statistics: totals, mood counts, date span and average description length
+ */
+function computeStats(memories) {
+    const stats = {
+        total: memories.length,
+        moods: {},
+        oldestDate: null,
+        newestDate: null,
+        averageDescriptionLength: 0
+    };
+
+    if (memories.length === 0) {
+        return stats;
+    }
+
+    let totalLength = 0;
+    const dates = [];
+
+    memories.forEach(memory => {
+        // Count moods
+        stats.moods[memory.mood] = (stats.moods[memory.mood] || 0) + 1;
+
+        // Track dates
+        dates.push(new Date(memory.date));
+
+        // Sum description lengths
+        totalLength += memory.description.length;
+    });
+
+    dates.sort((a, b) => a - b);
+    stats.oldestDate = dates[0];
+    stats.newestDate = dates[dates.length - 1];
+    stats.averageDescriptionLength = Math.round(totalLength / memories.length);
+
+    return stats;
+}
+
+/**
+ * Count moods per period, where period is 'year' or 'month'.
+ * Returns [{ key, moods: { mood: count } }] in chronological order.
+ */
+function moodsByPeriod(memories, period) {
+    const length = period === 'year' ? 4 : 7;
+    const periods = {};
+
+    memories.forEach(memory => {
+        const key = memory.date.slice(0, length);
+        periods[key] = periods[key] || {};
+        periods[key][memory.mood] = (periods[key][memory.mood] || 0) + 1;
+    });
+
+    return Object.keys(periods).sort().map(key => ({ key, moods: periods[key] }));
+}
+
+/**
+ * Split chronologically ordered memories into trips separated by long gaps,
+ * with the distance travelled between consecutive memories of each trip
+ */
+function computeTrips(chronological) {
+    const trips = [];
+    let current = null;
+
+    chronological.forEach((memory, i) => {
+        const previous = chronological[i - 1];
+        const gapDays = previous ? (new Date(memory.date) - new Date(previous.date)) / 86400000 : Infinity;
+
+        if (gapDays > TRIP_GAP_DAYS) {
+            current = { start: memory.date, end: memory.date, count: 0, distance: 0, memories: [] };
+            trips.push(current);
+        } else {
+            current.distance += haversineDistance(previous, memory);
+        }
+
+        current.end = memory.date;
+        current.count++;
+        current.memories.push(memory);
+    });
+
+    return trips.filter(trip => trip.count > 1);
+}
+
+/**
+ * The most memoried grid cells, busiest first
+ */
+function computeRegions(memories, limit = 5) {
+    const cells = {};
+
+    memories.forEach(memory => {
+        const row = Math.floor(memory.lat / REGION_SIZE_DEGREES);
+        const column = Math.floor(memory.lng / REGION_SIZE_DEGREES);
+        const key = `${row},${column}`;
+
+        cells[key] = cells[key] || { row, column, count: 0, latSum: 0, lngSum: 0, titles: [] };
+        cells[key].count++;
+        cells[key].latSum += memory.lat;
+        cells[key].lngSum += memory.lng;
+        cells[key].titles.push(memory.title);
+    });
+
+    return Object.values(cells)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit)
+        .map(cell => ({
+            lat: cell.latSum / cell.count,
+            lng: cell.lngSum / cell.count,
+            count: cell.count,
+            titles: cell.titles.slice(0, 3)
+        }));
+}
+
+/**
+ * Everything the insights panel shows, computed without touching the DOM.
+ * home is an optional { lat, lng } point.
+ */
+function computeInsights(memories, { home = null } = {}) {
+    const chronological = sortChronologically(memories);
+
+    let totalDistance = 0;
+    for (let i = 1; i < chronological.length; i++) {
+        totalDistance += haversineDistance(chronological[i - 1], chronological[i]);
+    }
+
+    let furthest = null;
+    if (home) {
+        memories.forEach(memory => {
+            const distance = haversineDistance(home, memory);
+            if (!furthest || distance > furthest.distance) {
+                furthest = { memory, distance };
+            }
+        });
+    }
+
+    const perYear = {};
+    memories.forEach(memory => {
+        const year = memory.date.slice(0, 4);
+        perYear[year] = (perYear[year] || 0) + 1;
+    });
+
+    return {
+        stats: computeStats(memories),
+        memoriesPerYear: Object.keys(perYear).sort().map(year => ({ key: year, count: perYear[year] })),
+        moodsByYear: moodsByPeriod(memories, 'year'),
+        moodsByMonth: moodsByPeriod(memories, 'month'),
+        totalDistance,
+        trips: computeTrips(chronological),
+        furthest,
+        regions: computeRegions(memories)
+    };
+}
+
+/**
+ * SVG bar chart for [{ key, count }]
+ */
+function renderBarChart(data, { width = 500, height = 160 } = {}) {
+    if (data.length === 0) return '';
+
+    const max = Math.max(...data.map(d => d.count));
+    const slot = width / data.length;
+    const chartHeight = height - 20;
+
+    const bars = data.map((d, i) => {
+        const barHeight = d.count / max * (chartHeight - 15);
+        const x = i * slot + slot * 0.15;
+        const y = chartHeight - barHeight;
+        return `
+            <rect class="chart-bar" x="${x}" y="${y}" width="${slot * 0.7}" height="${barHeight}"><title>${escapeXml(d.key)}: ${d.count}</title></rect>
+            <text class="chart-value" x="${x + slot * 0.35}" y="${y - 3}">${d.count}</text>
+            <text class="chart-label" x="${x + slot * 0.35}" y="${height - 4}">${escapeXml(d.key)}</text>`;
+    }).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${bars}</svg>`;
+}
+
+/**
+ * SVG stacked bar chart of mood shares for [{ key, moods }]
+ */
+function renderMoodChart(data, { width = 500, height = 160 } = {}) {
+    if (data.length === 0) return '';
+
+    const slot = width / data.length;
+    const chartHeight = height - 20;
+    const showEveryLabel = Math.ceil(data.length / 12);
+
+    const columns = data.map((d, i) => {
+        const total = Object.values(d.moods).reduce((sum, count) => sum + count, 0);
+        const x = i * slot + slot * 0.1;
+        let y = chartHeight;
+
+        const segments = Object.keys(d.moods).sort().map(mood => {
+            const segmentHeight = d.moods[mood] / total * chartHeight;
+            y -= segmentHeight;
+            return `<rect x="${x}" y="${y}" width="${slot * 0.8}" height="${segmentHeight}" fill="${MOOD_COLORS[mood] || MOOD_COLORS['📍']}"><title>${escapeXml(d.key)} ${escapeXml(mood)}: ${d.moods[mood]}</title></rect>`;
+        }).join('');
+
+        const label = i % showEveryLabel === 0 ?
+            `<text class="chart-label" x="${x + slot * 0.4}" y="${height - 4}">${escapeXml(d.key)}</text>` : '';
+
+        return segments + label;
+    }).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${columns}</svg>`;
+}
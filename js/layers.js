@@ -0,0 +1,225 @@
+/**
+ * Life Atlas - Map Layers
+ * Base maps to choose between, and overlays drawn from the memories themselves: a heatmap of
+ * where they gather, and a mood map colouring each area by the mood its memories share most
+ */
+
+// Meta key holding { base, overlays: [key], custom: [{ id, name, url, attribution, maxZoom }] }
+const MAP_LAYERS_KEY = 'mapLayers';
+
+const OSM_ATTRIBUTION = '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+const BUILT_IN_BASE_MAPS = [
+    { id: 'osm', name: 'OpenStreetMap', url: TILE_URL_TEMPLATE, subdomains: TILE_SUBDOMAINS, attribution: OSM_ATTRIBUTION, maxZoom: 19 },
+    { id: 'topo', name: 'OpenTopoMap', url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', attribution: `${OSM_ATTRIBUTION}, SRTM | Style © <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)`, maxZoom: 17 },
+    { id: 'humanitarian', name: 'Humanitarian', url: 'https://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png', attribution: `${OSM_ATTRIBUTION}, tiles by <a href="https://www.hotosm.org/">Humanitarian OpenStreetMap Team</a>`, maxZoom: 19 }
+];
+
+const MEMORY_OVERLAYS = {
+    heatmap: '🔥 Where life happens',
+    moods: '🎨 Mood map'
+};
+
+// How far, in screen pixels, one memory's influence reaches
+const HEAT_RADIUS_PX = 25;
+const MOOD_RADIUS_PX = 45;
+
+// The mood map is painted in squares of this size
+const MOOD_CELL_PX = 12;
+
+// Opacity a single memory adds to the heatmap, and the most the mood map uses
+const HEAT_POINT_ALPHA = 0.3;
+const MOOD_MAX_ALPHA = 0.55;
+
+// Heatmap colours from sparse to dense, as [position, [r, g, b]]
+const HEAT_GRADIENT = [
+    [0, [92, 124, 250]],
+    [0.35, [64, 192, 87]],
+    [0.65, [255, 193, 7]],
+    [1, [217, 72, 15]]
+];
+
+/**
+ * Layer settings for an atlas that never changed them
+ */
+function defaultLayerSettings() {
+    return { base: BUILT_IN_BASE_MAPS[0].id, overlays: [], custom: [] };
+}
+
+/**
+ * The built-in base maps followed by the user's own
+ */
+function allBaseMaps(custom = []) {
+    return BUILT_IN_BASE_MAPS.concat(custom);
+}
+
+/**
+ * A name for a new base map that none of the others has, e.g. "Tiles (2)".
+ * Without a name it is called after the tile server.
+ */
+function uniqueBaseMapName(name, url, baseMaps) {
+    let base = name;
+    if (!base) {
+        try {
+            base = new URL(url.replace(/\{[^}]*\}/g, 'x')).host;
+        } catch (error) {
+            base = '';
+        }
+    }
+    base = base || 'My base map';
+
+    const taken = new Set(baseMaps.map(baseMap => baseMap.name.toLowerCase()));
+    let unique = base;
+    for (let n = 2; taken.has(unique.toLowerCase()); n++) {
+        unique = `${base} (${n})`;
+    }
+    return unique;
+}
+
+/**
+ * What is wrong with a tile URL template, or '' when it is usable
+ */
+function validateTileTemplate(url) {
+    if (!/^https?:\/\//i.test(url)) {
+        return 'The address has to start with https:// (or http:// for a server on your own machine)';
+    }
+    const missing = ['{z}', '{x}', '{y}'].filter(part => !url.includes(part));
+    if (missing.length > 0) {
+        return `The address needs ${missing.join(', ')} where the tile's zoom and position go`;
+    }
+    // Leaflet and the offline download only know these placeholders
+    const unknown = (url.match(/\{[^}]*\}/g) || [])
+        .filter(part => !['{s}', '{z}', '{x}', '{y}', '{-y}', '{r}'].includes(part));
+    if (unknown.length > 0) {
+        return `The address has ${unknown.join(', ')}, which is not a tile placeholder`;
+    }
+    return '';
+}
+
+/**
+ * How much a memory counts at a distance from it: 1 on top of it, fading smoothly to 0 at the radius
+ */
+function heatKernel(distance, radius) {
+    if (distance >= radius) return 0;
+    const falloff = 1 - (distance * distance) / (radius * radius);
+    return falloff * falloff;
+}
+
+/**
+ * The heatmap colour for a density between 0 and 1, as [r, g, b]
+ */
+function heatColor(value) {
+    const clamped = Math.min(1, Math.max(0, value));
+    const upper = HEAT_GRADIENT.findIndex(([position]) => position >= clamped);
+    if (upper <= 0) return HEAT_GRADIENT[0][1];
+
+    const [fromPosition, from] = HEAT_GRADIENT[upper - 1];
+    const [toPosition, to] = HEAT_GRADIENT[upper];
+    const t = (clamped - fromPosition) / (toPosition - fromPosition);
+    return from.map((channel, i) => Math.round(channel + (to[i] - channel) * t));
+}
+
+/**
+ * The mood with most weight around a point, among points [{ x, y, mood }].
+ * Returns { mood, weight } where weight is the total of all moods; mood is null when nothing is near.
+ */
+function dominantMood(points, x, y, radius) {
+    const weights = {};
+    let total = 0;
+
+    points.forEach(point => {
+        const weight = heatKernel(Math.hypot(point.x - x, point.y - y), radius);
+        if (weight > 0) {
+            weights[point.mood] = (weights[point.mood] || 0) + weight;
+            total += weight;
+        }
+    });
+
+    const moods = Object.keys(weights);
+    return {
+        mood: moods.length > 0 ? moods.reduce((a, b) => weights[b] > weights[a] ? b : a) : null,
+        weight: total
+    };
+}
+
+/**
+ * Paint a heatmap tile: each point adds a soft spot of opacity, then opacity is turned into colour
+ */
+function drawHeatTile(context, points, size) {
+    points.forEach(({ x, y }) => {
+        const gradient = context.createRadialGradient(x, y, 0, x, y, HEAT_RADIUS_PX);
+        gradient.addColorStop(0, `rgba(0, 0, 0, ${HEAT_POINT_ALPHA})`);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        context.fillStyle = gradient;
+        context.fillRect(x - HEAT_RADIUS_PX, y - HEAT_RADIUS_PX, HEAT_RADIUS_PX * 2, HEAT_RADIUS_PX * 2);
+    });
+
+    const image = context.getImageData(0, 0, size.x, size.y);
+    const pixels = image.data;
+    for (let i = 0; i < pixels.length; i += 4) {
+        const alpha = pixels[i + 3];
+        if (alpha === 0) continue;
+
+        const [r, g, b] = heatColor(alpha / 255);
+        pixels[i] = r;
+        pixels[i + 1] = g;
+        pixels[i + 2] = b;
+        pixels[i + 3] = Math.min(255, alpha * 2);
+    }
+    context.putImageData(image, 0, 0);
+}
+
+/**
+ * Paint a mood map tile, square by square, in the colour of the dominant mood nearby
+ */
+function drawMoodTile(context, points, size) {
+    for (let y = 0; y < size.y; y += MOOD_CELL_PX) {
+        for (let x = 0; x < size.x; x += MOOD_CELL_PX) {
+            const { mood, weight } = dominantMood(points, x + MOOD_CELL_PX / 2, y + MOOD_CELL_PX / 2, MOOD_RADIUS_PX);
+            if (!mood) continue;
+
+            context.globalAlpha = Math.min(1, weight) * MOOD_MAX_ALPHA;
+            context.fillStyle = MOOD_COLORS[mood] || MOOD_COLORS['📍'];
+            context.fillRect(x, y, MOOD_CELL_PX, MOOD_CELL_PX);
+        }
+    }
+}
+
+/**
+ * A map overlay drawn from memories on canvas tiles. The getMemories option returns the memories
+ * to draw, so the overlay shows whatever the filters let through; call redraw() when they change.
+ */
+const MemoryOverlay = L.GridLayer.extend({
+    options: {
+        kind: 'heatmap',
+        getMemories: () => [],
+        pane: 'overlayPane',
+        opacity: 0.8
+    },
+
+    /**
+     * Draw the memories within reach of one tile
+     */
+    createTile(coords) {
+        const size = this.getTileSize();
+        const canvas = document.createElement('canvas');
+        canvas.width = size.x;
+        canvas.height = size.y;
+
+        // Memories just outside the tile still colour its edge, so neighbouring tiles line up
+        const reach = this.options.kind === 'moods' ? MOOD_RADIUS_PX : HEAT_RADIUS_PX;
+        const origin = coords.scaleBy(size);
+        const points = this.options.getMemories()
+            .map(memory => {
+                const point = this._map.project([memory.lat, memory.lng], coords.z).subtract(origin);
+                return { x: point.x, y: point.y, mood: memory.mood };
+            })
+            .filter(({ x, y }) => x > -reach && y > -reach && x < size.x + reach && y < size.y + reach);
+
+        if (points.length > 0) {
+            const draw = this.options.kind === 'moods' ? drawMoodTile : drawHeatTile;
+            draw(canvas.getContext('2d'), points, size);
+        }
+        return canvas;
+    }
+});
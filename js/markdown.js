@@ -0,0 +1,224 @@
+/**
+ * Life Atlas - Markdown
+ * A small Markdown renderer for memory descriptions (headings, lists, emphasis, links,
+ * blockquotes and code), with an allowlist sanitizer between its output and the page
+ */
+
+// Elements and attributes rendered descriptions may contain; everything else is stripped
+const MARKDOWN_ALLOWED_TAGS = {
+    H4: [], H5: [], H6: [],
+    P: [], BR: [], HR: [],
+    EM: [], STRONG: [], DEL: [],
+    CODE: [], PRE: [],
+    BLOCKQUOTE: [],
+    UL: [], OL: ['start'], LI: [],
+    A: ['href', 'title']
+};
+
+// Elements removed together with their contents rather than unwrapped
+const MARKDOWN_DROPPED_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH'];
+
+const MARKDOWN_LINK_PROTOCOLS = /^(https?:|mailto:)/i;
+
+const MARKDOWN_LIST_ITEM = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+/**
+ * Escape the characters that are special in HTML text and attributes
+ */
+function escapeMarkdownHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render emphasis, code spans and links within one block of text
+ */
+function renderMarkdownInline(text) {
+    // Code spans and link tags are set aside so nothing inside them is formatted;
+    // link labels stay in the text and can still be emphasised.
+    // Link targets may contain one level of parentheses, as Wikipedia links often do.
+    const spans = [];
+    const setAside = (html) => {
+        spans.push(html);
+        return `\u0000${spans.length - 1}\u0000`;
+    };
+    const html = escapeMarkdownHtml(text)
+        .replace(/`([^`]+)`/g, (match, code) => setAside(`<code>${code}</code>`))
+        .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, label, href, title) =>
+            `${setAside(`<a href="${href}"${title ? ` title="${title}"` : ''}>`)}${label}</a>`)
+        .replace(/\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__(?!\w)/g, (match, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/\*(?=\S)(.+?)\*|(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, (match, a, before, b) =>
+            a ? `<em>${a}</em>` : `${before}<em>${b}</em>`)
+        .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>')
+        .replace(/\n/g, '<br>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => spans[index]);
+}
+
+/**
+ * Render Markdown lines as block elements
+ */
+function renderMarkdownBlocks(lines) {
+    const blocks = [];
+    let paragraph = [];
+
+    const closeParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${renderMarkdownInline(paragraph.join('\n'))}</p>`);
+        }
+        paragraph = [];
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+
+        if (!line.trim()) {
+            closeParagraph();
+            i++;
+        } else if (/^\s*```/.test(line)) {
+            closeParagraph();
+            const code = [];
+            i++;
+            while (i < lines.length && !/^\s*```/.test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            blocks.push(`<pre><code>${escapeMarkdownHtml(code.join('\n'))}</code></pre>`);
+            i++;
+        } else if (heading) {
+            closeParagraph();
+            // Descriptions sit under the memory's own title, so # starts below it
+            const level = Math.min(heading[1].length + 3, 6);
+            blocks.push(`<h${level}>${renderMarkdownInline(heading[2])}</h${level}>`);
+            i++;
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            closeParagraph();
+            blocks.push('<hr>');
+            i++;
+        } else if (/^\s*>/.test(line)) {
+            closeParagraph();
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+                i++;
+            }
+            blocks.push(`<blockquote>${renderMarkdownBlocks(quoted)}</blockquote>`);
+        } else if (MARKDOWN_LIST_ITEM.test(line)) {
+            closeParagraph();
+            const first = line.match(MARKDOWN_LIST_ITEM);
+            const ordered = /\d/.test(first[1]);
+            const items = [];
+
+            // Items of the same kind, each with its indented continuation lines (and nested lists)
+            while (i < lines.length) {
+                const item = lines[i].match(MARKDOWN_LIST_ITEM);
+                if (item && /\d/.test(item[1]) === ordered && !/^\s{2,}/.test(lines[i])) {
+                    items.push([item[2]]);
+                } else if (items.length > 0 && /^\s{2,}\S/.test(lines[i])) {
+                    items[items.length - 1].push(lines[i].replace(/^\s{2,4}/, ''));
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            const start = ordered ? parseInt(first[1], 10) : 1;
+            const tag = ordered ? 'ol' : 'ul';
+            const body = items.map(item => {
+                const html = renderMarkdownBlocks(item);
+                // A single short paragraph doesn't need its <p>
+                return `<li>${html.replace(/^<p>(.*?)<\/p>/s, '$1')}</li>`;
+            }).join('');
+            blocks.push(`<${tag}${start !== 1 ? ` start="${start}"` : ''}>${body}</${tag}>`);
+        } else {
+            paragraph.push(line);
+            i++;
+        }
+    }
+
+    closeParagraph();
+    return blocks.join('');
+}
+
+/**
+ * Markdown text as HTML. The text is escaped as it is rendered, but the result should
+ * still go through sanitizeHtml() before it reaches the page; see renderMarkdown().
+ */
+function markdownToHtml(text) {
+    return renderMarkdownBlocks((text || '').replace(/\r\n?/g, '\n').split('\n'));
+}
+
+/**
+ * Keep only allowlisted elements and attributes, and links to http(s) and mailto addresses.
+ * Other elements are unwrapped so their text survives; scripts and the like are removed.
+ */
+function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const clean = (parent) => {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+
+            if (node.nodeType !== Node.ELEMENT_NODE || MARKDOWN_DROPPED_TAGS.includes(node.nodeName.toUpperCase())) {
+                node.remove();
+                return;
+            }
+
+            clean(node);
+
+            const allowed = MARKDOWN_ALLOWED_TAGS[node.nodeName.toUpperCase()];
+            if (!allowed) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attribute => {
+                if (!allowed.includes(attribute.name)) {
+                    node.removeAttribute(attribute.name);
+                }
+            });
+
+            if (node.nodeName === 'A') {
+                const href = (node.getAttribute('href') || '').trim();
+                if (!MARKDOWN_LINK_PROTOCOLS.test(href)) {
+                    node.removeAttribute('href');
+                }
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer nofollow');
+            }
+        });
+    };
+
+    clean(template.content);
+    return template.innerHTML;
+}
+
+/**
+ * Markdown text as HTML that is safe to put on the page
+ */
+function renderMarkdown(text) {
+    return sanitizeHtml(markdownToHtml(text));
+}
+
+/**
+ * Markdown text as plain text on one line, for excerpts and search snippets
+ */
+function stripMarkdown(text) {
+    return (text || '')
+        .split(/\r?\n/)
+        .filter(line => !/^\s*```/.test(line) && !/^\s*([-*_])(\s*\1){2,}\s*$/.test(line))
+        .map(line => line.replace(/^(\s*(>|#{1,6}\s|[-*+]\s|\d{1,9}[.)]\s))+\s*/, ''))
+        .join(' ')
+        .replace(/\[([^\]]+)\]\((?:[^()\s]|\([^()\s]*\))+(?:\s+"[^"]*")?\)/g, '$1')
+        .replace(/\*\*|__|~~|`/g, '')
+        .replace(/(^|[^\w*])[*_](?=\S)(.+?)[*_](?!\w)/g, '$1$2')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
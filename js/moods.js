@@ -0,0 +1,146 @@
+/**
+ * Life Atlas - Moods
+ * The mood palette: the moods memories can be given, each an emoji with a label and a pin colour.
+ * Every atlas has its own. A memory's mood is the emoji, and '📍' means it has none. Retired moods
+ * are no longer offered, but memories that have one keep it and its colour.
+ */
+
+// Meta key holding the palette: [{ emoji, label, color, retired }], in picker order
+const MOOD_PALETTE_KEY = 'moodPalette';
+
+const NO_MOOD = '📍';
+const NO_MOOD_COLOR = '#8B4513';
+
+const DEFAULT_MOOD_PALETTE = [
+    { emoji: '😊', label: 'Happy', color: '#FFC107', retired: false },
+    { emoji: '😢', label: 'Sad', color: '#5C7CFA', retired: false },
+    { emoji: '❤️', label: 'Love', color: '#E64980', retired: false },
+    { emoji: '🌟', label: 'Excited', color: '#FF8C42', retired: false },
+    { emoji: '🤔', label: 'Thoughtful', color: '#868E96', retired: false },
+    { emoji: '😌', label: 'Peaceful', color: '#40C057', retired: false },
+    { emoji: '🔥', label: 'Passionate', color: '#D9480F', retired: false },
+    { emoji: '🌙', label: 'Dreamy', color: '#7048E8', retired: false }
+];
+
+// Emoji sequences such as 👨‍👩‍👧 take several characters, so this allows a few
+const MAX_MOOD_EMOJI_LENGTH = 16;
+const MAX_MOOD_LABEL_LENGTH = 30;
+
+// Pin colour of each mood in the open atlas's palette, in picker order with retired moods
+// last; useMoodPalette() keeps it current
+const MOOD_COLORS = {};
+
+/**
+ * The palette an atlas starts with
+ */
+function defaultMoodPalette() {
+    return DEFAULT_MOOD_PALETTE.map(mood => Object.assign({}, mood));
+}
+
+/**
+ * What is wrong with a mood, or '' when it can go in the palette beside the others
+ */
+function validateMood(mood, others = []) {
+    if (!mood.emoji) {
+        return 'A mood needs an emoji';
+    }
+    if (mood.emoji.length > MAX_MOOD_EMOJI_LENGTH) {
+        return 'Use a single emoji for the mood';
+    }
+    if (mood.emoji === NO_MOOD) {
+        return `${NO_MOOD} is kept for memories without a mood`;
+    }
+    if (others.some(other => other.emoji === mood.emoji)) {
+        return `There is already a ${mood.emoji} mood`;
+    }
+    if (!mood.label) {
+        return 'A mood needs a name';
+    }
+    if (mood.label.length > MAX_MOOD_LABEL_LENGTH) {
+        return `Keep the mood's name to ${MAX_MOOD_LABEL_LENGTH} characters`;
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(mood.color)) {
+        return 'Pick a pin colour for the mood';
+    }
+    return '';
+}
+
+/**
+ * The moods in stored or imported data that validate, in order
+ */
+function cleanMoodList(list) {
+    const moods = [];
+
+    (Array.isArray(list) ? list : []).forEach(entry => {
+        if (!entry || typeof entry !== 'object') return;
+
+        const mood = {
+            emoji: String(entry.emoji || '').trim(),
+            label: String(entry.label || '').trim().slice(0, MAX_MOOD_LABEL_LENGTH),
+            color: String(entry.color || ''),
+            retired: Boolean(entry.retired)
+        };
+        if (!validateMood(mood, moods)) {
+            moods.push(mood);
+        }
+    });
+
+    return moods;
+}
+
+/**
+ * A usable palette from stored or imported data; the default palette stands in
+ * when it offers no moods
+ */
+function normalizeMoodPalette(palette) {
+    const moods = cleanMoodList(palette);
+    return moods.some(mood => !mood.retired) ? moods : defaultMoodPalette();
+}
+
+/**
+ * The moods still offered for new memories, in picker order
+ */
+function activeMoods(palette) {
+    return palette.filter(mood => !mood.retired);
+}
+
+/**
+ * A mood as the picker shows it, e.g. "😊 Happy"; moods missing from the palette show as their emoji
+ */
+function moodLabel(palette, emoji) {
+    if (emoji === NO_MOOD) return `${NO_MOOD} No mood`;
+
+    const mood = palette.find(m => m.emoji === emoji);
+    return mood ? `${mood.emoji} ${mood.label}` : emoji;
+}
+
+/**
+ * Colour pins, clusters and charts by the given palette
+ */
+function useMoodPalette(palette) {
+    Object.keys(MOOD_COLORS).forEach(emoji => delete MOOD_COLORS[emoji]);
+    activeMoods(palette).concat(palette.filter(mood => mood.retired)).forEach(mood => {
+        MOOD_COLORS[mood.emoji] = mood.color;
+    });
+    MOOD_COLORS[NO_MOOD] = NO_MOOD_COLOR;
+}
+
+/**
+ * The palette with the moods of another one added, such as an imported atlas's.
+ * Returns { palette, added } where added lists the moods that were new.
+ */
+function mergeMoodPalettes(palette, incoming) {
+    const merged = palette.slice();
+    const added = [];
+
+    cleanMoodList(incoming).forEach(mood => {
+        if (!merged.some(existing => existing.emoji === mood.emoji)) {
+            merged.push(mood);
+            added.push(mood);
+        }
+    });
+
+    return { palette: merged, added };
+}
+
+useMoodPalette(DEFAULT_MOOD_PALETTE);
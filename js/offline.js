@@ -0,0 +1,185 @@
+/**
+ * Life Atlas - Offline Maps
+ * Tile maths and Cache Storage bookkeeping behind "save this area for offline"
+ */
+
+const TILE_URL_TEMPLATE = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_SUBDOMAINS = ['a', 'b', 'c'];
+
+// Where a saved area's tiles come from: { url, subdomains } of the base map it was saved from.
+// Areas saved before other base maps existed have none and are OpenStreetMap's.
+const OSM_TILE_SOURCE = { url: TILE_URL_TEMPLATE, subdomains: TILE_SUBDOMAINS };
+
+// Leaflet's subdomains for a template with {s} when the base map names none
+const DEFAULT_TILE_SUBDOMAINS = ['a', 'b', 'c'];
+
+// Shared with sw.js, which serves tiles from this cache
+const TILE_CACHE_NAME = 'life-atlas-tiles';
+
+// OpenStreetMap's tile policy forbids heavy bulk downloading, and other tile servers ask the same,
+// so saved areas stay modest
+const MAX_OFFLINE_TILES = 2500;
+const OFFLINE_MAX_ZOOM = 17;
+const TILE_FETCH_CONCURRENCY = 4;
+
+// Web Mercator stops short of the poles
+const MAX_TILE_LATITUDE = 85.0511;
+
+/**
+ * Tile column containing a longitude at a zoom level
+ */
+function lngToTileX(lng, zoom) {
+    const x = Math.floor((lng + 180) / 360 * 2 ** zoom);
+    return Math.min(Math.max(x, 0), 2 ** zoom - 1);
+}
+
+/**
+ * Tile row containing a latitude at a zoom level
+ */
+function latToTileY(lat, zoom) {
+    const clamped = Math.min(Math.max(lat, -MAX_TILE_LATITUDE), MAX_TILE_LATITUDE);
+    const radians = clamped * Math.PI / 180;
+    const y = Math.floor((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * 2 ** zoom);
+    return Math.min(Math.max(y, 0), 2 ** zoom - 1);
+}
+
+/**
+ * Tile column and row ranges covering { north, south, east, west } bounds at a zoom level
+ */
+function tileRange(bounds, zoom) {
+    return {
+        minX: lngToTileX(bounds.west, zoom),
+        maxX: lngToTileX(bounds.east, zoom),
+        minY: latToTileY(bounds.north, zoom),
+        maxY: latToTileY(bounds.south, zoom)
+    };
+}
+
+/**
+ * How many tiles cover the bounds across a zoom range, without listing them
+ */
+function countTiles(bounds, minZoom, maxZoom) {
+    let total = 0;
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const { minX, maxX, minY, maxY } = tileRange(bounds, z);
+        total += (maxX - minX + 1) * (maxY - minY + 1);
+    }
+    return total;
+}
+
+/**
+ * Every tile covering the bounds across a zoom range, as [{ x, y, z }]
+ */
+function listTiles(bounds, minZoom, maxZoom) {
+    const tiles = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const { minX, maxX, minY, maxY } = tileRange(bounds, z);
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                tiles.push({ x, y, z });
+            }
+        }
+    }
+    return tiles;
+}
+
+/**
+ * The URL Leaflet requests for a tile of a tile source, including its choice of subdomain,
+ * so cached tiles are found again when the map asks for them
+ */
+function tileUrl({ x, y, z }, source = OSM_TILE_SOURCE) {
+    const subdomains = source.subdomains && source.subdomains.length > 0 ? source.subdomains : DEFAULT_TILE_SUBDOMAINS;
+    return source.url
+        .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{-y}', 2 ** z - 1 - y)
+        .replace('{y}', y)
+        .replace('{r}', '');
+}
+
+/**
+ * Human-readable byte count, e.g. "3.2 MB"
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+
+    return `${value.toLocaleString(undefined, { maximumFractionDigits: unit === 0 ? 0 : 1 })} ${units[unit]}`;
+}
+
+/**
+ * Fetch a tile source's tiles into the tile cache, a few at a time.
+ * Tiles already cached are kept and counted. Stops early when signal.aborted is set.
+ * Returns { saved, failed, bytes }.
+ */
+async function downloadTiles(tiles, { source = OSM_TILE_SOURCE, onProgress = () => {}, signal = {} } = {}) {
+    const cache = await caches.open(TILE_CACHE_NAME);
+    const result = { saved: 0, failed: 0, bytes: 0 };
+    let next = 0;
+
+    const worker = async () => {
+        while (next < tiles.length && !signal.aborted) {
+            const url = tileUrl(tiles[next++], source);
+
+            try {
+                let response = await cache.match(url);
+                if (!response) {
+                    response = await fetch(url, { mode: 'cors' });
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    await cache.put(url, response.clone());
+                }
+                const { size } = await response.blob();
+                result.bytes += size;
+                result.saved++;
+            } catch (error) {
+                result.failed++;
+            }
+
+            onProgress(result.saved + result.failed, tiles.length);
+        }
+    };
+
+    await Promise.all(Array.from({ length: TILE_FETCH_CONCURRENCY }, worker));
+    return result;
+}
+
+/**
+ * Remove a saved region's tiles from the cache, keeping any that other regions still cover.
+ * Returns the number of tiles removed.
+ */
+async function evictRegionTiles(region, otherRegions) {
+    const keep = new Set();
+    otherRegions.forEach(other => {
+        listTiles(other.bounds, other.minZoom, other.maxZoom).forEach(tile => keep.add(tileUrl(tile, other.source)));
+    });
+
+    const cache = await caches.open(TILE_CACHE_NAME);
+    let removed = 0;
+
+    for (const tile of listTiles(region.bounds, region.minZoom, region.maxZoom)) {
+        const url = tileUrl(tile, region.source);
+        if (!keep.has(url) && await cache.delete(url)) {
+            removed++;
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Storage used and available to the app, or null where the browser can't say
+ */
+async function estimateStorage() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+        return null;
+    }
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+}
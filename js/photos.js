@@ -0,0 +1,235 @@
+/**
+ * Life Atlas - Photo Import
+ * Reads GPS position, capture time and orientation from JPEG EXIF data in the browser,
+ * and groups photos taken close together into proposed memories
+ */
+
+// EXIF lives in the APP1 segment near the start of the file, which is at most 64 KB
+const EXIF_READ_BYTES = 128 * 1024;
+
+// Photos this close in time and space become one memory when grouping is on
+const PHOTO_GROUP_MINUTES = 120;
+const PHOTO_GROUP_KM = 1;
+
+const EXIF_TAGS = {
+    orientation: 0x0112,
+    dateTime: 0x0132,
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    dateTimeOriginal: 0x9003,
+    gpsLatitudeRef: 0x0001,
+    gpsLatitude: 0x0002,
+    gpsLongitudeRef: 0x0003,
+    gpsLongitude: 0x0004
+};
+
+/**
+ * Read the entries of a TIFF image file directory into a Map of tag -> value
+ */
+function readIfd(view, tiffStart, ifdOffset, little) {
+    const entries = new Map();
+    const base = tiffStart + ifdOffset;
+    const count = view.getUint16(base, little);
+
+    for (let i = 0; i < count; i++) {
+        const entry = base + 2 + i * 12;
+        const tag = view.getUint16(entry, little);
+        const type = view.getUint16(entry + 2, little);
+        const length = view.getUint32(entry + 4, little);
+        const sizes = { 2: 1, 3: 2, 4: 4, 5: 8 };
+        if (!sizes[type]) continue;
+
+        // Values of up to four bytes are stored in the entry itself
+        const valueOffset = sizes[type] * length > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8;
+        const values = [];
+
+        for (let j = 0; j < length; j++) {
+            const at = valueOffset + j * sizes[type];
+            if (type === 2) values.push(view.getUint8(at));
+            if (type === 3) values.push(view.getUint16(at, little));
+            if (type === 4) values.push(view.getUint32(at, little));
+            if (type === 5) values.push(view.getUint32(at, little) / view.getUint32(at + 4, little));
+        }
+
+        entries.set(tag, type === 2 ? String.fromCharCode(...values).replace(/\0+$/, '') : values);
+    }
+
+    return entries;
+}
+
+/**
+ * Degrees from EXIF [degrees, minutes, seconds] rationals and an N/S/E/W reference
+ */
+function exifDegrees(values, ref) {
+    if (!values || values.length !== 3) return NaN;
+    const degrees = values[0] + values[1] / 60 + values[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+/**
+ * Read { lat, lng, takenAt, orientation } from the start of a JPEG file.
+ * takenAt is local camera time as "YYYY-MM-DDTHH:MM:SS". Returns null when there is no EXIF data.
+ */
+function readExif(buffer) {
+    const view = new DataView(buffer);
+
+    try {
+        if (view.getUint16(0) !== 0xffd8) return null;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            // Start of scan: image data follows, so there is no EXIF block
+            if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) return null;
+
+            const length = view.getUint16(offset + 2);
+            if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+                return readTiff(view, offset + 10);
+            }
+            offset += 2 + length;
+        }
+    } catch (error) {
+        // Truncated or corrupt metadata reads past the end of the buffer
+    }
+
+    return null;
+}
+
+/**
+ * Read the tags Life Atlas uses from an EXIF TIFF block
+ */
+function readTiff(view, start) {
+    const byteOrder = view.getUint16(start);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return null;
+
+    const little = byteOrder === 0x4949;
+    if (view.getUint16(start + 2, little) !== 42) return null;
+
+    const ifd0 = readIfd(view, start, view.getUint32(start + 4, little), little);
+    const exif = ifd0.has(EXIF_TAGS.exifIfd) ? readIfd(view, start, ifd0.get(EXIF_TAGS.exifIfd)[0], little) : new Map();
+    const gps = ifd0.has(EXIF_TAGS.gpsIfd) ? readIfd(view, start, ifd0.get(EXIF_TAGS.gpsIfd)[0], little) : new Map();
+
+    const lat = exifDegrees(gps.get(EXIF_TAGS.gpsLatitude), gps.get(EXIF_TAGS.gpsLatitudeRef));
+    const lng = exifDegrees(gps.get(EXIF_TAGS.gpsLongitude), gps.get(EXIF_TAGS.gpsLongitudeRef));
+    const hasLocation = Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+    // "2023:05:14 18:22:05"; cameras without a clock write zeros or spaces
+    const stamp = exif.get(EXIF_TAGS.dateTimeOriginal) || ifd0.get(EXIF_TAGS.dateTime) || '';
+    const match = stamp.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+    const takenAt = match && match[1] !== '0000' ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : null;
+
+    return {
+        lat: hasLocation ? lat : null,
+        lng: hasLocation ? lng : null,
+        takenAt,
+        orientation: (ifd0.get(EXIF_TAGS.orientation) || [1])[0]
+    };
+}
+
+/**
+ * Whether a file looks like a photo worth reading
+ */
+function isPhotoFile(file) {
+    return attachmentKind(file.type || '') === 'photo' || /\.jpe?g$/i.test(file.name);
+}
+
+/**
+ * Describe a photo file for import: { file, name, lat, lng, takenAt, orientation }.
+ * Only JPEGs carry readable EXIF; other photos come back without a location.
+ */
+async function readPhotoMetadata(file) {
+    const jpeg = file.type === 'image/jpeg' || /\.jpe?g$/i.test(file.name);
+    const exif = jpeg ? readExif(await file.slice(0, EXIF_READ_BYTES).arrayBuffer()) : null;
+
+    return {
+        file,
+        name: file.name,
+        lat: exif ? exif.lat : null,
+        lng: exif ? exif.lng : null,
+        takenAt: exif ? exif.takenAt : null,
+        orientation: exif ? exif.orientation : 1
+    };
+}
+
+/**
+ * The memory date for a photo: when it was taken, or else when the file was last changed
+ */
+function photoDate(photo) {
+    if (photo.takenAt) return photo.takenAt.slice(0, 10);
+
+    const modified = new Date(photo.file.lastModified || Date.now());
+    return [
+        modified.getFullYear(),
+        String(modified.getMonth() + 1).padStart(2, '0'),
+        String(modified.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * Group located photos into proposed memories, in time order. A photo joins the previous
+ * group when taken soon after its last photo and near its first one.
+ * Returns [{ photos, lat, lng, date }], placed at the average position of the photos.
+ */
+function groupPhotos(photos, { maxMinutes = PHOTO_GROUP_MINUTES, maxKm = PHOTO_GROUP_KM } = {}) {
+    const sorted = photos.slice().sort((a, b) => (a.takenAt || '\uffff').localeCompare(b.takenAt || '\uffff'));
+    const groups = [];
+    let current = null;
+
+    sorted.forEach(photo => {
+        const first = current && current.photos[0];
+        const last = current && current.photos[current.photos.length - 1];
+        const together = last && photo.takenAt && last.takenAt &&
+            new Date(photo.takenAt) - new Date(last.takenAt) <= maxMinutes * 60000 &&
+            haversineDistance(first, photo) <= maxKm;
+
+        if (together) {
+            current.photos.push(photo);
+        } else {
+            current = { photos: [photo] };
+            groups.push(current);
+        }
+    });
+
+    return groups.map(group => ({
+        photos: group.photos,
+        lat: group.photos.reduce((sum, photo) => sum + photo.lat, 0) / group.photos.length,
+        lng: group.photos.reduce((sum, photo) => sum + photo.lng, 0) / group.photos.length,
+        date: photoDate(group.photos[0])
+    }));
+}
+
+/**
+ * The files in a drop, including the contents of dropped folders.
+ * Must be called while the drop event is being handled.
+ */
+async function collectDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+        .filter(Boolean);
+
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files || []);
+    }
+
+    const files = [];
+    const walk = async (entry) => {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // Directory readers return entries in batches until an empty one
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await walk(child);
+                }
+            } while (batch.length > 0);
+        }
+    };
+
+    for (const entry of entries) {
+        await walk(entry);
+    }
+    return files;
+}
@@ -0,0 +1,77 @@
+/**
+ * Life Atlas - Rediscovery
+ * "On this day" anniversaries and a random pick that favours memories not opened in a long time
+ */
+
+// Meta key holding { notify, lastShown, lastNotified, randomMode }
+const REDISCOVERY_SETTINGS_KEY = 'rediscovery';
+
+// Meta key holding memory id -> ISO time the memory was last opened
+const LAST_VIEWED_KEY = 'lastViewed';
+
+const RANDOM_MODES = {
+    any: 'Any memory',
+    forgotten: "Favour memories I haven't opened in a while"
+};
+
+/**
+ * A date as local "YYYY-MM-DD"
+ */
+function localDateKey(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * Memories from today's month and day in earlier years, most recent first.
+ * Returns [{ memory, yearsAgo }]. Memories from 29 February come up on 28 February in other years.
+ */
+function memoriesOnThisDay(memories, today = new Date()) {
+    const key = localDateKey(today);
+    const year = Number(key.slice(0, 4));
+    const monthDay = key.slice(5);
+    const leapYear = new Date(year, 1, 29).getMonth() === 1;
+
+    return memories
+        .filter(memory => {
+            const memoryMonthDay = memory.date.slice(5);
+            const sameDay = memoryMonthDay === monthDay || (!leapYear && monthDay === '02-28' && memoryMonthDay === '02-29');
+            return sameDay && Number(memory.date.slice(0, 4)) < year;
+        })
+        .map(memory => ({ memory, yearsAgo: year - Number(memory.date.slice(0, 4)) }))
+        .sort((a, b) => a.yearsAgo - b.yearsAgo || a.memory.title.localeCompare(b.memory.title));
+}
+
+/**
+ * "1 year ago today", "3 years ago today"
+ */
+function formatYearsAgo(yearsAgo) {
+    return `${yearsAgo} ${yearsAgo === 1 ? 'year' : 'years'} ago today`;
+}
+
+/**
+ * Pick a memory at random. In 'forgotten' mode the chance grows with the square root of the days
+ * since it was last opened (or created, if never opened): long-unseen memories come up more often
+ * without crowding out everything else.
+ */
+function pickRandomMemory(memories, { mode = 'any', lastViewed = {}, now = new Date(), random = Math.random } = {}) {
+    if (memories.length === 0) return null;
+
+    const weights = memories.map(memory => {
+        if (mode !== 'forgotten') return 1;
+
+        const seen = new Date(lastViewed[memory.id] || memory.createdAt);
+        const days = isNaN(seen) ? 0 : Math.max(0, (now - seen) / 86400000);
+        return Math.sqrt(days) + 1;
+    });
+
+    let target = random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < memories.length; i++) {
+        target -= weights[i];
+        if (target < 0) return memories[i];
+    }
+    return memories[memories.length - 1];
+}
@@ -0,0 +1,229 @@
+/**
+ * Life Atlas - Search
+ * In-memory inverted index over memory titles and descriptions
+ */
+
+// Title matches count for more than description matches
+const SEARCH_FIELD_WEIGHTS = { title: 3, description: 1 };
+
+// Prefix matches score lower than whole-word matches
+const PREFIX_MATCH_FACTOR = 0.5;
+
+const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+
+/**
+ * Lowercase a string and strip diacritics so "Café" matches "cafe"
+ */
+function foldText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into folded search tokens
+ */
+function tokenize(text) {
+    return foldText(text || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Inverted index from tokens to the memories that contain them
+ */
+class SearchIndex {
+    constructor() {
+        // token -> Map(memoryId -> { title: count, description: count })
+        this.postings = new Map();
+        // memoryId -> Set of tokens, so a memory can be removed again
+        this.documents = new Map();
+        this.sortedTokens = null;
+    }
+
+    /**
+     * Replace the index contents with the given memories
+     */
+    rebuild(memories) {
+        this.postings.clear();
+        this.documents.clear();
+        this.sortedTokens = null;
+        memories.forEach(memory => this.add(memory));
+    }
+
+    /**
+     * Index a memory
+     */
+    add(memory) {
+        const tokens = new Set();
+
+        Object.keys(SEARCH_FIELD_WEIGHTS).forEach(field => {
+            tokenize(memory[field]).forEach(token => {
+                if (!this.postings.has(token)) {
+                    this.postings.set(token, new Map());
+                    this.sortedTokens = null;
+                }
+
+                const documents = this.postings.get(token);
+                const counts = documents.get(memory.id) || { title: 0, description: 0 };
+                counts[field]++;
+                documents.set(memory.id, counts);
+                tokens.add(token);
+            });
+        });
+
+        this.documents.set(memory.id, tokens);
+    }
+
+    /**
+     * Remove a memory from the index
+     */
+    remove(memoryId) {
+        const tokens = this.documents.get(memoryId);
+        if (!tokens) return;
+
+        tokens.forEach(token => {
+            const documents = this.postings.get(token);
+            documents.delete(memoryId);
+            if (documents.size === 0) {
+                this.postings.delete(token);
+                this.sortedTokens = null;
+            }
+        });
+
+        this.documents.delete(memoryId);
+    }
+
+    /**
+     * Re-index a memory after it was edited
+     */
+    update(memory) {
+        this.remove(memory.id);
+        this.add(memory);
+    }
+
+    /**
+     * Indexed tokens starting with the given prefix, found by binary search
+     */
+    tokensWithPrefix(prefix) {
+        if (!this.sortedTokens) {
+            this.sortedTokens = Array.from(this.postings.keys()).sort();
+        }
+
+        let low = 0;
+        let high = this.sortedTokens.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.sortedTokens[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const matches = [];
+        for (let i = low; i < this.sortedTokens.length && this.sortedTokens[i].startsWith(prefix); i++) {
+            matches.push(this.sortedTokens[i]);
+        }
+        return matches;
+    }
+
+    /**
+     * Find memories matching every term of the query, best matches first.
+     * Returns [{ id, score }].
+     */
+    search(query) {
+        const terms = tokenize(query);
+        if (terms.length === 0) return [];
+
+        const total = this.documents.size;
+        let scores = null;
+
+        terms.forEach(term => {
+            const termScores = new Map();
+
+            this.tokensWithPrefix(term).forEach(token => {
+                const documents = this.postings.get(token);
+                const idf = Math.log(1 + total / documents.size);
+                const factor = token === term ? 1 : PREFIX_MATCH_FACTOR;
+
+                documents.forEach((counts, id) => {
+                    const weight = counts.title * SEARCH_FIELD_WEIGHTS.title +
+                        counts.description * SEARCH_FIELD_WEIGHTS.description;
+                    const score = (1 + Math.log(weight)) * idf * factor;
+                    termScores.set(id, Math.max(termScores.get(id) || 0, score));
+                });
+            });
+
+            // Every term has to match
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, id) => {
+                    if (termScores.has(id)) combined.set(id, score + termScores.get(id));
+                });
+                scores = combined;
+            }
+        });
+
+        return Array.from(scores, ([id, score]) => ({ id, score }))
+            .sort((a, b) => b.score - a.score);
+    }
+}
+
+/**
+ * Split text into plain and highlighted segments for the query terms,
+ * trimmed to a snippet around the first match.
+ * Returns [{ text, highlight }].
+ */
+function highlightText(text, query, maxLength = Infinity) {
+    const terms = tokenize(query);
+
+    // Fold character by character, remembering where each folded character came from
+    let folded = '';
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+        const character = foldText(text[i]);
+        for (let j = 0; j < character.length; j++) offsets.push(i);
+        folded += character;
+    }
+    offsets.push(text.length);
+
+    const ranges = [];
+    terms.forEach(term => {
+        let index = folded.indexOf(term);
+        while (index !== -1) {
+            if (index === 0 || !WORD_CHARACTER.test(folded[index - 1])) {
+                ranges.push([offsets[index], offsets[index + term.length - 1] + 1]);
+            }
+            index = folded.indexOf(term, index + 1);
+        }
+    });
+
+    // Merge overlapping matches
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    ranges.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push(range.slice());
+    });
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > maxLength) {
+        const anchor = merged.length > 0 ? merged[0][0] : 0;
+        start = Math.max(0, Math.min(anchor - Math.floor(maxLength / 3), text.length - maxLength));
+        end = Math.min(text.length, start + maxLength);
+    }
+
+    const segments = [];
+    let position = start;
+    merged.filter(([from, to]) => to > start && from < end).forEach(([from, to]) => {
+        from = Math.max(from, start);
+        to = Math.min(to, end);
+        if (from > position) segments.push({ text: text.slice(position, from), highlight: false });
+        segments.push({ text: text.slice(from, to), highlight: true });
+        position = to;
+    });
+    if (position < end) segments.push({ text: text.slice(position, end), highlight: false });
+
+    if (start > 0) segments.unshift({ text: '…', highlight: false });
+    if (end < text.length) segments.push({ text: '…', highlight: false });
+
+    return segments;
+}
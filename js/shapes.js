@@ -0,0 +1,147 @@
+/**
+ * Life Atlas - Shapes
+ * Routes and areas as the geometry of a memory: a hike or a road trip as a line, a neighbourhood
+ * as an area. A memory's shape is { type: 'line' | 'area', points: [[lat, lng], ...] }, with
+ * areas left unclosed; point memories have none. The memory's lat and lng stay its anchor,
+ * where its pin goes: the start of a route, or the middle of an area.
+ */
+
+const SHAPE_TYPES = {
+    line: { label: 'Route', icon: '〰️', minPoints: 2 },
+    area: { label: 'Area', icon: '⬠', minPoints: 3 }
+};
+
+/**
+ * A valid shape from stored or imported data, or null when there isn't one.
+ * Longitudes are wrapped into range and repeated points dropped.
+ */
+function normalizeShape(shape) {
+    if (!shape || typeof shape !== 'object' || !SHAPE_TYPES[shape.type] || !Array.isArray(shape.points)) {
+        return null;
+    }
+
+    const points = [];
+    for (const point of shape.points) {
+        if (!Array.isArray(point)) return null;
+
+        const lat = Number(point[0]);
+        const lng = Number(point[1]);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90) return null;
+
+        const wrapped = lng < -180 || lng > 180 ? ((lng + 180) % 360 + 360) % 360 - 180 : lng;
+        const last = points[points.length - 1];
+        if (!last || last[0] !== lat || last[1] !== wrapped) {
+            points.push([lat, wrapped]);
+        }
+    }
+
+    // An area saved closed, as GeoJSON rings are, doesn't need its last point
+    if (shape.type === 'area' && points.length > 1 &&
+        points[0][0] === points[points.length - 1][0] && points[0][1] === points[points.length - 1][1]) {
+        points.pop();
+    }
+
+    return points.length >= SHAPE_TYPES[shape.type].minPoints ? { type: shape.type, points } : null;
+}
+
+/**
+ * Where a shape's pin goes: the start of a route, or the average of an area's corners
+ */
+function shapeAnchor(shape) {
+    if (shape.type === 'line') {
+        return { lat: shape.points[0][0], lng: shape.points[0][1] };
+    }
+
+    const sum = shape.points.reduce((total, [lat, lng]) => [total[0] + lat, total[1] + lng], [0, 0]);
+    return { lat: sum[0] / shape.points.length, lng: sum[1] / shape.points.length };
+}
+
+/**
+ * Length of a route, or the distance around an area, in kilometres
+ */
+function shapeLength(shape) {
+    const points = shape.type === 'area' ? shape.points.concat([shape.points[0]]) : shape.points;
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += haversineDistance(
+            { lat: points[i - 1][0], lng: points[i - 1][1] },
+            { lat: points[i][0], lng: points[i][1] });
+    }
+    return length;
+}
+
+/**
+ * Area enclosed by an area shape in square kilometres, on a spherical Earth; 0 for routes
+ */
+function shapeArea(shape) {
+    if (shape.type !== 'area') return 0;
+
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const points = shape.points;
+    let total = 0;
+    for (let i = 0; i < points.length; i++) {
+        const [lat1, lng1] = points[i];
+        const [lat2, lng2] = points[(i + 1) % points.length];
+        total += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+    }
+    return Math.abs(total * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2);
+}
+
+/**
+ * Human-readable area, e.g. "850 m²", "12.5 ha" or "1,204 km²"
+ */
+function formatArea(squareKm) {
+    if (squareKm < 0.01) return `${Math.round(squareKm * 1e6).toLocaleString()} m²`;
+    if (squareKm < 1) return `${(squareKm * 100).toLocaleString(undefined, { maximumFractionDigits: 1 })} ha`;
+    return `${squareKm.toLocaleString(undefined, { maximumFractionDigits: squareKm < 10 ? 1 : 0 })} km²`;
+}
+
+/**
+ * One line on a shape's size: "〰️ 12.4 km route" or "⬠ 35 ha area, 2.6 km around"
+ */
+function describeShape(shape) {
+    const { icon, label } = SHAPE_TYPES[shape.type];
+    const length = formatDistance(shapeLength(shape));
+    return shape.type === 'area' ?
+        `${icon} ${formatArea(shapeArea(shape))} ${label.toLowerCase()}, ${length} around` :
+        `${icon} ${length} ${label.toLowerCase()}`;
+}
+
+/**
+ * The shape moved by the given number of degrees, as when its pin is dragged
+ */
+function translateShape(shape, dLat, dLng) {
+    return normalizeShape({
+        type: shape.type,
+        points: shape.points.map(([lat, lng]) => [Math.min(90, Math.max(-90, lat + dLat)), lng + dLng])
+    });
+}
+
+/**
+ * A shape as a GeoJSON LineString or Polygon geometry
+ */
+function shapeToGeoJSON(shape) {
+    const coordinates = shape.points.map(([lat, lng]) => [lng, lat]);
+    return shape.type === 'area' ?
+        { type: 'Polygon', coordinates: [coordinates.concat([coordinates[0]])] } :
+        { type: 'LineString', coordinates };
+}
+
+/**
+ * A shape from a GeoJSON LineString or Polygon (its outer ring), or null for anything else
+ */
+function shapeFromGeoJSON(geometry) {
+    if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+
+    const toPoints = (coordinates) => Array.isArray(coordinates) ?
+        coordinates.map(position => Array.isArray(position) ? [position[1], position[0]] : null) :
+        [];
+
+    if (geometry.type === 'LineString') {
+        return normalizeShape({ type: 'line', points: toPoints(geometry.coordinates) });
+    }
+    if (geometry.type === 'Polygon') {
+        return normalizeShape({ type: 'area', points: toPoints(geometry.coordinates[0]) });
+    }
+    return null;
+}
@@ -0,0 +1,376 @@
+/**
+ * Life Atlas - Storage Layer
+ * Async persistence for memories with an IndexedDB backend and a localStorage fallback
+ */
+
+const SCHEMA_VERSION = 6;
+const LEGACY_STORAGE_KEY = 'lifeAtlasMemories';
+const DB_NAME = 'lifeAtlas';
+const DB_VERSION = 2;
+
+/**
+ * Record migrations, keyed by the schema version they upgrade a memory to
+ */
+const MEMORY_MIGRATIONS = {
+    // v1: records saved before schema versioning existed
+    1: (memory) => memory,
+    // v2: photo and audio attachments
+    2: (memory) => Object.assign({ attachments: [] }, memory),
+    // v3: tags and collections
+    3: (memory) => Object.assign({ tags: [], collections: [] }, memory),
+    // v4: place names from geocoding
+    4: (memory) => Object.assign({ place: null, placeName: '' }, memory),
+    // v5: revisions for sync
+    5: (memory) => Object.assign({ rev: 1, updatedAt: memory.createdAt }, memory),
+    // v6: routes and areas
+    6: (memory) => Object.assign({ shape: null }, memory)
+};
+
+/**
+ * Upgrade a memory record to the current schema version
+ */
+function migrateMemory(memory) {
+    let record = Object.assign({}, memory);
+    let version = record.schemaVersion || 0;
+
+    while (version < SCHEMA_VERSION) {
+        version++;
+        record = MEMORY_MIGRATIONS[version](record);
+        record.schemaVersion = version;
+    }
+
+    return record;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve once a transaction has been committed
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Read a Blob as a data: URL
+ */
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Convert a base64 data: URL back into a Blob
+ */
+function dataURLToBlob(dataURL) {
+    const [header, data] = dataURL.split(',');
+    const type = header.slice(5).split(';')[0];
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return new Blob([bytes], { type });
+}
+
+/**
+ * Shared behaviour for all storage backends.
+ * Subclasses implement readMemories(), writeMemories(), getMeta(), setMeta(), deleteMeta(), listMetaKeys()
+ * and the attachment methods putAttachment(), getAttachment(), deleteAttachment() and listAttachmentIds().
+ */
+class MemoryStorage {
+    /**
+     * Load all memories, upgrading and persisting any outdated records
+     */
+    async loadMemories() {
+        const records = await this.readMemories();
+        const memories = records.map(migrateMemory);
+        const outdated = records.some(record => record.schemaVersion !== SCHEMA_VERSION);
+
+        if (outdated) {
+            await this.writeMemories(memories);
+        }
+
+        return memories;
+    }
+
+    /**
+     * Persist the full list of memories, stamping each with the schema version
+     */
+    async saveMemories(memories) {
+        await this.writeMemories(memories.map(migrateMemory));
+    }
+}
+
+/**
+ * IndexedDB backend, one record per memory
+ */
+class IndexedDBStorage extends MemoryStorage {
+    constructor(dbName = DB_NAME) {
+        super();
+        this.name = 'indexeddb';
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    /**
+     * Open the database, creating object stores on first use
+     */
+    async open() {
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('memories')) {
+                db.createObjectStore('memories', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta', { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains('attachments')) {
+                db.createObjectStore('attachments', { keyPath: 'id' });
+            }
+        };
+
+        this.db = await promisifyRequest(request);
+        return this;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    async readMemories() {
+        const transaction = this.db.transaction('memories', 'readonly');
+        return promisifyRequest(transaction.objectStore('memories').getAll());
+    }
+
+    async writeMemories(memories) {
+        const transaction = this.db.transaction('memories', 'readwrite');
+        const store = transaction.objectStore('memories');
+
+        store.clear();
+        memories.forEach(memory => store.put(memory));
+
+        await transactionDone(transaction);
+    }
+
+    async getMeta(key) {
+        const transaction = this.db.transaction('meta', 'readonly');
+        const entry = await promisifyRequest(transaction.objectStore('meta').get(key));
+        return entry ? entry.value : undefined;
+    }
+
+    async setMeta(key, value) {
+        const transaction = this.db.transaction('meta', 'readwrite');
+        transaction.objectStore('meta').put({ key, value });
+        await transactionDone(transaction);
+    }
+
+    async deleteMeta(key) {
+        const transaction = this.db.transaction('meta', 'readwrite');
+        transaction.objectStore('meta').delete(key);
+        await transactionDone(transaction);
+    }
+
+    async listMetaKeys() {
+        const transaction = this.db.transaction('meta', 'readonly');
+        return promisifyRequest(transaction.objectStore('meta').getAllKeys());
+    }
+
+    async putAttachment(id, blob) {
+        const transaction = this.db.transaction('attachments', 'readwrite');
+        transaction.objectStore('attachments').put({ id, blob });
+        await transactionDone(transaction);
+    }
+
+    async getAttachment(id) {
+        const transaction = this.db.transaction('attachments', 'readonly');
+        const entry = await promisifyRequest(transaction.objectStore('attachments').get(id));
+        return entry ? entry.blob : null;
+    }
+
+    async deleteAttachment(id) {
+        const transaction = this.db.transaction('attachments', 'readwrite');
+        transaction.objectStore('attachments').delete(id);
+        await transactionDone(transaction);
+    }
+
+    async listAttachmentIds() {
+        const transaction = this.db.transaction('attachments', 'readonly');
+        return promisifyRequest(transaction.objectStore('attachments').getAllKeys());
+    }
+
+    /**
+     * Move memories saved by older versions from localStorage into IndexedDB
+     */
+    async migrateFromLocalStorage() {
+        const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+        if (legacy === null || await this.getMeta('legacyMigrated')) {
+            return 0;
+        }
+
+        const memories = JSON.parse(legacy) || [];
+        await this.saveMemories(memories);
+        await this.setMeta('legacyMigrated', new Date().toISOString());
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+
+        return memories.length;
+    }
+}
+
+/**
+ * localStorage backend for browsers without IndexedDB
+ */
+class LocalStorageStorage extends MemoryStorage {
+    constructor(key = LEGACY_STORAGE_KEY) {
+        super();
+        this.name = 'localstorage';
+        this.key = key;
+    }
+
+    async open() {
+        return this;
+    }
+
+    close() {}
+
+    async readMemories() {
+        return JSON.parse(localStorage.getItem(this.key)) || [];
+    }
+
+    async writeMemories(memories) {
+        localStorage.setItem(this.key, JSON.stringify(memories));
+    }
+
+    async getMeta(key) {
+        const value = localStorage.getItem(`${this.key}:meta:${key}`);
+        return value === null ? undefined : JSON.parse(value);
+    }
+
+    async setMeta(key, value) {
+        localStorage.setItem(`${this.key}:meta:${key}`, JSON.stringify(value));
+    }
+
+    async deleteMeta(key) {
+        localStorage.removeItem(`${this.key}:meta:${key}`);
+    }
+
+    async listMetaKeys() {
+        const prefix = `${this.key}:meta:`;
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith(prefix))
+            .map(key => key.slice(prefix.length));
+    }
+
+    /**
+     * localStorage only holds strings, so attachments are kept as data: URLs
+     */
+    async putAttachment(id, blob) {
+        localStorage.setItem(`${this.key}:attachment:${id}`, await blobToDataURL(blob));
+    }
+
+    async getAttachment(id) {
+        const dataURL = localStorage.getItem(`${this.key}:attachment:${id}`);
+        return dataURL === null ? null : dataURLToBlob(dataURL);
+    }
+
+    async deleteAttachment(id) {
+        localStorage.removeItem(`${this.key}:attachment:${id}`);
+    }
+
+    async listAttachmentIds() {
+        const prefix = `${this.key}:attachment:`;
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith(prefix))
+            .map(key => key.slice(prefix.length));
+    }
+}
+
+/**
+ * The IndexedDB database holding an atlas; the default atlas keeps the original name
+ */
+function atlasDatabaseName(atlasId) {
+    return atlasId === DEFAULT_ATLAS_ID ? DB_NAME : `${DB_NAME}-${atlasId}`;
+}
+
+/**
+ * The localStorage key holding an atlas when IndexedDB is unavailable
+ */
+function atlasStorageKey(atlasId) {
+    return atlasId === DEFAULT_ATLAS_ID ? LEGACY_STORAGE_KEY : `${LEGACY_STORAGE_KEY}-${atlasId}`;
+}
+
+/**
+ * Create the best available storage backend for an atlas.
+ * Falls back to localStorage when IndexedDB is missing or cannot be opened
+ * (e.g. some private browsing modes).
+ */
+async function createStorage(atlasId = DEFAULT_ATLAS_ID) {
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            const storage = await new IndexedDBStorage(atlasDatabaseName(atlasId)).open();
+            // Memories from before IndexedDB belong to the default atlas
+            if (atlasId === DEFAULT_ATLAS_ID) {
+                await storage.migrateFromLocalStorage();
+            }
+            return storage;
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+
+    return new LocalStorageStorage(atlasStorageKey(atlasId)).open();
+}
+
+/**
+ * Delete everything stored for an atlas, in whichever backend holds it.
+ * Its storage must be closed first.
+ */
+async function deleteStorage(atlasId) {
+    if (typeof indexedDB !== 'undefined') {
+        await promisifyRequest(indexedDB.deleteDatabase(atlasDatabaseName(atlasId)));
+    }
+
+    const key = atlasStorageKey(atlasId);
+    Object.keys(localStorage)
+        .filter(name => name === key || name.startsWith(`${key}:`))
+        .forEach(name => localStorage.removeItem(name));
+}
+
+/**
+ * Copy one backend into another exactly as stored, so an encrypted atlas stays encrypted
+ * under the same passphrase
+ */
+async function copyStorage(source, target) {
+    await target.writeMemories(await source.readMemories());
+
+    for (const key of await source.listMetaKeys()) {
+        await target.setMeta(key, await source.getMeta(key));
+    }
+
+    for (const id of await source.listAttachmentIds()) {
+        await target.putAttachment(id, await source.getAttachment(id));
+    }
+}
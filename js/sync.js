@@ -0,0 +1,266 @@
+/**
+ * Life Atlas - Sync
+ * Opt-in sync of an atlas with a server you host yourself (see server/sync-server.js).
+ *
+ * Every memory carries a rev, raised on each change, and the time of that change as updatedAt.
+ * The device remembers the rev the server last had for each memory, so it can tell what
+ * changed on either side since. The server speaks:
+ *   GET  <url>/changes?since=<cursor> -> { cursor, more, changes: [change] }
+ *   POST <url>/changes { changes }    -> { accepted: [{ id, rev }], conflicts: [{ id, server }] }
+ * where a change is { id, rev, baseRev, updatedAt, deleted, memory }. Deleted memories travel
+ * as tombstones: deleted is true and memory is null.
+ */
+
+// Meta key holding { url, token, cursor, lastSyncedAt, records }, where records maps
+// memory id -> { rev, deleted } as the server last had it
+const SYNC_STATE_KEY = 'sync';
+
+const SYNC_TIMEOUT_MS = 15000;
+
+// Local edits are sent this long after the last one, and everything is checked this often
+const SYNC_DELAY_MS = 5000;
+const SYNC_INTERVAL_MS = 5 * 60000;
+
+// Changes sent per request
+const SYNC_BATCH_SIZE = 200;
+
+// Fields that change with every save and don't count as an edit
+const SYNC_BOOKKEEPING_FIELDS = ['rev', 'updatedAt', 'schemaVersion'];
+
+/**
+ * Sync state for an atlas that has never synced
+ */
+function emptySyncState() {
+    return { url: '', token: '', cursor: 0, lastSyncedAt: null, records: {} };
+}
+
+/**
+ * A changed memory with its rev raised past the version it replaces, and updatedAt set to now
+ */
+function stampRevision(memory, previous = null) {
+    return Object.assign({}, memory, {
+        rev: Math.max(memory.rev || 0, previous ? previous.rev || 0 : 0) + 1,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * JSON with object keys sorted, so equal values always serialise the same way
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Whether two versions of a memory hold the same content, whatever their revs
+ */
+function sameMemoryContent(a, b) {
+    const content = (memory) => {
+        const copy = Object.assign({}, memory);
+        SYNC_BOOKKEEPING_FIELDS.forEach(field => delete copy[field]);
+        return canonicalJson(copy);
+    };
+    return content(a) === content(b);
+}
+
+/**
+ * Local changes the server hasn't seen yet: new, edited and restored memories,
+ * and tombstones for deleted ones
+ */
+function pendingSyncChanges(memories, records) {
+    const changes = [];
+    const present = new Set();
+
+    memories.forEach(memory => {
+        present.add(String(memory.id));
+        const known = records[memory.id];
+        if (known && !known.deleted && known.rev === memory.rev) return;
+
+        // The server only takes a rev above the one it has
+        const baseRev = known ? known.rev : 0;
+        const rev = Math.max(memory.rev || 0, baseRev + 1);
+        changes.push({
+            id: memory.id,
+            rev,
+            baseRev,
+            updatedAt: memory.updatedAt || memory.createdAt,
+            deleted: false,
+            memory: Object.assign({}, memory, { rev })
+        });
+    });
+
+    Object.keys(records).forEach(id => {
+        const known = records[id];
+        if (present.has(id) || known.deleted) return;
+
+        changes.push({
+            id: Number(id),
+            rev: known.rev + 1,
+            baseRev: known.rev,
+            updatedAt: new Date().toISOString(),
+            deleted: true,
+            memory: null
+        });
+    });
+
+    return changes;
+}
+
+/**
+ * Sort changes pulled from the server against the local ones.
+ * Returns { apply, conflicts, records }: apply lists { id, memory } to take over (memory null
+ * to delete), conflicts lists { id, mine, theirs, server } where both sides changed a memory
+ * differently, and records is the updated record of what the server has.
+ */
+function mergeRemoteChanges(memories, records, remote) {
+    const local = new Map(memories.map(memory => [memory.id, memory]));
+    const pending = new Map(pendingSyncChanges(memories, records).map(change => [change.id, change]));
+    const updated = Object.assign({}, records);
+    const apply = [];
+    const conflicts = [];
+
+    remote.forEach(change => {
+        const known = updated[change.id];
+        // Already seen, e.g. this device's own changes coming back
+        if (known && known.rev >= change.rev) return;
+
+        // A memory another device got wrong is left alone rather than taken over half-broken
+        const theirs = change.deleted ? null : validateMemory(change.memory).memory;
+        if (!change.deleted && !theirs) {
+            console.warn(`Skipping invalid memory ${change.id} from the sync server`);
+            return;
+        }
+
+        const mine = pending.get(change.id);
+        const same = mine && (mine.deleted ? change.deleted : !change.deleted && sameMemoryContent(mine.memory, theirs));
+
+        if (mine && !same) {
+            conflicts.push({ id: change.id, mine: mine.memory, theirs, server: { rev: change.rev, deleted: change.deleted } });
+            return;
+        }
+
+        updated[change.id] = { rev: change.rev, deleted: change.deleted };
+        if (theirs || local.has(change.id)) {
+            apply.push({ id: change.id, memory: theirs });
+        }
+    });
+
+    return { apply, conflicts, records: updated };
+}
+
+/**
+ * Record the changes the server accepted. Returns { memories, records }, with the memories
+ * that went up under a higher rev than they had locally brought up to it, unless they
+ * have changed again since.
+ */
+function settlePushedChanges(memories, records, sent, accepted) {
+    const updated = Object.assign({}, records);
+    const revs = new Map();
+
+    accepted.forEach(({ id, rev }) => {
+        const change = sent.find(c => c.id === id);
+        if (!change) return;
+
+        updated[id] = { rev, deleted: change.deleted };
+        if (!change.deleted) {
+            revs.set(id, { rev, updatedAt: change.memory.updatedAt });
+        }
+    });
+
+    return {
+        records: updated,
+        memories: memories.map(memory => {
+            const pushed = revs.get(memory.id);
+            return pushed && memory.updatedAt === pushed.updatedAt && memory.rev !== pushed.rev ?
+                Object.assign({}, memory, { rev: pushed.rev }) :
+                memory;
+        })
+    };
+}
+
+/**
+ * Client for a sync server at a URL such as https://example.com/atlases/personal
+ */
+class SyncClient {
+    constructor({ url, token = '', timeout = SYNC_TIMEOUT_MS }) {
+        this.url = url.replace(/\/+$/, '');
+        this.token = token;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Call the changes endpoint, giving up after the timeout
+     */
+    async request(method, params = null, body = null) {
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = controller && setTimeout(() => controller.abort(), this.timeout);
+
+        const headers = { 'Accept': 'application/json' };
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (this.token) {
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+
+        try {
+            const response = await fetch(`${this.url}/changes${params ? `?${new URLSearchParams(params)}` : ''}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                signal: controller ? controller.signal : undefined
+            });
+            if (response.status === 401) {
+                throw new Error('The sync server did not accept the access token');
+            }
+            if (!response.ok) {
+                throw new Error(`Sync server returned HTTP ${response.status}`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Every change after the cursor, page by page. Returns { cursor, changes }.
+     */
+    async pull(since) {
+        const changes = [];
+        let cursor = since;
+
+        for (;;) {
+            const page = await this.request('GET', { since: cursor });
+            changes.push(...(page.changes || []));
+            cursor = page.cursor;
+            if (!page.more) break;
+        }
+
+        return { cursor, changes };
+    }
+
+    /**
+     * Send local changes in batches. Returns { accepted, conflicts }.
+     */
+    async push(changes) {
+        const accepted = [];
+        const conflicts = [];
+
+        for (let i = 0; i < changes.length; i += SYNC_BATCH_SIZE) {
+            const result = await this.request('POST', null, { changes: changes.slice(i, i + SYNC_BATCH_SIZE) });
+            accepted.push(...(result.accepted || []));
+            conflicts.push(...(result.conflicts || []));
+        }
+
+        return { accepted, conflicts };
+    }
+}
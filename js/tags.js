@@ -0,0 +1,79 @@
+/**
+ * Life Atlas - Tags & Collections
+ * Free-form tags and named collections (trips, places, people) that group memories
+ */
+
+/**
+ * Clean up a tag: no leading '#', no commas, single spaces
+ */
+function normalizeTag(tag) {
+    return String(tag).replace(/^#+/, '').replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Clean up a collection name; '|' is reserved as a separator in KML exports
+ */
+function normalizeCollection(name) {
+    return String(name).replace(/\|/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalise a list of labels, dropping blanks and case-insensitive duplicates.
+ * Accepts an array or a string split on the given separator.
+ */
+function normalizeLabels(labels, normalize, separator = ',') {
+    const list = Array.isArray(labels) ? labels : String(labels || '').split(separator);
+    const seen = new Set();
+
+    return list.map(normalize).filter(label => {
+        const key = label.toLowerCase();
+        if (!label || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * All tags and collections in use, most used first.
+ * Names that differ only in case count as one, shown in their most used spelling.
+ * Returns { tags: [{ name, count }], collections: [{ name, count }] }.
+ */
+function collectLabels(memories) {
+    const count = (field) => {
+        // lowercased name -> { count, spellings: Map(name -> count) }
+        const groups = new Map();
+        memories.forEach(memory => {
+            (memory[field] || []).forEach(name => {
+                const key = name.toLowerCase();
+                const group = groups.get(key) || { count: 0, spellings: new Map() };
+                group.count++;
+                group.spellings.set(name, (group.spellings.get(name) || 0) + 1);
+                groups.set(key, group);
+            });
+        });
+        return Array.from(groups.values(), group => {
+            const [name] = Array.from(group.spellings)
+                .reduce((best, spelling) => spelling[1] > best[1] ? spelling : best);
+            return { name, count: group.count };
+        }).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    };
+
+    return { tags: count('tags'), collections: count('collections') };
+}
+
+/**
+ * Whether a memory carries the selected labels.
+ * labels are 'tag:<name>' or 'collection:<name>' keys; mode 'any' is OR, 'all' is AND.
+ * Names match ignoring case, as normalizeLabels() treats them.
+ */
+function matchesLabels(memory, labels, mode = 'any') {
+    if (labels.length === 0) return true;
+
+    const own = new Set([
+        ...(memory.tags || []).map(tag => `tag:${tag}`),
+        ...(memory.collections || []).map(name => `collection:${name}`)
+    ].map(label => label.toLowerCase()));
+    const has = label => own.has(label.toLowerCase());
+
+    return mode === 'all' ? labels.every(has) : labels.some(has);
+}
@@ -0,0 +1,74 @@
+/**
+ * Life Atlas - Timeline
+ * Month buckets and chronological ordering for the timeline bar and journey playback
+ */
+
+// Delay between memories during timeline playback
+const TIMELINE_STEP_MS = 1500;
+
+/**
+ * The YYYY-MM month a memory date falls in
+ */
+function monthKey(date) {
+    return date.slice(0, 7);
+}
+
+/**
+ * Step a YYYY-MM key forward by one month
+ */
+function nextMonthKey(key) {
+    let [year, month] = key.split('-').map(Number);
+    month++;
+    if (month > 12) {
+        month = 1;
+        year++;
+    }
+    return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * First and last YYYY-MM-DD dates of a month, for date range comparisons
+ */
+function monthBounds(key) {
+    return { from: `${key}-01`, to: `${key}-31` };
+}
+
+/**
+ * Human-readable label for a YYYY-MM key, e.g. "Mar 2024"
+ */
+function monthLabel(key) {
+    const [year, month] = key.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+}
+
+/**
+ * Count memories per month, including empty months between the first and last.
+ * Returns [{ key, count }] in chronological order.
+ */
+function buildMonthHistogram(memories) {
+    if (memories.length === 0) return [];
+
+    const counts = {};
+    memories.forEach(memory => {
+        const key = monthKey(memory.date);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+
+    const keys = Object.keys(counts).sort();
+    const last = keys[keys.length - 1];
+    const buckets = [];
+
+    for (let key = keys[0]; key <= last; key = nextMonthKey(key)) {
+        buckets.push({ key, count: counts[key] || 0 });
+    }
+
+    return buckets;
+}
+
+/**
+ * Memories ordered by date, then by when they were created
+ */
+function sortChronologically(memories) {
+    return memories.slice().sort((a, b) =>
+        a.date.localeCompare(b.date) || String(a.createdAt).localeCompare(String(b.createdAt)));
+}
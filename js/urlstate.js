@@ -0,0 +1,106 @@
+/**
+ * Life Atlas - URL State
+ * The map view, filters and open memory or panel as a location hash, so they can be
+ * bookmarked and shared, e.g. #/memory/1700000000000 or #@48.8566,2.3522,12&mood=😊&from=2023-01-01
+ */
+
+// Panels with their own address, so the browser's Back button closes them
+const URL_PANELS = ['insights', 'trash', 'offline', 'privacy', 'onthisday', 'atlases', 'moods'];
+
+// Decimal places kept for coordinates (about a metre)
+const URL_COORDINATE_PRECISION = 5;
+
+// Filter criteria and the URL parameters that carry them
+const URL_FILTER_PARAMS = {
+    query: 'q',
+    mood: 'mood',
+    dateFrom: 'from',
+    dateTo: 'to',
+    country: 'country',
+    city: 'city'
+};
+
+/**
+ * Filters with nothing selected
+ */
+function emptyUrlFilters() {
+    const filters = { labels: [], labelMode: 'any' };
+    Object.keys(URL_FILTER_PARAMS).forEach(key => {
+        filters[key] = '';
+    });
+    return filters;
+}
+
+/**
+ * Read { memoryId, panel, view, filters } from a location hash.
+ * Anything missing or malformed comes back empty rather than failing.
+ */
+function parseUrlState(hash) {
+    const text = (hash || '').replace(/^#/, '');
+    const split = text.indexOf('&');
+    let head = split === -1 ? text : text.slice(0, split);
+    let query = split === -1 ? '' : text.slice(split + 1);
+
+    // A hash of only parameters, e.g. #mood=😊
+    if (head.includes('=')) {
+        query = text;
+        head = '';
+    }
+
+    const state = { memoryId: null, panel: null, view: null, filters: emptyUrlFilters() };
+
+    const memory = head.match(/^\/memory\/(\d+)$/);
+    const panel = head.match(/^\/([a-z]+)$/);
+    const view = head.match(/^@(-?[\d.]+),(-?[\d.]+),(\d+(?:\.\d+)?)$/);
+
+    if (memory) {
+        state.memoryId = Number(memory[1]);
+    } else if (panel && URL_PANELS.includes(panel[1])) {
+        state.panel = panel[1];
+    } else if (view) {
+        const [lat, lng, zoom] = view.slice(1).map(Number);
+        if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+            state.view = { lat, lng, zoom };
+        }
+    }
+
+    const params = new URLSearchParams(query);
+    Object.keys(URL_FILTER_PARAMS).forEach(key => {
+        state.filters[key] = params.get(URL_FILTER_PARAMS[key]) || '';
+    });
+    state.filters.labels = params.getAll('tag').map(name => `tag:${name}`)
+        .concat(params.getAll('collection').map(name => `collection:${name}`));
+    state.filters.labelMode = params.get('match') === 'all' ? 'all' : 'any';
+
+    return state;
+}
+
+/**
+ * Build a location hash from { memoryId, panel, view, filters }.
+ * An open memory or panel takes the place of the map view.
+ */
+function buildUrlState({ memoryId = null, panel = null, view = null, filters = {} }) {
+    let head = '';
+    if (memoryId) {
+        head = `/memory/${memoryId}`;
+    } else if (panel) {
+        head = `/${panel}`;
+    } else if (view) {
+        const round = (value) => Number(value.toFixed(URL_COORDINATE_PRECISION));
+        head = `@${round(view.lat)},${round(view.lng)},${view.zoom}`;
+    }
+
+    const params = new URLSearchParams();
+    Object.keys(URL_FILTER_PARAMS).forEach(key => {
+        if (filters[key]) params.set(URL_FILTER_PARAMS[key], filters[key]);
+    });
+    (filters.labels || []).forEach(value => {
+        const [kind, ...name] = value.split(':');
+        params.append(kind, name.join(':'));
+    });
+    if (filters.labelMode === 'all' && (filters.labels || []).length > 0) {
+        params.set('match', 'all');
+    }
+
+    return '#' + [head, params.toString()].filter(Boolean).join('&');
+}
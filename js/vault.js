@@ -0,0 +1,381 @@
+/**
+ * Life Atlas - Encryption Vault
+ * Optional passphrase encryption of everything stored on the device, using WebCrypto
+ * (PBKDF2 key derivation and AES-GCM)
+ */
+
+// Plaintext meta key holding { salt, iterations, check, autoLockMinutes } while encryption is on
+const VAULT_CONFIG_KEY = 'vault';
+
+// Meta key holding the encrypted list of memories
+const VAULT_MEMORIES_KEY = 'vaultMemories';
+
+// Plaintext meta key holding the new config while a passphrase change is being committed
+const VAULT_PENDING_KEY = 'vaultPending';
+
+// Prefix of meta keys and attachment ids re-encrypted under a new passphrase but not yet committed
+const VAULT_STAGED_PREFIX = 'vaultStaged:';
+
+// Meta entries that are never encrypted
+const PLAINTEXT_META_KEYS = [VAULT_CONFIG_KEY, VAULT_MEMORIES_KEY, VAULT_PENDING_KEY, 'legacyMigrated'];
+
+const PBKDF2_ITERATIONS = 310000;
+const DEFAULT_AUTO_LOCK_MINUTES = 5;
+const AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 60, 0];
+
+const ENCRYPTED_EXPORT_FORMAT = 'life-atlas-encrypted';
+const ENCRYPTED_EXPORT_VERSION = 1;
+
+// Known plaintext encrypted alongside the data, so a wrong passphrase is caught before anything is read
+const VAULT_CHECK_TEXT = 'life-atlas';
+
+// Marks attachment blobs as encrypted, so plain ones written before encryption still load
+const ENCRYPTED_BLOB_MAGIC = [0x4c, 0x41, 0x56, 0x31]; // "LAV1"
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encode bytes as base64
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Derive a non-extractable AES-GCM key from a passphrase
+ */
+async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', textEncoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt bytes; returns { iv, data } as raw bytes
+ */
+async function encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+    return { iv, data };
+}
+
+/**
+ * Decrypt bytes; rejects when the key is wrong or the data was tampered with
+ */
+async function decryptBytes(key, iv, data) {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data));
+}
+
+/**
+ * Encrypt any JSON-serialisable value into a { vault, iv, data } envelope
+ */
+async function encryptJSON(key, value) {
+    const { iv, data } = await encryptBytes(key, textEncoder.encode(JSON.stringify(value)));
+    return { vault: 1, iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+/**
+ * Decrypt an envelope made by encryptJSON()
+ */
+async function decryptJSON(key, envelope) {
+    const bytes = await decryptBytes(key, base64ToBytes(envelope.iv), base64ToBytes(envelope.data));
+    return JSON.parse(textDecoder.decode(bytes));
+}
+
+/**
+ * Whether a stored value is an encrypted envelope
+ */
+function isEnvelope(value) {
+    return Boolean(value && value.vault === 1 && typeof value.iv === 'string' && typeof value.data === 'string');
+}
+
+/**
+ * Set up a new vault for a passphrase. Returns { config, key }; config is stored in plaintext.
+ */
+async function createVault(passphrase, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt);
+
+    return {
+        key,
+        config: {
+            salt: bytesToBase64(salt),
+            iterations: PBKDF2_ITERATIONS,
+            check: await encryptJSON(key, VAULT_CHECK_TEXT),
+            autoLockMinutes
+        }
+    };
+}
+
+/**
+ * Derive the key for a vault, rejecting with 'Wrong passphrase' when it does not match
+ */
+async function unlockVault(config, passphrase) {
+    const key = await deriveKey(passphrase, base64ToBytes(config.salt), config.iterations);
+
+    try {
+        if (await decryptJSON(key, config.check) === VAULT_CHECK_TEXT) {
+            return key;
+        }
+    } catch (error) {
+        // AES-GCM authentication failed: wrong key
+    }
+    throw new Error('Wrong passphrase');
+}
+
+/**
+ * Wrap exported file contents so they can only be read with the passphrase
+ */
+async function encryptExport(key, config, text) {
+    const { iv, data } = await encryptBytes(key, textEncoder.encode(text));
+
+    return JSON.stringify({
+        format: ENCRYPTED_EXPORT_FORMAT,
+        version: ENCRYPTED_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        salt: config.salt,
+        iterations: config.iterations,
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(data)
+    });
+}
+
+/**
+ * Whether file contents are an encrypted export
+ */
+function isEncryptedExport(text) {
+    if (!text.trimStart().startsWith('{')) return false;
+
+    try {
+        return JSON.parse(text).format === ENCRYPTED_EXPORT_FORMAT;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Recover the original file contents of an encrypted export
+ */
+async function decryptExport(text, passphrase) {
+    const file = JSON.parse(text);
+    if (file.version > ENCRYPTED_EXPORT_VERSION) {
+        throw new Error(`Unsupported encrypted export version: ${file.version}`);
+    }
+
+    const key = await deriveKey(passphrase, base64ToBytes(file.salt), file.iterations);
+
+    try {
+        return textDecoder.decode(await decryptBytes(key, base64ToBytes(file.iv), base64ToBytes(file.data)));
+    } catch (error) {
+        throw new Error('Wrong passphrase');
+    }
+}
+
+/**
+ * Storage that encrypts memories, meta values and attachments before handing them
+ * to another backend. Values written before encryption was turned on are still read.
+ */
+class EncryptedStorage extends MemoryStorage {
+    constructor(backend, key) {
+        super();
+        this.name = backend.name;
+        this.backend = backend;
+        this.key = key;
+    }
+
+    async readMemories() {
+        const envelope = await this.backend.getMeta(VAULT_MEMORIES_KEY);
+        return isEnvelope(envelope) ? decryptJSON(this.key, envelope) : this.backend.readMemories();
+    }
+
+    async writeMemories(memories) {
+        await this.backend.setMeta(VAULT_MEMORIES_KEY, await encryptJSON(this.key, memories));
+        await this.backend.writeMemories([]);
+    }
+
+    async getMeta(key) {
+        const value = await this.backend.getMeta(key);
+        return isEnvelope(value) ? decryptJSON(this.key, value) : value;
+    }
+
+    async setMeta(key, value) {
+        const stored = PLAINTEXT_META_KEYS.includes(key) || value === undefined ?
+            value :
+            await encryptJSON(this.key, value);
+        await this.backend.setMeta(key, stored);
+    }
+
+    async listMetaKeys() {
+        return (await this.backend.listMetaKeys()).filter(key => !isStaged(key));
+    }
+
+    /**
+     * Attachments are stored as magic bytes, IV, then the encrypted MIME type and contents
+     */
+    async putAttachment(id, blob) {
+        const type = textEncoder.encode(blob.type || '');
+        const plain = new Uint8Array(2 + type.length + blob.size);
+        plain.set([type.length >> 8, type.length & 0xff]);
+        plain.set(type, 2);
+        plain.set(new Uint8Array(await blob.arrayBuffer()), 2 + type.length);
+
+        const { iv, data } = await encryptBytes(this.key, plain);
+        await this.backend.putAttachment(id, new Blob([new Uint8Array(ENCRYPTED_BLOB_MAGIC), iv, data], { type: 'application/octet-stream' }));
+    }
+
+    async getAttachment(id) {
+        const stored = await this.backend.getAttachment(id);
+        if (!stored) return null;
+
+        const bytes = new Uint8Array(await stored.arrayBuffer());
+        if (!ENCRYPTED_BLOB_MAGIC.every((byte, i) => bytes[i] === byte)) {
+            return stored;
+        }
+
+        const plain = await decryptBytes(this.key, bytes.subarray(4, 16), bytes.subarray(16));
+        const typeLength = (plain[0] << 8) | plain[1];
+        const type = textDecoder.decode(plain.subarray(2, 2 + typeLength));
+        return new Blob([plain.subarray(2 + typeLength)], { type });
+    }
+
+    async deleteAttachment(id) {
+        return this.backend.deleteAttachment(id);
+    }
+
+    async listAttachmentIds() {
+        return (await this.backend.listAttachmentIds()).filter(id => !isStaged(id));
+    }
+}
+
+/**
+ * Whether a meta key or attachment id belongs to an uncommitted passphrase change
+ */
+function isStaged(name) {
+    return typeof name === 'string' && name.startsWith(VAULT_STAGED_PREFIX);
+}
+
+/**
+ * Backend view that writes meta values and attachments under staged names, leaving the
+ * live ones untouched until the change is committed
+ */
+class StagedBackend {
+    constructor(backend) {
+        this.name = backend.name;
+        this.backend = backend;
+    }
+
+    async writeMemories() {
+        // Encrypted memories live in meta, so the plain store stays as it is
+    }
+
+    async setMeta(key, value) {
+        await this.backend.setMeta(VAULT_STAGED_PREFIX + key, value);
+    }
+
+    async putAttachment(id, blob) {
+        await this.backend.putAttachment(VAULT_STAGED_PREFIX + id, blob);
+    }
+}
+
+/**
+ * Delete everything staged by an unfinished passphrase change
+ */
+async function discardStaged(backend) {
+    for (const key of await backend.listMetaKeys()) {
+        if (isStaged(key)) await backend.deleteMeta(key);
+    }
+    for (const id of await backend.listAttachmentIds()) {
+        if (isStaged(id)) await backend.deleteAttachment(id);
+    }
+}
+
+/**
+ * Finish or roll back an interrupted switch to a new vault. Once the pending config is written
+ * the staged values are moved over the live ones, which is safe to repeat after a crash;
+ * without it they are thrown away and everything opens as before.
+ */
+async function settleVault(backend) {
+    const pending = await backend.getMeta(VAULT_PENDING_KEY);
+
+    if (pending) {
+        for (const key of await backend.listMetaKeys()) {
+            if (isStaged(key)) {
+                await backend.setMeta(key.slice(VAULT_STAGED_PREFIX.length), await backend.getMeta(key));
+            }
+        }
+        for (const id of await backend.listAttachmentIds()) {
+            if (isStaged(id)) {
+                await backend.putAttachment(id.slice(VAULT_STAGED_PREFIX.length), await backend.getAttachment(id));
+            }
+        }
+        await backend.writeMemories([]);
+        await backend.setMeta(VAULT_CONFIG_KEY, pending);
+        await backend.deleteMeta(VAULT_PENDING_KEY);
+    }
+
+    await discardStaged(backend);
+}
+
+/**
+ * Encrypt everything under a new vault, from plain storage or under another passphrase.
+ * The new copies are staged first and only replace the old ones once all of them are written,
+ * so a failure part way leaves the atlas as it was.
+ */
+async function encryptStorage(source, backend, vault) {
+    await settleVault(backend);
+
+    try {
+        await transferStorage(source, new EncryptedStorage(new StagedBackend(backend), vault.key));
+    } catch (error) {
+        await discardStaged(backend);
+        throw error;
+    }
+
+    // The commit point: from here on settleVault() completes the change
+    await backend.setMeta(VAULT_PENDING_KEY, vault.config);
+    await settleVault(backend);
+}
+
+/**
+ * Copy everything from one storage view to another over the same backend,
+ * e.g. plain to encrypted when turning encryption on, or between two passphrases
+ */
+async function transferStorage(source, target) {
+    await target.writeMemories(await source.readMemories());
+
+    for (const key of await source.listMetaKeys()) {
+        if (PLAINTEXT_META_KEYS.includes(key) || isStaged(key)) continue;
+        await target.setMeta(key, await source.getMeta(key));
+    }
+
+    for (const id of await source.listAttachmentIds()) {
+        if (isStaged(id)) continue;
+        const blob = await source.getAttachment(id);
+        if (blob) {
+            await target.putAttachment(id, blob);
+        }
+    }
+}
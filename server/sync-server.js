@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+/**
+ * Life Atlas - Sync Server
+ * A minimal reference server for syncing atlases between devices. It keeps each atlas as a
+ * JSON file of its latest memory records and tombstones, numbered in the order they arrived,
+ * and refuses changes made to a revision other than the one it has, so no edit is lost.
+ *
+ *   GET  /atlases/<name>/changes?since=<cursor> -> { cursor, more, changes }
+ *   POST /atlases/<name>/changes { changes }    -> { accepted, conflicts }
+ *
+ * Settings come from the environment:
+ *   PORT            port to listen on (default 8787)
+ *   SYNC_DATA_DIR   where atlas files are kept (default server/data)
+ *   SYNC_TOKEN      if set, requests need "Authorization: Bearer <token>"
+ *   SYNC_ORIGIN     origin allowed to call the server from a browser (default *)
+ *
+ * Put it behind HTTPS (e.g. a reverse proxy) when it is reachable beyond your own machine.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = process.env.SYNC_DATA_DIR || path.join(__dirname, 'data');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const ORIGIN = process.env.SYNC_ORIGIN || '*';
+
+// Largest request body accepted, and most changes returned per pull
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const PAGE_SIZE = 500;
+
+const ATLAS_ROUTE = /^\/atlases\/([a-z0-9][a-z0-9_-]{0,63})\/changes$/i;
+
+/**
+ * An error answered with its HTTP status
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Open atlases: name -> { seq, records: { id: { id, rev, seq, updatedAt, deleted, memory } } }
+const stores = new Map();
+
+/**
+ * The stored atlas, read from disk on first use
+ */
+function loadStore(name) {
+    if (!stores.has(name)) {
+        const file = path.join(DATA_DIR, `${name}.json`);
+        stores.set(name, fs.existsSync(file) ?
+            JSON.parse(fs.readFileSync(file, 'utf8')) :
+            { seq: 0, records: {} });
+    }
+    return stores.get(name);
+}
+
+/**
+ * Write an atlas to disk; the rename keeps the old file intact if writing fails halfway
+ */
+function saveStore(name, store) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const file = path.join(DATA_DIR, `${name}.json`);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(store));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Check the shape of an incoming change
+ */
+function validateChange(change) {
+    const valid = change && typeof change === 'object' &&
+        Number.isFinite(change.id) &&
+        Number.isInteger(change.rev) && Number.isInteger(change.baseRev) &&
+        change.baseRev >= 0 && change.rev > change.baseRev &&
+        typeof change.updatedAt === 'string' &&
+        typeof change.deleted === 'boolean' &&
+        (change.deleted ?
+            change.memory === null :
+            Boolean(change.memory) && typeof change.memory === 'object' && change.memory.id === change.id);
+
+    if (!valid) {
+        throw new HttpError(400, 'Invalid change');
+    }
+}
+
+/**
+ * Records changed after the cursor, oldest first
+ */
+function listChanges(store, since) {
+    const changes = Object.values(store.records)
+        .filter(record => record.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+    const page = changes.slice(0, PAGE_SIZE);
+
+    return {
+        cursor: page.length > 0 ? page[page.length - 1].seq : Math.max(since, store.seq),
+        more: changes.length > page.length,
+        changes: page
+    };
+}
+
+/**
+ * Store each change made to the revision the server has; anything else is a conflict,
+ * answered with the server's record so the device can show both versions
+ */
+function applyChanges(store, changes) {
+    const accepted = [];
+    const conflicts = [];
+
+    changes.forEach(change => {
+        const current = store.records[change.id];
+
+        if (current && (current.rev !== change.baseRev || change.rev <= current.rev)) {
+            conflicts.push({ id: change.id, server: current });
+            return;
+        }
+
+        store.seq++;
+        store.records[change.id] = {
+            id: change.id,
+            rev: change.rev,
+            seq: store.seq,
+            updatedAt: change.updatedAt,
+            deleted: change.deleted,
+            memory: change.deleted ? null : change.memory
+        };
+        accepted.push({ id: change.id, rev: change.rev });
+    });
+
+    return { accepted, conflicts };
+}
+
+/**
+ * Whether a request carries the access token. Both sides are hashed so the comparison
+ * takes the same time however much of the token matches.
+ */
+function authorized(request) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(request.headers.authorization || ''), digest(`Bearer ${TOKEN}`));
+}
+
+/**
+ * Read a JSON request body
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Drop the rest; the connection is closed once the 413 has been sent
+                request.removeAllListeners('data');
+                reject(new HttpError(413, 'Request too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body is not JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Answer with JSON and the CORS headers a browser app on another origin needs
+ */
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': ORIGIN,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Max-Age': '86400'
+    });
+    response.end(body === null ? '' : JSON.stringify(body));
+}
+
+/**
+ * Handle one request
+ */
+async function handle(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'OPTIONS') {
+        send(response, 204, null);
+        return;
+    }
+
+    const route = url.pathname.match(ATLAS_ROUTE);
+    if (!route) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    if (TOKEN && !authorized(request)) {
+        throw new HttpError(401, 'Missing or wrong access token');
+    }
+
+    const name = route[1].toLowerCase();
+    const store = loadStore(name);
+
+    if (request.method === 'GET') {
+        const since = Number(url.searchParams.get('since')) || 0;
+        send(response, 200, listChanges(store, since));
+        return;
+    }
+
+    if (request.method === 'POST') {
+        const body = await readBody(request);
+        if (!body || !Array.isArray(body.changes)) {
+            throw new HttpError(400, 'Expected { changes: [...] }');
+        }
+        body.changes.forEach(validateChange);
+
+        const result = applyChanges(store, body.changes);
+        if (result.accepted.length > 0) {
+            try {
+                saveStore(name, store);
+            } catch (error) {
+                // Forget the unsaved changes; the atlas is read from disk again next time
+                stores.delete(name);
+                throw error;
+            }
+        }
+        send(response, 200, result);
+        return;
+    }
+
+    throw new HttpError(405, 'Method not allowed');
+}
+
+const server = http.createServer((request, response) => {
+    handle(request, response).catch(error => {
+        if (!(error instanceof HttpError)) {
+            console.error(error);
+        }
+        if (error.status === 413) {
+            // Stop reading an oversized body only after the client has its answer
+            response.setHeader('Connection', 'close');
+            response.on('finish', () => request.destroy());
+        }
+        send(response, error.status || 500, { error: error instanceof HttpError ? error.message : 'Server error' });
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Life Atlas sync server listening on http://localhost:${PORT}/atlases/<name>`);
+    console.log(`Atlases are kept in ${DATA_DIR}${TOKEN ? '' : '; set SYNC_TOKEN to require an access token'}`);
+});
@@ -0,0 +1,127 @@
+/**
+ * Life Atlas - Service Worker
+ * Serves the app shell from cache so the atlas opens offline, and map tiles from saved areas
+ */
+
+// Bump the version whenever the shell files change
+const SHELL_CACHE = 'life-atlas-shell-v17';
+
+// Must match TILE_CACHE_NAME in js/offline.js
+const TILE_CACHE = 'life-atlas-tiles';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/styles.css',
+    'js/storage.js',
+    'js/vault.js',
+    'js/attachments.js',
+    'js/atlases.js',
+    'js/tags.js',
+    'js/moods.js',
+    'js/formats.js',
+    'js/importer.js',
+    'js/search.js',
+    'js/timeline.js',
+    'js/insights.js',
+    'js/shapes.js',
+    'js/offline.js',
+    'js/layers.js',
+    'js/history.js',
+    'js/gazetteer.js',
+    'js/geocoding.js',
+    'js/urlstate.js',
+    'js/coordinates.js',
+    'js/photos.js',
+    'js/markdown.js',
+    'js/core.js',
+    'js/rediscovery.js',
+    'js/sync.js',
+    'js/app.js',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+    'https://fonts.googleapis.com/css2?family=Amatic+SC:wght@400;700&family=Kalam:wght@300;400;700&display=swap'
+];
+
+// Other hosts whose responses are worth keeping for offline use (fonts, library images)
+const RUNTIME_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('life-atlas-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(serveNavigation(request));
+    } else if (url.origin === self.location.origin || RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(serveShell(request));
+    } else if (request.destination === 'image') {
+        // Map tiles from any base map, built-in or the user's own
+        event.respondWith(serveTile(request));
+    }
+});
+
+/**
+ * Tiles from saved areas come from the cache; everything else from the network
+ */
+async function serveTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request.url);
+    return cached || fetch(request);
+}
+
+/**
+ * Page loads try the network first so updates arrive, then fall back to the cached shell
+ */
+async function serveNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(SHELL_CACHE);
+        return await cache.match('index.html') || Response.error();
+    }
+}
+
+/**
+ * Shell files are served from the cache straight away and refreshed in the background
+ */
+async function serveShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        refresh.catch(() => {});
+        return cached;
+    }
+    return refresh;
+}